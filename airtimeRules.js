@@ -0,0 +1,117 @@
+// Airtime purchase rules shared by single purchases and bulk orders, kept free of Firestore so they can be
+// unit tested: carrier detection, the allowed amount range, bulk order line parsing and the partial
+// fulfillment split.
+const MIN_AIRTIME_AMOUNT = 5;
+const MAX_AIRTIME_AMOUNT = 5000;
+const DEFAULT_BULK_ORDER_MAX_LINES = 50;
+
+// Maps a Kenyan number (07..., 2547... or +2547...) to its carrier by prefix, or 'Unknown'
+function detectCarrier(phoneNumber) {
+    const normalized = phoneNumber.replace(/^(\+254|254)/, '0').trim();
+    if (normalized.length !== 10 || !normalized.startsWith('0')) {
+        return 'Unknown';
+    }
+    const prefix3 = normalized.substring(1, 4);
+
+    const safaricom = new Set([
+        '110', '111', '112', '113', '114', '115', '116', '117', '118', '119',
+        '700', '701', '702', '703', '704', '705', '706', '707', '708', '709',
+        '710', '711', '712', '713', '714', '715', '716', '717', '718', '719',
+        '720', '721', '722', '723', '724', '725', '726', '727', '728', '729',
+        '740', '741', '742', '743', '744', '745', '746', '748', '749',
+        '757', '758', '759',
+        '768', '769',
+        '790', '791', '792', '793', '794', '795', '796', '797', '798', '799'
+    ]);
+    const airtel = new Set([
+        '100', '101', '102', '103', '104', '105', '106', '107', '108', '109',
+        '730', '731', '732', '733', '734', '735', '736', '737', '738', '739',
+        '750', '751', '752', '753', '754', '755', '756',
+        '780', '781', '782', '783', '784', '785', '786', '787', '788', '789'
+    ]);
+    const telkom = new Set([
+        '770', '771', '772', '773', '774', '775', '776', '777', '778', '779'
+    ]);
+    const equitel = new Set([
+        '764', '765', '766', '767',
+    ]);
+    const faiba = new Set([
+        '747',
+    ]);
+
+    if (safaricom.has(prefix3)) return 'Safaricom';
+    if (airtel.has(prefix3)) return 'Airtel';
+    if (telkom.has(prefix3)) return 'Telkom';
+    if (equitel.has(prefix3)) return 'Equitel';
+    if (faiba.has(prefix3)) return 'Faiba';
+    return 'Unknown';
+}
+
+function isAirtimeAmountInRange(amount) {
+    return !isNaN(amount) && amount >= MIN_AIRTIME_AMOUNT && amount <= MAX_AIRTIME_AMOUNT;
+}
+
+/**
+ * Validates the recipient/amount pairs of a bulk order.
+ *
+ * @param {Array<{ recipient: string, amount: number|string }>} lines
+ * @param {object} [options]
+ * @param {number} [options.maxLines=50]
+ * @returns {{ lines: Array<object>, errors: Array<{ lineNumber: number, message: string }>, totalAmount: number }}
+ */
+function parseBulkOrderLines(lines, { maxLines = DEFAULT_BULK_ORDER_MAX_LINES } = {}) {
+    if (!Array.isArray(lines) || lines.length === 0 || lines.length > maxLines) {
+        return { lines: [], errors: [{ lineNumber: null, message: `lines must be an array of 1 to ${maxLines} recipient/amount pairs.` }], totalAmount: 0 };
+    }
+
+    const parsedLines = [];
+    const errors = [];
+    for (const [index, line] of lines.entries()) {
+        const lineNumber = index + 1;
+        const amount = parseFloat(line?.amount);
+        const recipient = String(line?.recipient || '').replace(/\D/g, '');
+        const carrier = detectCarrier(recipient);
+
+        if (!isAirtimeAmountInRange(amount)) {
+            errors.push({ lineNumber, message: `Invalid amount. Must be between ${MIN_AIRTIME_AMOUNT} and ${MAX_AIRTIME_AMOUNT}.` });
+        } else if (recipient.length < 9) {
+            errors.push({ lineNumber, message: 'Invalid recipient phone number format.' });
+        } else if (carrier === 'Unknown') {
+            errors.push({ lineNumber, message: "Recipient's carrier is not supported." });
+        } else {
+            parsedLines.push({ lineNumber, recipient, carrier, amount });
+        }
+    }
+    const totalAmount = parseFloat(parsedLines.reduce((total, line) => total + line.amount, 0).toFixed(2));
+    return { lines: parsedLines, errors, totalAmount };
+}
+
+/**
+ * Splits a sale into what was delivered and what the customer is owed back.
+ *
+ * @param {number} paidAmount - Amount the customer paid.
+ * @param {number} intendedAmount - Amount we set out to dispatch (paid amount plus bonus).
+ * @param {number} dispatchedAmount - Amount the provider actually delivered.
+ * @returns {{ paidAmount: number, dispatchedAmount: number, undeliveredAmount: number, refundAmount: number, partial: boolean }}
+ */
+function getFulfillmentSplit(paidAmount, intendedAmount, dispatchedAmount) {
+    const paid = Number(paidAmount) || 0;
+    const intended = Number(intendedAmount) || 0;
+    const dispatched = Math.min(Number(dispatchedAmount) || 0, intended);
+    return {
+        paidAmount: paid,
+        dispatchedAmount: dispatched,
+        undeliveredAmount: parseFloat((intended - dispatched).toFixed(2)),
+        refundAmount: parseFloat(Math.max(paid - dispatched, 0).toFixed(2)),
+        partial: dispatched < intended,
+    };
+}
+
+module.exports = {
+    MIN_AIRTIME_AMOUNT,
+    MAX_AIRTIME_AMOUNT,
+    detectCarrier,
+    isAirtimeAmountInRange,
+    parseBulkOrderLines,
+    getFulfillmentSplit,
+};
@@ -0,0 +1,171 @@
+// HMAC signing and verification for fulfillment notifications sent to the offline server.
+// Used by server.js to sign outgoing payloads, and meant to be required by the offline server
+// (and tests) to verify them.
+//
+// Every delivery attempt gets a fresh timestamp and nonce, so the nonce only stops a captured request from
+// being replayed. A retry after an ambiguous timeout is a new, validly signed request for the same order: the
+// offline server must dedupe orders on the signed idempotency key (the checkoutRequestID), not on the nonce.
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-daimapay-signature';
+const TIMESTAMP_HEADER = 'x-daimapay-timestamp';
+const NONCE_HEADER = 'x-daimapay-nonce';
+const IDEMPOTENCY_KEY_HEADER = 'x-daimapay-idempotency-key';
+const DEFAULT_TOLERANCE_SECONDS = 300; // 5 minutes
+
+// The signed string binds the timestamp, nonce and idempotency key (when sent) to the exact body bytes that were sent
+function computeSignature(secret, timestamp, nonce, rawBody, idempotencyKey) {
+    const signedString = idempotencyKey
+        ? `${timestamp}.${nonce}.${idempotencyKey}.${rawBody}`
+        : `${timestamp}.${nonce}.${rawBody}`;
+    return crypto
+        .createHmac('sha256', secret)
+        .update(signedString)
+        .digest('hex');
+}
+
+/**
+ * Serializes and signs a payload.
+ *
+ * @param {object} payload - The payload to send.
+ * @param {string} secret - Shared HMAC secret.
+ * @param {object} [options]
+ * @param {string} [options.idempotencyKey] - Stays the same across retries of the same notification.
+ * @returns {{ body: string, headers: object }} - The exact body to send and the signature headers.
+ */
+function signPayload(payload, secret, { idempotencyKey } = {}) {
+    if (!secret) {
+        throw new Error('Cannot sign payload: HMAC secret is not configured.');
+    }
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const nonce = crypto.randomUUID();
+
+    return {
+        body,
+        headers: {
+            'Content-Type': 'application/json',
+            [SIGNATURE_HEADER]: computeSignature(secret, timestamp, nonce, body, idempotencyKey),
+            [TIMESTAMP_HEADER]: timestamp,
+            [NONCE_HEADER]: nonce,
+            ...(idempotencyKey ? { [IDEMPOTENCY_KEY_HEADER]: String(idempotencyKey) } : {}),
+        },
+    };
+}
+
+// Default in-memory nonce store. Multi-instance deployments should pass a shared store (e.g. Firestore/Redis).
+function createMemoryNonceStore() {
+    const seen = new Map(); // nonce -> expiry (ms)
+    return {
+        async has(nonce) {
+            const expiresAt = seen.get(nonce);
+            if (expiresAt === undefined) return false;
+            if (expiresAt < Date.now()) {
+                seen.delete(nonce);
+                return false;
+            }
+            return true;
+        },
+        async add(nonce, ttlSeconds) {
+            const now = Date.now();
+            // Opportunistically drop expired entries so the map does not grow forever
+            for (const [key, expiresAt] of seen) {
+                if (expiresAt < now) seen.delete(key);
+            }
+            seen.set(nonce, now + ttlSeconds * 1000);
+        },
+    };
+}
+
+/**
+ * Verifies a signed notification.
+ *
+ * @param {object} params
+ * @param {string} params.rawBody - The exact request body as received.
+ * @param {object} params.headers - Request headers (lower-cased keys, as in Node/Express).
+ * @param {string} params.secret - Shared HMAC secret.
+ * @param {object} [params.nonceStore] - Store with async has(nonce)/add(nonce, ttlSeconds) for replay protection.
+ * @param {number} [params.toleranceSeconds=300] - Maximum allowed clock skew / message age.
+ * @returns {Promise<{ valid: boolean, reason?: string, idempotencyKey?: string|null }>} - idempotencyKey is what to dedupe on.
+ */
+async function verifySignature({ rawBody, headers, secret, nonceStore, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS }) {
+    const signature = headers[SIGNATURE_HEADER];
+    const timestamp = headers[TIMESTAMP_HEADER];
+    const nonce = headers[NONCE_HEADER];
+    const idempotencyKey = headers[IDEMPOTENCY_KEY_HEADER] || null;
+
+    if (!secret) {
+        return { valid: false, reason: 'HMAC secret is not configured.' };
+    }
+    if (!signature || !timestamp || !nonce) {
+        return { valid: false, reason: 'Missing signature headers.' };
+    }
+    if (typeof rawBody !== 'string' && !Buffer.isBuffer(rawBody)) {
+        return { valid: false, reason: 'Raw request body is not available.' };
+    }
+
+    const timestampSeconds = parseInt(timestamp, 10);
+    if (isNaN(timestampSeconds) || Math.abs(Math.floor(Date.now() / 1000) - timestampSeconds) > toleranceSeconds) {
+        return { valid: false, reason: 'Timestamp outside allowed tolerance.' };
+    }
+
+    const expected = Buffer.from(computeSignature(secret, timestamp, nonce, rawBody.toString('utf8'), idempotencyKey), 'hex');
+    const received = Buffer.from(String(signature), 'hex');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return { valid: false, reason: 'Signature mismatch.' };
+    }
+
+    // Only remember the nonce once the signature is known to be genuine
+    if (nonceStore) {
+        if (await nonceStore.has(nonce)) {
+            return { valid: false, reason: 'Replayed nonce.' };
+        }
+        await nonceStore.add(nonce, toleranceSeconds * 2);
+    }
+
+    return { valid: true, idempotencyKey };
+}
+
+// body-parser `verify` hook that keeps the raw body for signature verification:
+//   app.use(bodyParser.json({ verify: captureRawBody }));
+function captureRawBody(req, res, buf) {
+    req.rawBody = buf.toString('utf8');
+}
+
+/**
+ * Express middleware that rejects unsigned, tampered or replayed notifications with 401.
+ * Requires req.rawBody (see captureRawBody). Sets req.idempotencyKey for the handler to dedupe orders on.
+ *
+ * @param {object} options
+ * @param {string} options.secret - Shared HMAC secret.
+ * @param {object} [options.nonceStore] - Defaults to an in-memory store.
+ * @param {number} [options.toleranceSeconds=300]
+ * @param {function} [options.onReject] - Called with (req, reason) for logging.
+ */
+function verifyFulfillmentSignature({ secret, nonceStore = createMemoryNonceStore(), toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, onReject } = {}) {
+    return async (req, res, next) => {
+        try {
+            const result = await verifySignature({ rawBody: req.rawBody, headers: req.headers, secret, nonceStore, toleranceSeconds });
+            if (!result.valid) {
+                if (onReject) onReject(req, result.reason);
+                return res.status(401).json({ success: false, message: `Invalid fulfillment signature: ${result.reason}` });
+            }
+            req.idempotencyKey = result.idempotencyKey;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+module.exports = {
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    NONCE_HEADER,
+    IDEMPOTENCY_KEY_HEADER,
+    signPayload,
+    verifySignature,
+    verifyFulfillmentSignature,
+    captureRawBody,
+    createMemoryNonceStore,
+};
@@ -0,0 +1,100 @@
+// Reversal / B2C refund state machine, kept free of Firestore so it can be unit tested.
+// INITIATED -> CONFIRMED / FAILED / TIMED_OUT. A queue timeout can still be followed by the final result.
+// Reversals above the approval threshold start as PENDING_APPROVAL and become APPROVED (then a new INITIATED
+// request is sent) or REJECTED.
+const REVERSAL_TRANSITIONS = {
+    PENDING_APPROVAL: ['APPROVED', 'REJECTED'],
+    INITIATED: ['CONFIRMED', 'FAILED', 'TIMED_OUT'],
+    TIMED_OUT: ['CONFIRMED', 'FAILED'],
+    CONFIRMED: [],
+    FAILED: [],
+    APPROVED: [],
+    REJECTED: [],
+};
+
+function canTransitionReversal(fromStatus, toStatus) {
+    return (REVERSAL_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+// Exponential backoff: base * 2^(attempt - 1), capped
+function getReversalRetryDelay(attempt, { baseDelayMs, maxDelayMs }) {
+    return Math.min(baseDelayMs * Math.pow(2, Math.max(attempt - 1, 0)), maxDelayMs);
+}
+
+/**
+ * Works out the retry bookkeeping for a transition that the state machine allows.
+ *
+ * @param {object} reversal - The reversal document before the transition.
+ * @param {string} nextStatus - The status it is moving to.
+ * @param {object} options
+ * @param {string} options.refundStrategy - REVERSAL_ONLY, REVERSAL_THEN_B2C or B2C_ONLY.
+ * @param {number} options.maxAttempts - Attempts (the first send included) before a reversal is EXHAUSTED.
+ * @param {number} options.baseDelayMs - First retry delay.
+ * @param {number} options.maxDelayMs - Retry delay cap.
+ * @param {number} [options.now=Date.now()]
+ * @returns {{ retryStatus?: string, nextRetryAt?: number|null }} - nextRetryAt in epoch milliseconds.
+ */
+function getReversalRetryUpdate(reversal, nextStatus, { refundStrategy, maxAttempts, baseDelayMs, maxDelayMs, now = Date.now() }) {
+    // A late FAILED after a timeout leaves the retry that is already scheduled or sent in charge
+    if (nextStatus === 'FAILED' && !reversal.retryStatus && reversal.method !== 'B2C' && refundStrategy === 'REVERSAL_THEN_B2C') {
+        return { retryStatus: 'FALLBACK_B2C' }; // Safaricom refused the reversal; resending it will not help
+    }
+    if (['TIMED_OUT', 'FAILED'].includes(nextStatus) && !reversal.retryStatus) {
+        const attempt = reversal.attempt || 1;
+        return attempt < maxAttempts
+            ? { retryStatus: 'SCHEDULED', nextRetryAt: now + getReversalRetryDelay(attempt, { baseDelayMs, maxDelayMs }) }
+            : { retryStatus: 'EXHAUSTED', nextRetryAt: null };
+    }
+    if (nextStatus === 'CONFIRMED' && ['SCHEDULED', 'FALLBACK_PENDING'].includes(reversal.retryStatus)) {
+        return { retryStatus: 'SUPERSEDED' }; // A late result confirmed it before the retry went out
+    }
+    return {};
+}
+
+/**
+ * Picks how a refund is paid before anything is sent to Daraja.
+ *
+ * A TransactionReversal gives back the whole payment, so it cannot pay part of a payment or one line of a bulk
+ * order (the order's single STK payment covers every line). Those go through B2C where the strategy allows it;
+ * bulk lines always do when B2C is configured, since a reversal can never refund them. Anything else is left
+ * for a manual refund.
+ *
+ * @param {object} params
+ * @param {string} params.refundStrategy - REVERSAL_ONLY, REVERSAL_THEN_B2C or B2C_ONLY.
+ * @param {string} [params.scope='FULL'] - FULL, UNDELIVERED or REMAINING.
+ * @param {boolean} [params.bulkOrderLine=false] - The payment is one line of a bulk order.
+ * @param {boolean} [params.b2cConfigured=true] - The B2C credentials and callback URLs are set.
+ * @returns {{ method: 'REVERSAL' | 'B2C' | 'MANUAL_REVIEW', code?: string, reason?: string }}
+ */
+function getRefundRoute({ refundStrategy, scope = 'FULL', bulkOrderLine = false, b2cConfigured = true }) {
+    if (refundStrategy === 'B2C_ONLY') {
+        return { method: 'B2C' };
+    }
+    if (bulkOrderLine) {
+        const reason = 'A reversal would refund the whole bulk order, not just this line.';
+        return refundStrategy === 'REVERSAL_THEN_B2C' || b2cConfigured
+            ? { method: 'B2C', code: 'BULK_ORDER_LINE', reason }
+            : { method: 'MANUAL_REVIEW', code: 'BULK_ORDER_LINE', reason: `${reason} B2C refunds are not configured.` };
+    }
+    if (scope !== 'FULL') {
+        const reason = `A ${scope} refund cannot be sent as a TransactionReversal.`;
+        return refundStrategy === 'REVERSAL_THEN_B2C'
+            ? { method: 'B2C', code: 'PARTIAL_REFUND', reason }
+            : { method: 'MANUAL_REVIEW', code: 'PARTIAL_REFUND', reason: `${reason} ${refundStrategy} does not allow B2C.` };
+    }
+    return { method: 'REVERSAL' };
+}
+
+// True when Daraja answered and refused the request (a non-zero ResponseCode), as opposed to an unknown outcome
+function isDarajaRejection(responseData) {
+    return Boolean(responseData) && responseData.ResponseCode !== undefined && String(responseData.ResponseCode) !== '0';
+}
+
+module.exports = {
+    REVERSAL_TRANSITIONS,
+    canTransitionReversal,
+    getReversalRetryDelay,
+    getReversalRetryUpdate,
+    getRefundRoute,
+    isDarajaRejection,
+};
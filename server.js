@@ -2,11 +2,30 @@ require('dotenv').config(); // Load environment variables from .env file
 const express = require('express');
 const bodyParser = require('body-parser');
 const axios = require('axios');
+const fs = require('fs');
+const crypto = require('crypto');
 const admin = require('firebase-admin');
-const { FieldValue } = require('firebase-admin/firestore');
+const { FieldValue, Timestamp, AggregateField } = require('firebase-admin/firestore');
 const rateLimit = require('express-rate-limit');
 const winston = require('winston'); // For logging
 const cors = require('cors'); // Added CORS
+const { signPayload } = require('./fulfillmentSignature'); // HMAC signing for offline server notifications
+const {
+    REVERSAL_TRANSITIONS,
+    canTransitionReversal,
+    getReversalRetryDelay: getReversalRetryDelayMs,
+    getReversalRetryUpdate,
+    getRefundRoute,
+    isDarajaRejection,
+} = require('./reversalStateMachine'); // Reversal / B2C refund state machine
+const {
+    MIN_AIRTIME_AMOUNT,
+    MAX_AIRTIME_AMOUNT,
+    detectCarrier: detectCarrierByPrefix,
+    isAirtimeAmountInRange,
+    parseBulkOrderLines,
+    getFulfillmentSplit,
+} = require('./airtimeRules'); // Carrier detection, amount range, bulk order lines, partial fulfillment split
 
 // Initialize Firebase Admin SDk
 const serviceAccount = JSON.parse(
@@ -44,10 +63,26 @@ const safaricomFloatDocRef = firestore.collection('Saf_float').doc('current');
 const africasTalkingFloatDocRef = firestore.collection('AT_Float').doc('current');
 const failedReconciliationsCollection = firestore.collection('failed_reconciliations');
 const reconciledTransactionsCollection = firestore.collection('reconciled_transactions');
+const settlementReconciliationsCollection = firestore.collection('settlement_reconciliations'); // M-Pesa statement imports
 const bonusHistoryCollection = firestore.collection('bonus_history');
 const reversalTimeoutsCollection = firestore.collection('reversal_timeouts');
+const reversalsCollection = firestore.collection('reversals'); // Keyed by OriginatorConversationID
+const reversalStatusQueriesCollection = firestore.collection('reversal_status_queries'); // Keyed by the query's OriginatorConversationID
 const safaricomDealerConfigRef = firestore.collection('mpesa_settings').doc('main_config');
 const stkTransactionsCollection = firestore.collection('stk_Transactions');
+const transactionsCollection = firestore.collection('transactions');
+const offlineNotificationQueueCollection = firestore.collection('offline_notification_queue');
+const suspiciousCallbacksCollection = firestore.collection('suspicious_callbacks');
+const atUnmatchedStatusCallbacksCollection = firestore.collection('at_unmatched_status_callbacks'); // Keyed by AT requestId
+const bonusCampaignsCollection = firestore.collection('bonus_campaigns');
+const bonusSettingsDocRef = firestore.collection('airtime_bonuses').doc('current_settings');
+const bonusRulesDocRef = firestore.collection('airtime_bonuses').doc('bonus_rules');
+const airtimeRoutingDocRef = firestore.collection('airtime_routing').doc('current');
+const floatLedgerCollection = firestore.collection('float_ledger'); // Append-only: one entry per float movement
+const floatAlertSettingsDocRef = firestore.collection('float_alerts').doc('thresholds');
+const commissionRatesDocRef = firestore.collection('commission_rates').doc('current');
+const bulkOrdersCollection = firestore.collection('bulk_orders'); // Keyed by CheckoutRequestID; one 'lines' doc per recipient
+const floatAlertHistoryCollection = floatAlertSettingsDocRef.collection('alerts');
 
 // M-Pesa API Credentials from .env
 const CONSUMER_KEY = process.env.CONSUMER_KEY;
@@ -72,6 +107,22 @@ const logger = winston.createLogger({
 });
 
 const app = express();
+
+// --- Trusted proxy handling ---
+// Our host terminates TLS in front of the app, so req.ip must come from X-Forwarded-For (needed for
+// the M-Pesa callback IP allowlist and rate limiting). TRUST_PROXY accepts a hop count, 'true'/'false'
+// or a comma-separated list of proxy IPs/subnets. Defaults to 1 hop.
+// WARNING: trusting a hop that does not exist lets any client pick its own req.ip via X-Forwarded-For,
+// which bypasses the callback IP allowlist and per-IP rate limits. If nothing sits in front of the app,
+// set TRUST_PROXY=false; otherwise prefer listing the proxy's addresses over a hop count.
+function parseTrustProxySetting(value) {
+    if (value === undefined || value === '') return 1;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+    return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+app.set('trust proxy', parseTrustProxySetting(process.env.TRUST_PROXY));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
@@ -134,6 +185,104 @@ function generatePassword(shortcode, passkey, timestamp) {
     return Buffer.from(str).toString('base64');
 }
 
+// How old (in seconds) a PUSH_INITIATED transaction must be before we actively query Daraja for it
+const STK_QUERY_MIN_AGE_SECONDS = parseInt(process.env.STK_QUERY_MIN_AGE_SECONDS || '60', 10);
+// Minimum gap between STK Queries for the same transaction; status polls inside it get the stored state
+const STK_QUERY_MIN_INTERVAL_SECONDS = parseInt(process.env.STK_QUERY_MIN_INTERVAL_SECONDS || '30', 10);
+
+// Maps a Daraja STK ResultCode to our stk_Transactions statuses
+function mapStkResultCodeToStatus(resultCode) {
+    if (Number(resultCode) === 0) {
+        return { stkPushStatus: 'MPESA_PAYMENT_SUCCESS', mpesaPaymentStatus: 'SUCCESSFUL' };
+    }
+    return { stkPushStatus: 'MPESA_PAYMENT_FAILED', mpesaPaymentStatus: 'FAILED_OR_CANCELLED' };
+}
+
+// Sends an STK Push prompt to the customer's phone. Shared by single and bulk airtime orders.
+async function sendStkPushRequest({ amount, customerPhone, accountReference, transactionDesc }) {
+    const timestamp = generateTimestamp();
+    const password = generatePassword(SHORTCODE, PASSKEY, timestamp);
+    const accessToken = await getAccessToken();
+
+    const stkPushPayload = {
+        BusinessShortCode: SHORTCODE,
+        Password: password,
+        Timestamp: timestamp,
+        TransactionType: 'CustomerPayBillOnline', // Or 'CustomerBuyGoodsOnline' if applicable
+        Amount: amount,
+        PartyA: customerPhone, // Customer's phone number
+        PartyB: SHORTCODE, // Your Paybill/Till number
+        PhoneNumber: customerPhone, // Customer's phone number
+        CallBackURL: STK_CALLBACK_URL,
+        AccountReference: accountReference,
+        TransactionDesc: transactionDesc
+    };
+
+    const stkPushResponse = await axios.post(
+        'https://api.safaricom.co.ke/mpesa/stkpush/v1/processrequest',
+        stkPushPayload,
+        {
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Content-Type': 'application/json' // Explicitly set Content-Type
+            }
+        }
+    );
+
+    logger.info('STK Push Request Sent to Daraja:', stkPushResponse.data);
+    return { stkPushPayload, darajaResponse: stkPushResponse.data };
+}
+
+// Function to query the final state of an STK Push from Daraja (STK Push Query API)
+async function queryStkPushStatus(checkoutRequestID) {
+    const timestamp = generateTimestamp();
+    const password = generatePassword(SHORTCODE, PASSKEY, timestamp);
+
+    try {
+        const accessToken = await getAccessToken();
+        const response = await axios.post(
+            'https://api.safaricom.co.ke/mpesa/stkpushquery/v1/query',
+            {
+                BusinessShortCode: SHORTCODE,
+                Password: password,
+                Timestamp: timestamp,
+                CheckoutRequestID: checkoutRequestID,
+            },
+            {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Content-Type': 'application/json'
+                }
+            }
+        );
+
+        logger.info(`STK Push Query response for ${checkoutRequestID}:`, response.data);
+
+        if (response.data && response.data.ResultCode !== undefined) {
+            return {
+                resolved: true,
+                resultCode: Number(response.data.ResultCode),
+                resultDesc: response.data.ResultDesc,
+                data: response.data,
+            };
+        }
+        return { resolved: false, message: 'STK Push Query returned no ResultCode.', data: response.data };
+
+    } catch (error) {
+        const errorData = error.response ? error.response.data : null;
+        // Daraja answers with this error code while the customer has not yet acted on the prompt
+        if (errorData && errorData.errorCode === '500.001.1001') {
+            logger.info(`STK Push ${checkoutRequestID} is still being processed by Daraja.`);
+            return { resolved: false, message: errorData.errorMessage || 'The transaction is being processed.', data: errorData };
+        }
+        logger.error(`❌ STK Push Query failed for ${checkoutRequestID}:`, {
+            message: error.message,
+            response_data: errorData || 'N/A',
+        });
+        throw new Error(`STK Push Query failed: ${errorData?.errorMessage || error.message}`);
+    }
+}
+
 let cachedAirtimeToken = null;
 let tokenExpiryTimestamp = 0;
 
@@ -231,47 +380,13 @@ async function getDealerServicePin() {
 }
 
 
-// Placeholder for detecting carrier (You already have this in your C2B handler)
+// Carrier detection lives in airtimeRules.js; this keeps the debug log for unrecognised numbers
 function detectCarrier(phoneNumber) {
-    const normalized = phoneNumber.replace(/^(\+254|254)/, '0').trim();
-    if (normalized.length !== 10 || !normalized.startsWith('0')) {
-        logger.debug(`Invalid phone number format for carrier detection: ${phoneNumber}`);
-        return 'Unknown';
-    }
-    const prefix3 = normalized.substring(1, 4);
-
-    const safaricom = new Set([
-        '110', '111', '112', '113', '114', '115', '116', '117', '118', '119',
-        '700', '701', '702', '703', '704', '705', '706', '707', '708', '709',
-        '710', '711', '712', '713', '714', '715', '716', '717', '718', '719',
-        '720', '721', '722', '723', '724', '725', '726', '727', '728', '729',
-        '740', '741', '742', '743', '744', '745', '746', '748', '749',
-        '757', '758', '759',
-        '768', '769',
-        '790', '791', '792', '793', '794', '795', '796', '797', '798', '799'
-    ]);
-    const airtel = new Set([
-        '100', '101', '102', '103', '104', '105', '106', '107', '108', '109',
-        '730', '731', '732', '733', '734', '735', '736', '737', '738', '739',
-        '750', '751', '752', '753', '754', '755', '756',
-        '780', '781', '782', '783', '784', '785', '786', '787', '788', '789'
-    ]);
-    const telkom = new Set([
-        '770', '771', '772', '773', '774', '775', '776', '777', '778', '779'
-    ]);
-    const equitel = new Set([
-        '764', '765', '766', '767',
-    ]);
-    const faiba = new Set([
-        '747',
-    ]);
-
-    if (safaricom.has(prefix3)) return 'Safaricom';
-    if (airtel.has(prefix3)) return 'Airtel';
-    if (telkom.has(prefix3)) return 'Telkom';
-    if (equitel.has(prefix3)) return 'Equitel';
-    if (faiba.has(prefix3)) return 'Faiba';
-    return 'Unknown';
+    const carrier = detectCarrierByPrefix(phoneNumber);
+    if (carrier === 'Unknown') {
+        logger.debug(`Unknown carrier for phone number: ${phoneNumber}`);
+    }
+    return carrier;
 }
 
 function normalizeReceiverPhoneNumber(num) {
@@ -286,8 +401,22 @@ function normalizeReceiverPhoneNumber(num) {
     return num; // Return as is, let the API potentially fail for incorrect format
 }
 
+// Upper bound on a single provider send, so a hung provider counts as a timeout for its circuit breaker
+const AIRTIME_PROVIDER_TIMEOUT_MS = parseInt(process.env.AIRTIME_PROVIDER_TIMEOUT_MS || '30000', 10);
+
+function isTimeoutError(error) {
+    return ['ECONNABORTED', 'ETIMEDOUT'].includes(error.code) || /timeout/i.test(error.message || '');
+}
+
+// True when an exception leaves it unclear whether the provider acted on the request
+function isAmbiguousSendError(error) {
+    if (!error.response) return true;
+    return [500, 502, 503, 504].includes(error.response.status);
+}
+
 // ✅ Send Safaricom dealer airtime
 async function sendSafaricomAirtime(receiverNumber, amount) {
+    let requestDispatched = false;
     try {
         const token = await getCachedAirtimeToken();
         const normalizedReceiver = normalizeReceiverPhoneNumber(receiverNumber);
@@ -309,6 +438,7 @@ async function sendSafaricomAirtime(receiverNumber, amount) {
             receiverMsisdn: normalizedReceiver,
         };
 
+        requestDispatched = true; // From here on, an exception does not prove the airtime was not sent
         const response = await axios.post(
             process.env.MPESA_AIRTIME_URL,
             body,
@@ -317,6 +447,7 @@ async function sendSafaricomAirtime(receiverNumber, amount) {
                     Authorization: `Bearer ${token}`,
                     'Content-Type': 'application/json',
                 },
+                timeout: AIRTIME_PROVIDER_TIMEOUT_MS,
             }
         );
 
@@ -373,10 +504,21 @@ async function sendSafaricomAirtime(receiverNumber, amount) {
             response_data: error.response ? error.response.data : 'N/A',
             stack: error.stack
         });
+        // No response (timeout/connection drop) or a gateway error after the request left us is ambiguous:
+        // the Dealer may still have delivered the airtime, so it must be verified before any reversal.
+        if (requestDispatched && isAmbiguousSendError(error)) {
+            return {
+                status: 'UNKNOWN',
+                message: 'Safaricom airtime send outcome unknown (network/API error after dispatch)',
+                error: error.response ? error.response.data : error.message,
+                timedOut: isTimeoutError(error),
+            };
+        }
         return {
             status: 'FAILED',
             message: 'Safaricom airtime send failed due to network/API error',
             error: error.response ? error.response.data : error.message,
+            timedOut: isTimeoutError(error),
         };
     }
 }
@@ -413,14 +555,29 @@ async function sendAfricasTalkingAirtime(phoneNumber, amount, carrier) {
         return { status: 'FAILED', message: 'Missing Africa\'s Talking credentials.' };
     }
 
+    const sendOptions = {
+        recipients: [{
+            phoneNumber: normalizedPhone,
+            amount: amount,
+            currencyCode: 'KES'
+        }]
+    };
+    // The SDK rejects invalid options before making any request; catch those here so they are FAILED, not UNKNOWN
+    const { error: optionsError } = africastalking.AIRTIME.validateOptions(sendOptions);
+    if (optionsError) {
+        logger.error(`❌ Africa's Talking airtime send for ${carrier} rejected before dispatch:`, { recipient: normalizedPhone, amount: amount, message: optionsError.message });
+        return {
+            status: 'FAILED',
+            message: 'Africa\'s Talking airtime send failed validation',
+            error: optionsError.message,
+            timedOut: false,
+        };
+    }
+
+    let requestDispatched = false;
     try {
-        const result = await africastalking.AIRTIME.send({
-            recipients: [{
-                phoneNumber: normalizedPhone,
-                amount: amount,
-                currencyCode: 'KES'
-            }]
-        });
+        requestDispatched = true; // From here on, an exception does not prove the airtime was not sent
+        const result = await africastalking.AIRTIME.send(sendOptions);
 
         // Defensive check
         const response = result?.responses?.[0];
@@ -458,12 +615,362 @@ async function sendAfricasTalkingAirtime(phoneNumber, amount, carrier) {
             message: error.message,
             stack: error.stack
         });
+        // The request may have reached Africa's Talking before the exception; only a 4xx proves it was rejected
+        if (requestDispatched && isAmbiguousSendError(error)) {
+            return {
+                status: 'UNKNOWN',
+                message: 'Africa\'s Talking airtime send outcome unknown (exception)',
+                error: error.message,
+                timedOut: isTimeoutError(error),
+            };
+        }
         return {
             status: 'FAILED',
             message: 'Africa\'s Talking airtime send failed (exception)',
             error: error.message,
+            timedOut: isTimeoutError(error),
+        };
+    }
+}
+
+// Safaricom does not document a status lookup for Dealer airtime transfers, so an ambiguous send cannot be
+// confirmed either way. It stays UNKNOWN: the verification sweeper keeps it parked until it is exhausted and
+// goes to manual review. Never report FAILED here; right after a timeout a delivered send may not be visible
+// yet, and a FAILED would reverse a payment for airtime the customer received.
+async function querySafaricomAirtimeStatus({ providerTransactionId }) {
+    return {
+        status: 'UNKNOWN',
+        message: `Safaricom Dealer has no transaction status API; ${providerTransactionId || 'the send'} needs manual verification.`,
+    };
+}
+
+// A send that threw before AT answered has no requestId, so the status API cannot be asked about it. AT still
+// posts a status callback for it, which /at-airtime-status parks in at_unmatched_status_callbacks; this claims
+// the earliest parked callback for the same phone number and amount received after the dispatch.
+async function findUnmatchedAfricasTalkingStatus({ saleId, phoneNumber, amount, dispatchedAt }) {
+    // Requires a composite index on at_unmatched_status_callbacks (phoneNumber ASC, receivedAt ASC)
+    let callbackQuery = atUnmatchedStatusCallbacksCollection
+        .where('phoneNumber', '==', toMsisdn254(phoneNumber))
+        .orderBy('receivedAt');
+    if (dispatchedAt) {
+        callbackQuery = callbackQuery.where('receivedAt', '>=', dispatchedAt);
+    }
+    const callbackSnapshot = await callbackQuery.limit(20).get();
+
+    for (const callbackDoc of callbackSnapshot.docs) {
+        const parked = callbackDoc.data();
+        if (parked.amount !== null && Number(parked.amount) !== Number(amount)) {
+            continue;
+        }
+        // Claim the callback so two sales to the same number and amount cannot both settle on it
+        const claimed = await firestore.runTransaction(async t => {
+            const freshDoc = await t.get(callbackDoc.ref);
+            const claimedBy = freshDoc.data()?.matchedSaleId;
+            if (!freshDoc.exists || (claimedBy && claimedBy !== saleId)) {
+                return false;
+            }
+            t.update(callbackDoc.ref, { matchedSaleId: saleId, matchedAt: FieldValue.serverTimestamp() });
+            return true;
+        });
+        if (claimed) {
+            return parked;
+        }
+    }
+    return null;
+}
+
+// Looks up an Africa's Talking airtime transaction by its requestId (the SDK's findTransactionStatus, which
+// uses the sandbox or live host to match AT_USERNAME)
+async function queryAfricasTalkingAirtimeStatus({ saleId, providerTransactionId, phoneNumber, amount, dispatchedAt }) {
+    if (!providerTransactionId) {
+        const parked = saleId && phoneNumber ? await findUnmatchedAfricasTalkingStatus({ saleId, phoneNumber, amount, dispatchedAt }) : null;
+        if (!parked) {
+            return { status: 'UNKNOWN', message: "No Africa's Talking requestId to look up and no matching status callback yet." };
+        }
+        logger.info(`Matched parked Africa's Talking status callback ${parked.requestId} to sale ${saleId}.`);
+        return {
+            status: parked.status === 'Success' ? 'SUCCESS' : 'FAILED',
+            message: parked.description || parked.status,
+            providerTransactionId: parked.requestId,
         };
     }
+    try {
+        const result = await africastalking.AIRTIME.findTransactionStatus(providerTransactionId);
+        logger.info(`Africa's Talking transaction status for ${providerTransactionId}:`, result);
+
+        const transactionStatus = result?.data?.status;
+        if (transactionStatus === 'Success') {
+            return { status: 'SUCCESS', data: result };
+        }
+        if (['Failed', 'Rejected'].includes(transactionStatus)) {
+            return { status: 'FAILED', message: result?.data?.description || transactionStatus, data: result };
+        }
+        return { status: 'UNKNOWN', message: `Africa's Talking status: ${transactionStatus || 'N/A'}`, data: result };
+    } catch (error) {
+        // The SDK rejects with the response body for non-200 answers and with the axios error otherwise
+        const message = error?.message || error?.errorMessage || 'Unexpected response';
+        logger.error(`❌ Africa's Talking transaction status lookup failed for ${providerTransactionId}:`, { message, response_data: error?.response ? error.response.data : error });
+        return { status: 'UNKNOWN', message: `Status lookup failed: ${message}` };
+    }
+}
+
+// --- AIRTIME PROVIDERS (registry + per-carrier routing) ---
+// A provider is { name, floatName, commissionRate, send(phone, amount, carrier), checkBalance(), parseResult(rawResult), queryStatus(lookup) }.
+// parseResult normalizes a send() result to { status: 'SUCCESS' | 'FAILED' | 'UNKNOWN', message, providerTransactionId, reportedBalance, timedOut, deliveredAmount }.
+// deliveredAmount is optional: the amount the provider reports delivering, which can be less than it was asked to send.
+// queryStatus({ saleId, providerTransactionId, phoneNumber, amount, dispatchedAt }) resolves an UNKNOWN send to SUCCESS / FAILED (or UNKNOWN),
+// and may return the providerTransactionId it resolved a send without one to.
+const airtimeProviders = new Map();
+
+// Maps a raw send() status to SUCCESS / FAILED / UNKNOWN
+function normalizeSendStatus(rawResult) {
+    if (rawResult?.status === 'SUCCESS') return 'SUCCESS';
+    if (rawResult?.status === 'UNKNOWN') return 'UNKNOWN';
+    return 'FAILED';
+}
+
+// Africa's Talking answers per recipient entry with amounts like "KES 100.0000"; only 'Sent' entries were delivered
+function getAfricasTalkingDeliveredAmount(rawResult) {
+    const responses = rawResult?.data?.responses;
+    if (!Array.isArray(responses) || responses.length === 0) {
+        return null;
+    }
+    const sentAmounts = responses
+        .filter(response => response.status === 'Sent')
+        .map(response => parseFloat(String(response.amount || '').replace(/[^\d.]/g, '')));
+    if (sentAmounts.length === 0 || sentAmounts.some(isNaN)) {
+        return null;
+    }
+    return sentAmounts.reduce((total, amount) => total + amount, 0);
+}
+
+function registerAirtimeProvider(provider) {
+    for (const key of ['name', 'send', 'checkBalance', 'parseResult', 'queryStatus']) {
+        if (!provider[key]) {
+            throw new Error(`Airtime provider is missing required property "${key}".`);
+        }
+    }
+    airtimeProviders.set(provider.name, provider);
+    logger.info(`Registered airtime provider: ${provider.name}`);
+}
+
+function getAirtimeProvider(name) {
+    return airtimeProviders.get(name) || null;
+}
+
+// Reads the float document backing a provider (our own books, not the provider's figure)
+async function getFloatDocBalance(floatName) {
+    const floatDoc = await getFloatDocRef(floatName).get();
+    return floatDoc.exists ? parseFloat(floatDoc.data().balance) : 0;
+}
+
+registerAirtimeProvider({
+    name: 'SafaricomDealer',
+    floatName: 'safaricomFloat',
+    commissionRate: 0,
+    send: (phoneNumber, amount) => sendSafaricomAirtime(phoneNumber, amount),
+    // The Dealer API only reports the balance in send responses, so we return our tracked float
+    checkBalance: async () => ({ balance: await getFloatDocBalance('safaricomFloat'), source: 'FLOAT_DOC' }),
+    parseResult: (rawResult) => ({
+        status: normalizeSendStatus(rawResult),
+        message: typeof rawResult?.error === 'string' ? rawResult.error : (rawResult?.message || 'Safaricom Dealer Portal failed with unknown error.'),
+        providerTransactionId: rawResult?.safaricomInternalTransId || null,
+        reportedBalance: rawResult?.newSafaricomFloatBalance ?? null,
+        timedOut: Boolean(rawResult?.timedOut),
+    }),
+    queryStatus: (lookup) => querySafaricomAirtimeStatus(lookup),
+});
+
+registerAirtimeProvider({
+    name: 'AfricasTalking',
+    floatName: 'africasTalkingFloat',
+    commissionRate: 0.04,
+    send: (phoneNumber, amount, carrier) => sendAfricasTalkingAirtime(phoneNumber, amount, carrier),
+    checkBalance: async () => {
+        const appData = await africastalking.APPLICATION.fetchApplicationData();
+        // Balance comes back as e.g. "KES 1234.5000"
+        const balanceMatch = String(appData?.UserData?.balance || '').match(/([\d.]+)/);
+        return { balance: balanceMatch ? parseFloat(balanceMatch[1]) : null, source: 'PROVIDER', raw: appData?.UserData };
+    },
+    parseResult: (rawResult) => ({
+        status: normalizeSendStatus(rawResult),
+        message: typeof rawResult?.error === 'string' ? rawResult.error : (rawResult?.message || "Africa's Talking dispatch failed with no specific error."),
+        providerTransactionId: rawResult?.data?.responses?.[0]?.requestId || null,
+        reportedBalance: null,
+        timedOut: Boolean(rawResult?.timedOut),
+        deliveredAmount: getAfricasTalkingDeliveredAmount(rawResult),
+    }),
+    queryStatus: (lookup) => queryAfricasTalkingAirtimeStatus(lookup),
+});
+
+// Local fake for development and tests: no float movement, fails for numbers listed in FAKE_AIRTIME_FAIL_NUMBERS
+if (process.env.ENABLE_FAKE_AIRTIME_PROVIDER === 'true') {
+    const fakeFailNumbers = (process.env.FAKE_AIRTIME_FAIL_NUMBERS || '').split(',').map(num => num.trim()).filter(Boolean);
+    registerAirtimeProvider({
+        name: 'LocalFake',
+        floatName: null,
+        commissionRate: 0,
+        send: async (phoneNumber, amount) => {
+            logger.info(`🧪 LocalFake airtime send: ${amount} to ${phoneNumber}`);
+            if (fakeFailNumbers.includes(phoneNumber)) {
+                return { status: 'FAILED', message: 'LocalFake configured to fail for this number.' };
+            }
+            return { status: 'SUCCESS', message: 'LocalFake airtime sent', data: { transactionId: `FAKE-${Date.now()}` } };
+        },
+        checkBalance: async () => ({ balance: null, source: 'FAKE' }),
+        parseResult: (rawResult) => ({
+            status: normalizeSendStatus(rawResult),
+            message: rawResult?.message || null,
+            providerTransactionId: rawResult?.data?.transactionId || null,
+            reportedBalance: null,
+        }),
+        queryStatus: async ({ phoneNumber }) => ({ status: fakeFailNumbers.includes(phoneNumber) ? 'FAILED' : 'SUCCESS' }),
+    });
+}
+
+// --- PROVIDER CIRCUIT BREAKERS ---
+// Per-provider, in-memory. CLOSED: requests flow and outcomes are tracked over a sliding window.
+// OPEN: the provider is skipped until the cool-down passes. HALF_OPEN: a single probe request is let
+// through; success closes the circuit, failure re-opens it.
+const CIRCUIT_WINDOW_MS = parseInt(process.env.CIRCUIT_WINDOW_MS || String(5 * 60 * 1000), 10); // 5 minutes
+const CIRCUIT_MIN_REQUESTS = parseInt(process.env.CIRCUIT_MIN_REQUESTS || '5', 10);
+const CIRCUIT_FAILURE_RATE_THRESHOLD = parseFloat(process.env.CIRCUIT_FAILURE_RATE_THRESHOLD || '0.5');
+const CIRCUIT_OPEN_DURATION_MS = parseInt(process.env.CIRCUIT_OPEN_DURATION_MS || String(60 * 1000), 10); // 1 minute
+
+const providerCircuits = new Map();
+
+function getProviderCircuit(providerName) {
+    if (!providerCircuits.has(providerName)) {
+        providerCircuits.set(providerName, {
+            state: 'CLOSED',
+            outcomes: [], // { at, outcome: 'SUCCESS' | 'FAILURE' | 'TIMEOUT' }
+            openedAt: null,
+            probeInFlight: false,
+            lastFailureMessage: null,
+        });
+    }
+    return providerCircuits.get(providerName);
+}
+
+function pruneCircuitOutcomes(circuit) {
+    const cutoff = Date.now() - CIRCUIT_WINDOW_MS;
+    circuit.outcomes = circuit.outcomes.filter(entry => entry.at >= cutoff);
+}
+
+// Returns true if a request may be sent to the provider now (claims the half-open probe slot if applicable)
+function circuitAllowsRequest(providerName) {
+    const circuit = getProviderCircuit(providerName);
+    if (circuit.state === 'OPEN') {
+        if (Date.now() - circuit.openedAt < CIRCUIT_OPEN_DURATION_MS) {
+            return false;
+        }
+        circuit.state = 'HALF_OPEN';
+        logger.info(`🟡 Circuit for ${providerName} is HALF_OPEN. Letting a probe request through.`);
+    }
+    if (circuit.state === 'HALF_OPEN') {
+        if (circuit.probeInFlight) {
+            return false;
+        }
+        circuit.probeInFlight = true;
+    }
+    return true;
+}
+
+function recordProviderOutcome(providerName, outcome, message = null) {
+    const circuit = getProviderCircuit(providerName);
+    circuit.outcomes.push({ at: Date.now(), outcome });
+    pruneCircuitOutcomes(circuit);
+    if (outcome !== 'SUCCESS') {
+        circuit.lastFailureMessage = message;
+    }
+
+    if (circuit.state === 'HALF_OPEN') {
+        circuit.probeInFlight = false;
+        if (outcome === 'SUCCESS') {
+            circuit.state = 'CLOSED';
+            circuit.outcomes = [];
+            logger.info(`🟢 Circuit for ${providerName} CLOSED after a successful probe.`);
+        } else {
+            circuit.state = 'OPEN';
+            circuit.openedAt = Date.now();
+            logger.warn(`🔴 Circuit for ${providerName} re-OPENED after a failed probe: ${message}`);
+        }
+        return;
+    }
+
+    const failures = circuit.outcomes.filter(entry => entry.outcome !== 'SUCCESS').length;
+    if (circuit.state === 'CLOSED' && circuit.outcomes.length >= CIRCUIT_MIN_REQUESTS && failures / circuit.outcomes.length >= CIRCUIT_FAILURE_RATE_THRESHOLD) {
+        circuit.state = 'OPEN';
+        circuit.openedAt = Date.now();
+        logger.error(`🔴 Circuit for ${providerName} OPENED: ${failures}/${circuit.outcomes.length} failures in the last ${CIRCUIT_WINDOW_MS / 1000}s.`);
+        errorsCollection.add({
+            type: 'PROVIDER_CIRCUIT_OPENED',
+            provider: providerName,
+            failures: failures,
+            requests: circuit.outcomes.length,
+            lastFailureMessage: message,
+            createdAt: FieldValue.serverTimestamp(),
+        }).catch(error => logger.error(`❌ Failed to log circuit opening for ${providerName}: ${error.message}`));
+    }
+}
+
+// Frees the half-open probe slot when a claimed request never reached the provider
+function releaseCircuitProbe(providerName) {
+    getProviderCircuit(providerName).probeInFlight = false;
+}
+
+// Snapshot of a provider's circuit for the health endpoint
+function describeProviderCircuit(providerName) {
+    const circuit = getProviderCircuit(providerName);
+    pruneCircuitOutcomes(circuit);
+    const count = (outcome) => circuit.outcomes.filter(entry => entry.outcome === outcome).length;
+    return {
+        provider: providerName,
+        state: circuit.state === 'OPEN' && Date.now() - circuit.openedAt >= CIRCUIT_OPEN_DURATION_MS ? 'HALF_OPEN_PENDING' : circuit.state,
+        openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+        windowSeconds: CIRCUIT_WINDOW_MS / 1000,
+        requests: circuit.outcomes.length,
+        successes: count('SUCCESS'),
+        failures: count('FAILURE'),
+        timeouts: count('TIMEOUT'),
+        lastFailureMessage: circuit.lastFailureMessage,
+    };
+}
+
+// Routing: ordered provider list (primary first, then fallbacks) per carrier, stored in airtime_routing/current.
+// Carriers missing from the document use these defaults (the original hardcoded behaviour).
+const DEFAULT_AIRTIME_ROUTES = {
+    Safaricom: ['SafaricomDealer', 'AfricasTalking'],
+    Airtel: ['AfricasTalking'],
+    Telkom: ['AfricasTalking'],
+    Equitel: ['AfricasTalking'],
+    Faiba: ['AfricasTalking'],
+};
+const AIRTIME_ROUTING_CACHE_TTL = 60 * 1000; // 1 minute
+let cachedAirtimeRoutes = null;
+let airtimeRoutesExpiryTimestamp = 0;
+
+async function getAirtimeRoutes() {
+    const now = Date.now();
+    if (cachedAirtimeRoutes && now < airtimeRoutesExpiryTimestamp) {
+        return cachedAirtimeRoutes;
+    }
+    const routingDoc = await airtimeRoutingDocRef.get();
+    cachedAirtimeRoutes = { ...DEFAULT_AIRTIME_ROUTES, ...(routingDoc.exists ? routingDoc.data().routes : {}) };
+    airtimeRoutesExpiryTimestamp = now + AIRTIME_ROUTING_CACHE_TTL;
+    return cachedAirtimeRoutes;
+}
+
+// Ordered list of registered provider names to try for a carrier
+async function getAirtimeRoute(carrier) {
+    const routes = await getAirtimeRoutes();
+    return (routes[carrier] || []).filter(providerName => {
+        if (!airtimeProviders.has(providerName)) {
+            logger.warn(`⚠️ Routing for ${carrier} references unregistered airtime provider "${providerName}". Skipping it.`);
+            return false;
+        }
+        return true;
+    });
 }
 
 // Helper function to notify the offline server (add this somewhere in your server.js)
@@ -474,9 +981,18 @@ async function notifyOfflineServerForFulfillment(transactionDetails) {
             logger.error('OFFLINE_SERVER_FULFILLMENT_URL is not set in environment variables. Cannot notify offline server.');
             return { success: false, message: 'Offline server URL not configured.' };
         }
+        const hmacSecret = process.env.OFFLINE_SERVER_HMAC_SECRET;
+        if (!hmacSecret) {
+            logger.error('OFFLINE_SERVER_HMAC_SECRET is not set in environment variables. Refusing to send an unsigned fulfillment notification.');
+            return { success: false, message: 'Offline server HMAC secret not configured.' };
+        }
+
+        // Sign the exact body we send (timestamp + nonce + HMAC headers) so the offline server can reject forged or replayed orders.
+        // Retries are signed afresh, so the checkoutRequestID goes along as the idempotency key the offline server dedupes on.
+        const signed = signPayload(transactionDetails, hmacSecret, { idempotencyKey: transactionDetails.checkoutRequestID });
 
         // Send a POST request to your offline server
-        const response = await axios.post(offlineServerUrl, transactionDetails);
+        const response = await axios.post(offlineServerUrl, signed.body, { headers: signed.headers });
 
         logger.info(`✅ Notified offline server for fulfillment of ${transactionDetails.checkoutRequestID}. Offline server response:`, response.data);
         return { success: true, responseData: response.data };
@@ -503,6 +1019,184 @@ async function notifyOfflineServerForFulfillment(transactionDetails) {
     }
 }
 
+// --- OFFLINE NOTIFICATION OUTBOX (durable retry queue for failed fulfillment notifications) ---
+const OFFLINE_NOTIFICATION_MAX_ATTEMPTS = parseInt(process.env.OFFLINE_NOTIFICATION_MAX_ATTEMPTS || '8', 10);
+const OFFLINE_NOTIFICATION_BASE_DELAY_MS = parseInt(process.env.OFFLINE_NOTIFICATION_BASE_DELAY_MS || String(30 * 1000), 10); // 30 seconds
+const OFFLINE_NOTIFICATION_MAX_DELAY_MS = parseInt(process.env.OFFLINE_NOTIFICATION_MAX_DELAY_MS || String(60 * 60 * 1000), 10); // 1 hour
+const OFFLINE_NOTIFICATION_WORKER_INTERVAL_MS = parseInt(process.env.OFFLINE_NOTIFICATION_WORKER_INTERVAL_MS || String(30 * 1000), 10);
+// A PROCESSING claim older than this is treated as abandoned (crash or restart mid-delivery) and can be reclaimed
+const OFFLINE_NOTIFICATION_LEASE_MS = parseInt(process.env.OFFLINE_NOTIFICATION_LEASE_MS || String(5 * 60 * 1000), 10); // 5 minutes
+
+// Exponential backoff: base * 2^(attempts - 1), capped
+function getOfflineNotificationBackoffMs(attempts) {
+    const delay = OFFLINE_NOTIFICATION_BASE_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0));
+    return Math.min(delay, OFFLINE_NOTIFICATION_MAX_DELAY_MS);
+}
+
+// Queues a notification whose first delivery attempt already failed. Keyed by checkoutRequestID so it is only queued once.
+async function enqueueOfflineNotification(transactionDetails, lastError) {
+    const queueDocRef = offlineNotificationQueueCollection.doc(transactionDetails.checkoutRequestID);
+    await queueDocRef.set({
+        checkoutRequestID: transactionDetails.checkoutRequestID,
+        payload: transactionDetails,
+        status: 'PENDING',
+        attempts: 1,
+        maxAttempts: OFFLINE_NOTIFICATION_MAX_ATTEMPTS,
+        lastError: lastError || null,
+        nextAttemptAt: Timestamp.fromMillis(Date.now() + getOfflineNotificationBackoffMs(1)),
+        createdAt: FieldValue.serverTimestamp(),
+        lastUpdated: FieldValue.serverTimestamp(),
+    });
+    logger.info(`📥 Queued offline server notification for ${transactionDetails.checkoutRequestID} for retry.`);
+}
+
+// A PROCESSING item whose lease has run out was abandoned by the process that claimed it.
+function isOfflineNotificationLeaseExpired(queueData) {
+    return queueData.status === 'PROCESSING'
+        && (!queueData.leaseExpiresAt || queueData.leaseExpiresAt.toMillis() <= Date.now());
+}
+
+// Claims a queued item (so the worker and an admin retry never deliver it twice) and attempts delivery once.
+// The claim carries a lease so an item stranded in PROCESSING can be reclaimed once the lease expires.
+async function deliverQueuedOfflineNotification(queueDocRef, { allowedStatuses = ['PENDING'] } = {}) {
+    const claimed = await firestore.runTransaction(async t => {
+        const queueSnap = await t.get(queueDocRef);
+        if (!queueSnap.exists) {
+            return null;
+        }
+        const queueData = queueSnap.data();
+        if (!allowedStatuses.includes(queueData.status) && !isOfflineNotificationLeaseExpired(queueData)) {
+            return null;
+        }
+        t.update(queueDocRef, {
+            status: 'PROCESSING',
+            leaseExpiresAt: Timestamp.fromMillis(Date.now() + OFFLINE_NOTIFICATION_LEASE_MS),
+            lastUpdated: FieldValue.serverTimestamp(),
+        });
+        return queueData;
+    });
+
+    if (!claimed) {
+        return { delivered: false, skipped: true };
+    }
+
+    try {
+        return await completeQueuedOfflineNotification(queueDocRef, claimed);
+    } catch (error) {
+        // Release the claim so the item is retried instead of waiting out the lease
+        await queueDocRef.update({
+            status: 'PENDING',
+            leaseExpiresAt: FieldValue.delete(),
+            lastError: error.message,
+            lastUpdated: FieldValue.serverTimestamp(),
+        }).catch(releaseError => {
+            logger.error(`❌ Failed to release offline notification claim for ${claimed.checkoutRequestID}:`, { message: releaseError.message });
+        });
+        throw error;
+    }
+}
+
+async function completeQueuedOfflineNotification(queueDocRef, claimed) {
+    const attempts = (claimed.attempts || 0) + 1;
+    const stkTransactionDocRef = stkTransactionsCollection.doc(claimed.checkoutRequestID);
+    const notificationResult = await notifyOfflineServerForFulfillment(claimed.payload);
+
+    if (notificationResult.success) {
+        await queueDocRef.update({
+            status: 'DELIVERED',
+            attempts: attempts,
+            leaseExpiresAt: FieldValue.delete(),
+            deliveredAt: FieldValue.serverTimestamp(),
+            lastUpdated: FieldValue.serverTimestamp(),
+        });
+        await stkTransactionDocRef.update({
+            offlineNotificationStatus: 'SUCCESS',
+            lastUpdated: FieldValue.serverTimestamp(),
+        });
+        logger.info(`✅ Queued offline server notification for ${claimed.checkoutRequestID} delivered on attempt ${attempts}.`);
+        return { delivered: true, status: 'DELIVERED', attempts };
+    }
+
+    if (attempts >= (claimed.maxAttempts || OFFLINE_NOTIFICATION_MAX_ATTEMPTS)) {
+        await queueDocRef.update({
+            status: 'DEAD_LETTER',
+            attempts: attempts,
+            leaseExpiresAt: FieldValue.delete(),
+            lastError: notificationResult.message,
+            deadLetteredAt: FieldValue.serverTimestamp(),
+            lastUpdated: FieldValue.serverTimestamp(),
+        });
+        await stkTransactionDocRef.update({
+            offlineNotificationStatus: 'DEAD_LETTER',
+            offlineNotificationError: notificationResult.message,
+            lastUpdated: FieldValue.serverTimestamp(),
+        });
+        await errorsCollection.add({
+            type: 'OFFLINE_SERVER_NOTIFICATION_DEAD_LETTER',
+            checkoutRequestID: claimed.checkoutRequestID,
+            attempts: attempts,
+            error: notificationResult.message,
+            createdAt: FieldValue.serverTimestamp(),
+        });
+        logger.error(`❌ Offline server notification for ${claimed.checkoutRequestID} moved to DEAD_LETTER after ${attempts} attempts.`);
+        return { delivered: false, status: 'DEAD_LETTER', attempts };
+    }
+
+    const backoffMs = getOfflineNotificationBackoffMs(attempts);
+    await queueDocRef.update({
+        status: 'PENDING',
+        attempts: attempts,
+        lastError: notificationResult.message,
+        leaseExpiresAt: FieldValue.delete(),
+        nextAttemptAt: Timestamp.fromMillis(Date.now() + backoffMs),
+        lastUpdated: FieldValue.serverTimestamp(),
+    });
+    logger.warn(`⚠️ Offline server notification retry ${attempts} failed for ${claimed.checkoutRequestID}. Next attempt in ${backoffMs / 1000}s.`);
+    return { delivered: false, status: 'PENDING', attempts };
+}
+
+let offlineNotificationWorkerRunning = false;
+
+async function processOfflineNotificationQueue() {
+    if (offlineNotificationWorkerRunning) {
+        return;
+    }
+    offlineNotificationWorkerRunning = true;
+
+    try {
+        // Requires a composite index on offline_notification_queue (status ASC, nextAttemptAt ASC)
+        const dueSnapshot = await offlineNotificationQueueCollection
+            .where('status', '==', 'PENDING')
+            .where('nextAttemptAt', '<=', Timestamp.now())
+            .orderBy('nextAttemptAt')
+            .limit(25)
+            .get();
+
+        // Requires a composite index on offline_notification_queue (status ASC, leaseExpiresAt ASC)
+        const staleSnapshot = await offlineNotificationQueueCollection
+            .where('status', '==', 'PROCESSING')
+            .where('leaseExpiresAt', '<=', Timestamp.now())
+            .orderBy('leaseExpiresAt')
+            .limit(25)
+            .get();
+        if (!staleSnapshot.empty) {
+            logger.warn(`⚠️ Reclaiming ${staleSnapshot.size} offline notification(s) stuck in PROCESSING past their lease.`);
+        }
+
+        for (const queueDoc of [...dueSnapshot.docs, ...staleSnapshot.docs]) {
+            try {
+                await deliverQueuedOfflineNotification(queueDoc.ref);
+            } catch (error) {
+                logger.error(`❌ Offline notification worker failed for ${queueDoc.id}:`, { message: error.message, stack: error.stack });
+            }
+        }
+    } catch (error) {
+        logger.error('❌ Offline notification worker run failed:', { message: error.message, stack: error.stack });
+    } finally {
+        offlineNotificationWorkerRunning = false;
+    }
+}
+
 
 function generateSecurityCredential(password) {
     const certificatePath = '/etc/secrets/ProductionCertificate.cer';
@@ -528,39 +1222,289 @@ function generateSecurityCredential(password) {
     }
 }
 
-// --- NEW: Daraja Reversal Function ---
-async function initiateDarajaReversal(transactionId, amount, receiverMsisdn) { 
-    logger.info(`🔄 Attempting Daraja reversal for TransID: ${transactionId}, Amount: ${amount}`);
-    try {
-        const accessToken = await getDarajaAccessToken(); // Function to get Daraja access token
+// --- REVERSAL LIFECYCLE ---
+// The state machine (REVERSAL_TRANSITIONS) and retry bookkeeping live in reversalStateMachine.js.
+const REVERSAL_MAX_ATTEMPTS = parseInt(process.env.REVERSAL_MAX_ATTEMPTS || '3', 10);
+const REVERSAL_RETRY_BASE_DELAY_MS = parseInt(process.env.REVERSAL_RETRY_BASE_DELAY_MS || String(10 * 60 * 1000), 10); // 10 minutes
+const REVERSAL_RETRY_MAX_DELAY_MS = parseInt(process.env.REVERSAL_RETRY_MAX_DELAY_MS || String(6 * 60 * 60 * 1000), 10); // 6 hours
+// Reversals above this amount wait for a finance approval. Unset means no approval step.
+const REVERSAL_APPROVAL_THRESHOLD = process.env.REVERSAL_APPROVAL_THRESHOLD ? parseFloat(process.env.REVERSAL_APPROVAL_THRESHOLD) : null;
+
+// How a customer gets their money back when airtime could not be delivered:
+//   REVERSAL_ONLY     - TransactionReversal only (retried, then manual review). The default.
+//   REVERSAL_THEN_B2C - TransactionReversal, falling back to a B2C BusinessPayment when it is ineligible, rejected by
+//                       Daraja or exhausted. Attempts that timed out are checked with the Transaction Status API first.
+//   B2C_ONLY          - always refund through B2C
+// Bulk order lines are refunded through B2C under any strategy, or flagged for manual review without it.
+const REFUND_STRATEGIES = ['REVERSAL_ONLY', 'REVERSAL_THEN_B2C', 'B2C_ONLY'];
+const REFUND_STRATEGY = REFUND_STRATEGIES.includes(process.env.REFUND_STRATEGY) ? process.env.REFUND_STRATEGY : 'REVERSAL_ONLY';
+const REVERSAL_MAX_AGE_DAYS = parseInt(process.env.REVERSAL_MAX_AGE_DAYS || '30', 10); // Older payments go straight to B2C
+const REFUND_METHOD_LABELS = { REVERSAL: 'Reversal', B2C: 'B2C refund' };
+
+function getReversalRetryDelay(attempt) {
+    return getReversalRetryDelayMs(attempt, { baseDelayMs: REVERSAL_RETRY_BASE_DELAY_MS, maxDelayMs: REVERSAL_RETRY_MAX_DELAY_MS });
+}
 
-        if (!accessToken) {
-            throw new Error("Failed to get Daraja access token for reversal.");
-        }
+// STK fulfillments are keyed by CheckoutRequestID; Daraja reverses by the M-Pesa receipt number
+async function resolveMpesaTransactionId(transactionId) {
+    const stkTransactionDoc = await stkTransactionsCollection.doc(transactionId).get();
+    if (!stkTransactionDoc.exists) {
+        return transactionId; // C2B: our transaction ID already is the M-Pesa TransID
+    }
+    const receipt = stkTransactionDoc.data().mpesaReceiptNumber;
+    if (!receipt) {
+        throw new Error(`No M-Pesa receipt recorded for STK transaction ${transactionId}; it cannot be reversed automatically.`);
+    }
+    return receipt;
+}
 
-        const url = process.env.MPESA_REVERSAL_URL; 
-        const shortCode = process.env.MPESA_SHORTCODE; 
-        const initiator = process.env.MPESA_INITIATOR_NAME; 
-        const password=process.env.MPESA_SECURITY_PASSWORD;
-        const securityCredential = generateSecurityCredential(password);  
-        
+// Never throws: Daraja has already accepted the request, so a failed write must not be mistaken for a failed refund
+async function recordReversalInitiated({ method, transactionId, mpesaTransactionId, amount, receiverMsisdn, originatorConversationId, conversationId, response, options }) {
+    try {
+        await writeReversalInitiated({ method, transactionId, mpesaTransactionId, amount, receiverMsisdn, originatorConversationId, conversationId, response, options });
+    } catch (error) {
+        logger.error(`❌ ${REFUND_METHOD_LABELS[method]} ${originatorConversationId} for TransID ${transactionId} was accepted but could not be recorded:`, { message: error.message });
+        await errorsCollection.add({
+            type: 'REVERSAL_RECORD_FAILED',
+            method: method,
+            transactionId: transactionId,
+            amount: amount,
+            originatorConversationId: originatorConversationId || null,
+            conversationId: conversationId || null,
+            response: response,
+            error: error.message,
+            createdAt: FieldValue.serverTimestamp(),
+        }).catch(() => {});
+    }
+}
 
-        if (!url || !shortCode || !initiator || !securityCredential) {
-            throw new Error("Missing Daraja reversal environment variables.");
+async function writeReversalInitiated({ method, transactionId, mpesaTransactionId, amount, receiverMsisdn, originatorConversationId, conversationId, response, options }) {
+    if (!originatorConversationId) {
+        logger.error(`❌ Daraja accepted the reversal for TransID ${transactionId} without an OriginatorConversationID. Its callbacks cannot be matched.`);
+        return;
+    }
+    const reversalRef = reversalsCollection.doc(originatorConversationId);
+    const batch = firestore.batch();
+    batch.set(reversalRef, {
+        method: method, // REVERSAL or B2C
+        transactionId: transactionId,
+        mpesaTransactionId: mpesaTransactionId,
+        amount: amount,
+        scope: options.scope || 'FULL', // FULL payment, or the UNDELIVERED / REMAINING part of it
+        receiverMsisdn: receiverMsisdn,
+        originatorConversationId: originatorConversationId,
+        conversationId: conversationId,
+        status: 'INITIATED',
+        attempt: options.attempt || 1,
+        retryOf: options.retryOf || null, // Previous reversal this one retries
+        approvalId: options.approvalId || null,
+        fallbackFrom: options.fallbackFrom || null, // Reversal this B2C refund replaces
+        fallbackReason: options.fallbackReason || null,
+        unpaidRemainder: options.unpaidRemainder || 0, // Cents B2C could not pay, left for a manual refund
+        initiatedBy: options.actor || 'system',
+        initiationResponse: response,
+        initiatedAt: FieldValue.serverTimestamp(),
+        lastUpdated: FieldValue.serverTimestamp(),
+    });
+    batch.set(reversalRef.collection('history').doc(), {
+        event: 'INITIATED',
+        status: 'INITIATED',
+        payload: response,
+        receivedAt: FieldValue.serverTimestamp(),
+    });
+    await batch.commit();
+}
+
+// Finds a reversal from the IDs in a Daraja callback, trying the document ID first
+async function findReversal(originatorConversationId, conversationId) {
+    if (originatorConversationId) {
+        const reversalDoc = await reversalsCollection.doc(originatorConversationId).get();
+        if (reversalDoc.exists) {
+            return reversalDoc.ref;
+        }
+    }
+    if (conversationId) {
+        const snapshot = await reversalsCollection.where('conversationId', '==', conversationId).limit(1).get();
+        if (!snapshot.empty) {
+            return snapshot.docs[0].ref;
         }
+    }
+    return null;
+}
 
-        const payload = {
-            Initiator: initiator,
-            SecurityCredential: securityCredential, // Use your actual security credential
-            CommandID: "TransactionReversal",
-            TransactionID: transactionId, // The M-Pesa TransID to be reversed
-            Amount: amount, // The amount to reverse
-            ReceiverParty: shortCode, // Your Short Code
-            RecieverIdentifierType: "11",
-            QueueTimeOutURL: process.env.MPESA_REVERSAL_QUEUE_TIMEOUT_URL, // URL for timeout callbacks
-            ResultURL: process.env.MPESA_REVERSAL_RESULT_URL, // URL for result callbacks
-            Remarks: `Airtime dispatch failed for ${transactionId}`,
-            Occasion: "Failed Airtime Topup"
+/**
+ * Moves a reversal to its next state if the state machine allows it. Every callback lands in the history
+ * subcollection, including ones that arrive out of order or twice.
+ *
+ * @param {object} [extraFields] - Additional fields written only when the transition applies.
+ * @returns {Promise<{ applied: boolean, previousStatus: string, reversal: object }>}
+ */
+async function transitionReversal(reversalRef, nextStatus, callbackData, extraFields = {}) {
+    return firestore.runTransaction(async t => {
+        const reversalDoc = await t.get(reversalRef);
+        if (!reversalDoc.exists) {
+            return { applied: false, previousStatus: null, reversal: null };
+        }
+        const reversal = reversalDoc.data();
+        const previousStatus = reversal.status;
+        const applied = canTransitionReversal(reversal.status, nextStatus);
+
+        t.set(reversalRef.collection('history').doc(), {
+            event: applied ? nextStatus : 'IGNORED_TRANSITION',
+            fromStatus: reversal.status,
+            requestedStatus: nextStatus,
+            payload: callbackData,
+            receivedAt: FieldValue.serverTimestamp(),
+        });
+        if (applied) {
+            const update = {
+                status: nextStatus,
+                [`${nextStatus === 'TIMED_OUT' ? 'timedOut' : nextStatus.toLowerCase()}At`]: FieldValue.serverTimestamp(),
+                lastCallback: callbackData,
+                lastUpdated: FieldValue.serverTimestamp(),
+                ...extraFields,
+            };
+            const retryUpdate = getReversalRetryUpdate(reversal, nextStatus, {
+                refundStrategy: REFUND_STRATEGY,
+                maxAttempts: REVERSAL_MAX_ATTEMPTS,
+                baseDelayMs: REVERSAL_RETRY_BASE_DELAY_MS,
+                maxDelayMs: REVERSAL_RETRY_MAX_DELAY_MS,
+            });
+            if (retryUpdate.retryStatus) {
+                update.retryStatus = retryUpdate.retryStatus;
+            }
+            if (retryUpdate.nextRetryAt !== undefined) {
+                update.nextRetryAt = retryUpdate.nextRetryAt === null ? null : Timestamp.fromMillis(retryUpdate.nextRetryAt);
+            }
+            t.update(reversalRef, update);
+            Object.assign(reversal, update);
+        }
+        return { applied, previousStatus, reversal };
+    });
+}
+
+// Whether Daraja can still reverse the payment: it needs the M-Pesa receipt and rejects old transactions
+async function checkReversalEligibility(transactionId) {
+    const [stkTransactionDoc, transactionDoc] = await Promise.all([
+        stkTransactionsCollection.doc(transactionId).get(),
+        transactionsCollection.doc(transactionId).get(),
+    ]);
+    if (stkTransactionDoc.exists && !stkTransactionDoc.data().mpesaReceiptNumber) {
+        return { eligible: false, reason: 'No M-Pesa receipt recorded for this STK payment.' };
+    }
+    const paidAt = stkTransactionDoc.exists ? stkTransactionDoc.data().initialRequestAt : (transactionDoc.exists ? transactionDoc.data().createdAt : null);
+    if (paidAt && typeof paidAt.toMillis === 'function' && Date.now() - paidAt.toMillis() > REVERSAL_MAX_AGE_DAYS * 24 * 60 * 60 * 1000) {
+        return { eligible: false, reason: `Payment is older than ${REVERSAL_MAX_AGE_DAYS} days.` };
+    }
+    return { eligible: true };
+}
+
+function isB2CRefundConfigured() {
+    return Boolean(process.env.MPESA_B2C_SHORTCODE
+        && (process.env.MPESA_B2C_INITIATOR_NAME || process.env.MPESA_INITIATOR_NAME)
+        && (process.env.MPESA_B2C_SECURITY_PASSWORD || process.env.MPESA_SECURITY_PASSWORD)
+        && process.env.MPESA_B2C_RESULT_URL
+        && process.env.MPESA_B2C_QUEUE_TIMEOUT_URL);
+}
+
+/**
+ * Refunds a payment using the configured REFUND_STRATEGY (see getRefundRoute for part-refunds and bulk order lines).
+ *
+ * @returns {Promise<object>} The initiateDarajaReversal / initiateB2CRefund result, with the method used.
+ */
+async function initiateRefund(transactionId, amount, receiverMsisdn, options = {}) {
+    const transactionDoc = await transactionsCollection.doc(transactionId).get();
+    const route = getRefundRoute({
+        refundStrategy: REFUND_STRATEGY,
+        scope: options.scope,
+        bulkOrderLine: Boolean(transactionDoc.exists && transactionDoc.data().bulkOrderId),
+        b2cConfigured: isB2CRefundConfigured(),
+    });
+    if (route.method === 'B2C') {
+        return initiateB2CRefund(transactionId, amount, receiverMsisdn, route.reason ? { ...options, fallbackReason: route.reason } : options);
+    }
+    if (route.method === 'MANUAL_REVIEW') {
+        const message = `Refund of ${amount} needs to be made by hand: ${route.reason}`;
+        logger.warn(`✋ ${message} TransID ${transactionId}.`);
+        return { success: false, method: 'REVERSAL', manualReview: true, manualReviewCode: route.code, message, error: message };
+    }
+
+    const eligibility = await checkReversalEligibility(transactionId);
+    if (!eligibility.eligible) {
+        if (REFUND_STRATEGY === 'REVERSAL_THEN_B2C') {
+            logger.info(`ℹ️ TransID ${transactionId} cannot be reversed (${eligibility.reason}). Refunding via B2C.`);
+            return initiateB2CRefund(transactionId, amount, receiverMsisdn, { ...options, fallbackReason: eligibility.reason });
+        }
+        return { success: false, method: 'REVERSAL', message: `Reversal not possible: ${eligibility.reason}`, error: eligibility.reason };
+    }
+
+    const reversalResult = await initiateDarajaReversal(transactionId, amount, receiverMsisdn, options);
+    // Only a definite refusal is safe to pay out over: after a network error the reversal may still have gone through
+    if (!reversalResult.success && reversalResult.rejected && REFUND_STRATEGY === 'REVERSAL_THEN_B2C') {
+        logger.warn(`⚠️ Reversal for TransID ${transactionId} was rejected by Daraja (${reversalResult.message}). Refunding via B2C.`);
+        return initiateB2CRefund(transactionId, amount, receiverMsisdn, { ...options, fallbackReason: reversalResult.message });
+    }
+    return reversalResult;
+}
+
+// Entry point for automatic reversals: large amounts wait for approval, everything else goes straight to Daraja
+async function requestReversal(transactionId, amount, receiverMsisdn, reason, options = {}) {
+    if (REVERSAL_APPROVAL_THRESHOLD === null || amount <= REVERSAL_APPROVAL_THRESHOLD) {
+        return initiateRefund(transactionId, amount, receiverMsisdn, options);
+    }
+
+    const approvalRef = reversalsCollection.doc();
+    await approvalRef.set({
+        transactionId: transactionId,
+        amount: amount,
+        scope: options.scope || 'FULL',
+        receiverMsisdn: receiverMsisdn,
+        status: 'PENDING_APPROVAL',
+        reason: reason || null,
+        requestedAt: FieldValue.serverTimestamp(),
+        lastUpdated: FieldValue.serverTimestamp(),
+    });
+    logger.warn(`✋ Reversal of ${amount} for TransID ${transactionId} exceeds ${REVERSAL_APPROVAL_THRESHOLD} and is waiting for approval (${approvalRef.id}).`);
+    return { success: true, pendingApproval: true, approvalId: approvalRef.id, message: 'Reversal is waiting for approval.' };
+}
+
+// --- NEW: Daraja Reversal Function ---
+async function initiateDarajaReversal(transactionId, amount, receiverMsisdn, options = {}) {
+    logger.info(`🔄 Attempting Daraja reversal for TransID: ${transactionId}, Amount: ${amount}`);
+    let response;
+    let mpesaTransactionId;
+    try {
+        const accessToken = await getAccessToken(); // Reversals use the same Daraja app credentials as STK Push
+
+        if (!accessToken) {
+            throw new Error("Failed to get Daraja access token for reversal.");
+        }
+
+        const url = process.env.MPESA_REVERSAL_URL; 
+        const shortCode = process.env.MPESA_SHORTCODE; 
+        const initiator = process.env.MPESA_INITIATOR_NAME; 
+        const password=process.env.MPESA_SECURITY_PASSWORD;
+        const securityCredential = generateSecurityCredential(password);  
+        
+
+        if (!url || !shortCode || !initiator || !securityCredential) {
+            throw new Error("Missing Daraja reversal environment variables.");
+        }
+
+        mpesaTransactionId = await resolveMpesaTransactionId(transactionId);
+
+        const payload = {
+            Initiator: initiator,
+            SecurityCredential: securityCredential, // Use your actual security credential
+            CommandID: "TransactionReversal",
+            TransactionID: mpesaTransactionId, // The M-Pesa TransID to be reversed
+            Amount: amount, // The amount to reverse
+            ReceiverParty: shortCode, // Your Short Code
+            RecieverIdentifierType: "11",
+            QueueTimeOutURL: process.env.MPESA_REVERSAL_QUEUE_TIMEOUT_URL, // URL for timeout callbacks
+            ResultURL: process.env.MPESA_REVERSAL_RESULT_URL, // URL for result callbacks
+            Remarks: `Airtime dispatch failed for ${transactionId}`,
+            Occasion: "Failed Airtime Topup"
         };
 
         const headers = {
@@ -568,30 +1512,7 @@ async function initiateDarajaReversal(transactionId, amount, receiverMsisdn) {
             'Authorization': `Bearer ${accessToken}`
         };
 
-        const response = await axios.post(url, payload, { headers });
-
-        logger.info(`✅ Daraja Reversal API response for TransID ${transactionId}:`, response.data);
-
-        if (response.data && response.data.ResponseCode === '0') {
-            return {
-                success: true,
-                message: "Reversal request accepted by Daraja.",
-                data: response.data,
-                // You might store the ConversationID for tracking if provided
-                conversationId: response.data.ConversationID || null,
-            };
-        } else {
-            const errorMessage = response.data ?
-                `Daraja reversal request failed: ${response.data.ResponseDescription || 'Unknown error'}` :
-                'Daraja reversal request failed with no response data.';
-            logger.error(`❌ Daraja reversal request not accepted for TransID ${transactionId}: ${errorMessage}`);
-            return {
-                success: false,
-                message: errorMessage,
-                data: response.data,
-            };
-        }
-
+        response = await axios.post(url, payload, { headers });
     } catch (error) {
         const errorData = error.response ? error.response.data : error.message;
         logger.error(`❌ Exception during Daraja reversal for TransID ${transactionId}:`, {
@@ -600,41 +1521,244 @@ async function initiateDarajaReversal(transactionId, amount, receiverMsisdn) {
         });
         return {
             success: false,
+            method: 'REVERSAL',
+            rejected: isDarajaRejection(error.response?.data),
             message: `Exception in reversal process: ${errorData.errorMessage || error.message}`,
             error: errorData
         };
     }
+
+    logger.info(`✅ Daraja Reversal API response for TransID ${transactionId}:`, response.data);
+
+    if (response.data && response.data.ResponseCode === '0') {
+        await recordReversalInitiated({
+            method: 'REVERSAL',
+            transactionId,
+            mpesaTransactionId,
+            amount,
+            receiverMsisdn,
+            originatorConversationId: response.data.OriginatorConversationID,
+            conversationId: response.data.ConversationID || null,
+            response: response.data,
+            options,
+        });
+        return {
+            success: true,
+            method: 'REVERSAL',
+            message: "Reversal request accepted by Daraja.",
+            data: response.data,
+            conversationId: response.data.ConversationID || null,
+            originatorConversationId: response.data.OriginatorConversationID || null,
+        };
+    }
+    const errorMessage = response.data ?
+        `Daraja reversal request failed: ${response.data.ResponseDescription || 'Unknown error'}` :
+        'Daraja reversal request failed with no response data.';
+    logger.error(`❌ Daraja reversal request not accepted for TransID ${transactionId}: ${errorMessage}`);
+    return {
+        success: false,
+        method: 'REVERSAL',
+        rejected: isDarajaRejection(response.data),
+        message: errorMessage,
+        data: response.data,
+    };
 }
 
-async function updateCarrierFloatBalance(carrierLogicalName, amount) {
-    return firestore.runTransaction(async t => {
-        let floatDocRef;
-        if (carrierLogicalName === 'safaricomFloat') {
-            floatDocRef = safaricomFloatDocRef;
-        } else if (carrierLogicalName === 'africasTalkingFloat') {
-            floatDocRef = africasTalkingFloatDocRef;
-        } else {
-            const errorMessage = `Invalid float logical name provided: ${carrierLogicalName}`;
+// --- B2C REFUNDS (BusinessPayment to the payer when a reversal is not possible) ---
+async function initiateB2CRefund(transactionId, amount, receiverMsisdn, options = {}) {
+    logger.info(`💸 Attempting B2C refund for TransID: ${transactionId}, Amount: ${amount}`);
+    // B2C only pays whole shillings: pay the whole part and leave the cents for a manual refund, never round up
+    const payableAmount = Math.floor(amount);
+    const unpaidRemainder = parseFloat((amount - payableAmount).toFixed(2));
+    if (payableAmount < 1) {
+        const message = `A B2C refund of ${amount} is less than one shilling and has to be refunded by hand.`;
+        logger.warn(`✋ ${message} TransID ${transactionId}.`);
+        return { success: false, method: 'B2C', manualReview: true, message, error: message };
+    }
+    let response;
+    const partyB = toMsisdn254(receiverMsisdn);
+    try {
+        const accessToken = await getAccessToken();
+
+        const url = process.env.MPESA_B2C_URL || 'https://api.safaricom.co.ke/mpesa/b2c/v1/paymentrequest';
+        const shortCode = process.env.MPESA_B2C_SHORTCODE;
+        const initiator = process.env.MPESA_B2C_INITIATOR_NAME || process.env.MPESA_INITIATOR_NAME;
+        const securityCredential = generateSecurityCredential(process.env.MPESA_B2C_SECURITY_PASSWORD || process.env.MPESA_SECURITY_PASSWORD);
+
+        if (!shortCode || !initiator || !securityCredential || !process.env.MPESA_B2C_RESULT_URL || !process.env.MPESA_B2C_QUEUE_TIMEOUT_URL) {
+            throw new Error("Missing Daraja B2C environment variables.");
+        }
+        if (!/^254\d{9}$/.test(partyB)) {
+            throw new Error(`Invalid refund MSISDN: ${receiverMsisdn}`);
+        }
+
+        const payload = {
+            InitiatorName: initiator,
+            SecurityCredential: securityCredential,
+            CommandID: "BusinessPayment",
+            Amount: payableAmount,
+            PartyA: shortCode,
+            PartyB: partyB,
+            Remarks: `Refund for ${transactionId}`,
+            QueueTimeOutURL: process.env.MPESA_B2C_QUEUE_TIMEOUT_URL,
+            ResultURL: process.env.MPESA_B2C_RESULT_URL,
+            Occasion: "Failed Airtime Topup"
+        };
+
+        response = await axios.post(url, payload, {
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${accessToken}` },
+        });
+    } catch (error) {
+        const errorData = error.response ? error.response.data : error.message;
+        logger.error(`❌ Exception during B2C refund for TransID ${transactionId}:`, { error: errorData, stack: error.stack });
+        return {
+            success: false,
+            method: 'B2C',
+            rejected: isDarajaRejection(error.response?.data),
+            message: `Exception in B2C refund process: ${errorData.errorMessage || error.message}`,
+            error: errorData
+        };
+    }
+    logger.info(`✅ Daraja B2C API response for TransID ${transactionId}:`, response.data);
+
+    if (response.data && response.data.ResponseCode === '0') {
+        await recordReversalInitiated({
+            method: 'B2C',
+            transactionId,
+            mpesaTransactionId: null,
+            amount: payableAmount,
+            receiverMsisdn: partyB,
+            originatorConversationId: response.data.OriginatorConversationID,
+            conversationId: response.data.ConversationID || null,
+            response: response.data,
+            options: { ...options, unpaidRemainder },
+        });
+        if (unpaidRemainder > 0) {
+            logger.warn(`✋ B2C refund for TransID ${transactionId} pays ${payableAmount} of ${amount}; ${unpaidRemainder} needs a manual refund.`);
+            await errorsCollection.add({
+                type: 'REFUND_REMAINDER_MANUAL_REVIEW',
+                transactionId: transactionId,
+                amount: amount,
+                paidAmount: payableAmount,
+                unpaidRemainder: unpaidRemainder,
+                originatorConversationId: response.data.OriginatorConversationID || null,
+                createdAt: FieldValue.serverTimestamp(),
+            }).catch(() => {}); // The refund is already accepted; the remainder is also on the reversal record
+        }
+        return {
+            success: true,
+            method: 'B2C',
+            message: "B2C refund accepted by Daraja.",
+            data: response.data,
+            conversationId: response.data.ConversationID || null,
+            originatorConversationId: response.data.OriginatorConversationID || null,
+        };
+    }
+    const errorMessage = `Daraja B2C refund request failed: ${response.data?.ResponseDescription || 'Unknown error'}`;
+    logger.error(`❌ B2C refund not accepted for TransID ${transactionId}: ${errorMessage}`);
+    return { success: false, method: 'B2C', rejected: isDarajaRejection(response.data), message: errorMessage, data: response.data };
+}
+
+// --- FLOAT LEDGER ---
+const FLOAT_DOC_REFS = {
+    safaricomFloat: safaricomFloatDocRef,
+    africasTalkingFloat: africasTalkingFloatDocRef,
+};
+const FLOAT_LEDGER_REASONS = [
+    'OPENING_BALANCE',     // Balance found on the float doc when the ledger started tracking it
+    'DISPATCH_DEBIT',      // Airtime sent (or attempted) from this float
+    'DISPATCH_REFUND',     // Send failed, confirmed failed, or delivery failed later
+    'COMMISSION_CREDIT',   // Provider commission on a successful send
+    'PROVIDER_CORRECTION', // Balance overwritten with the figure the provider reported
+    'TOP_UP',              // Finance loaded money onto the dealer float / AT wallet
+    'MANUAL_ADJUSTMENT',   // Finance correction with a stated reason
+];
+
+function getFloatDocRef(carrierLogicalName) {
+    const floatDocRef = FLOAT_DOC_REFS[carrierLogicalName];
+    if (!floatDocRef) {
+        const errorMessage = `Invalid float logical name provided: ${carrierLogicalName}`;
+        logger.error(`❌ ${errorMessage}`);
+        throw new Error(errorMessage);
+    }
+    return floatDocRef;
+}
+
+// Reads the current balance inside a transaction, writing an OPENING_BALANCE entry the first time
+// the ledger sees this float so that the entries always sum to the balance.
+async function readFloatForLedger(t, carrierLogicalName, floatDocRef) {
+    const floatDocSnapshot = await t.get(floatDocRef);
+
+    let currentFloat = 0;
+    if (floatDocSnapshot.exists) {
+        currentFloat = parseFloat(floatDocSnapshot.data().balance); // Assuming 'balance' field as per your frontend
+        if (isNaN(currentFloat)) {
+            const errorMessage = `Float balance in document '${carrierLogicalName}' is invalid!`;
             logger.error(`❌ ${errorMessage}`);
             throw new Error(errorMessage);
         }
+    } else {
+        // If the document doesn't exist, create it with initial balance 0
+        logger.warn(`Float document '${carrierLogicalName}' not found. Initializing with balance 0.`);
+        t.set(floatDocRef, { balance: 0, lastUpdated: FieldValue.serverTimestamp() }); // Use FieldValue.serverTimestamp()
+    }
 
-        const floatDocSnapshot = await t.get(floatDocRef);
+    if (!floatDocSnapshot.exists || !floatDocSnapshot.data().ledgerInitialized) {
+        t.create(floatLedgerCollection.doc(), {
+            floatName: carrierLogicalName,
+            reason: 'OPENING_BALANCE',
+            amount: currentFloat,
+            balanceBefore: 0,
+            balanceAfter: currentFloat,
+            saleId: null,
+            transactionId: null,
+            createdAt: FieldValue.serverTimestamp(),
+        });
+    }
+    return currentFloat;
+}
 
-        let currentFloat = 0;
-        if (floatDocSnapshot.exists) {
-            currentFloat = parseFloat(floatDocSnapshot.data().balance); // Assuming 'balance' field as per your frontend
-            if (isNaN(currentFloat)) {
-                const errorMessage = `Float balance in document '${carrierLogicalName}' is invalid!`;
-                logger.error(`❌ ${errorMessage}`);
-                throw new Error(errorMessage);
-            }
-        } else {
-            // If the document doesn't exist, create it with initial balance 0
-            logger.warn(`Float document '${carrierLogicalName}' not found. Initializing with balance 0.`);
-            t.set(floatDocRef, { balance: 0, lastUpdated: FieldValue.serverTimestamp() }); // Use FieldValue.serverTimestamp()
-            currentFloat = 0; // Set currentFloat to 0 for this transaction's calculation
-        }
+function writeFloatLedgerEntry(t, carrierLogicalName, reason, balanceBefore, balanceAfter, context) {
+    // A fixed entryId makes the movement idempotent: create() fails the transaction if it was already recorded
+    t.create(context.entryId ? floatLedgerCollection.doc(context.entryId) : floatLedgerCollection.doc(), {
+        floatName: carrierLogicalName,
+        reason: reason,
+        amount: parseFloat((balanceAfter - balanceBefore).toFixed(2)),
+        balanceBefore: balanceBefore,
+        balanceAfter: balanceAfter,
+        saleId: context.saleId || null,
+        transactionId: context.transactionId || null,
+        note: context.note || null,
+        reference: context.reference || null,
+        actor: context.actor || 'system',
+        actorUid: context.actorUid || null,
+        createdAt: FieldValue.serverTimestamp(),
+    });
+}
+
+/**
+ * Moves a float balance and records the movement in the float ledger, atomically.
+ *
+ * @param {string} carrierLogicalName - 'safaricomFloat' or 'africasTalkingFloat'.
+ * @param {number} amount - Positive to credit, negative to debit.
+ * @param {object} context
+ * @param {string} context.reason - One of FLOAT_LEDGER_REASONS.
+ * @param {string} [context.saleId]
+ * @param {string} [context.transactionId]
+ * @param {string} [context.note]
+ * @param {string} [context.reference] - External reference, e.g. the M-Pesa receipt of a top-up.
+ * @param {string} [context.actor] - Admin user behind a manual movement. Defaults to 'system'.
+ * @param {string} [context.actorUid]
+ * @param {string} [context.entryId] - Fixed ledger entry ID for movements that must only be recorded once.
+ */
+async function updateCarrierFloatBalance(carrierLogicalName, amount, context = {}) {
+    if (!FLOAT_LEDGER_REASONS.includes(context.reason)) {
+        throw new Error(`Invalid float ledger reason: ${context.reason}`);
+    }
+    const floatDocRef = getFloatDocRef(carrierLogicalName);
+
+    const result = await firestore.runTransaction(async t => {
+        const currentFloat = await readFloatForLedger(t, carrierLogicalName, floatDocRef);
 
         const newFloat = currentFloat + amount; // amount can be negative for debit
         if (amount < 0 && newFloat < 0) {
@@ -643,87 +1767,613 @@ async function updateCarrierFloatBalance(carrierLogicalName, amount) {
             throw new Error('Insufficient carrier-specific float balance for this transaction.');
         }
 
-        t.update(floatDocRef, { balance: newFloat, lastUpdated: FieldValue.serverTimestamp() }); // Use FieldValue.serverTimestamp()
-        logger.info(`✅ Updated ${carrierLogicalName} float balance. Old: ${currentFloat}, New: ${newFloat}, Change: ${amount}`);
+        t.update(floatDocRef, { balance: newFloat, ledgerInitialized: true, lastUpdated: FieldValue.serverTimestamp() });
+        writeFloatLedgerEntry(t, carrierLogicalName, context.reason, currentFloat, newFloat, context);
+        logger.info(`✅ Updated ${carrierLogicalName} float balance. Old: ${currentFloat}, New: ${newFloat}, Change: ${amount} (${context.reason})`);
         return { success: true, newBalance: newFloat };
     });
+    evaluateFloatAlertLevel(carrierLogicalName, result.newBalance);
+    return result;
+}
+
+// Replaces the float balance with the figure a provider reported, recording the difference as a PROVIDER_CORRECTION
+async function applyProviderReportedFloatBalance(carrierLogicalName, reportedBalance, context = {}) {
+    const floatDocRef = getFloatDocRef(carrierLogicalName);
+
+    const result = await firestore.runTransaction(async t => {
+        const currentFloat = await readFloatForLedger(t, carrierLogicalName, floatDocRef);
+        const update = {
+            lastReportedBalance: reportedBalance,
+            lastReportedAt: FieldValue.serverTimestamp(),
+            ledgerInitialized: true,
+            lastUpdated: FieldValue.serverTimestamp(),
+        };
+        if (reportedBalance !== currentFloat) {
+            update.balance = reportedBalance;
+            writeFloatLedgerEntry(t, carrierLogicalName, 'PROVIDER_CORRECTION', currentFloat, reportedBalance, context);
+            logger.info(`✅ Corrected ${carrierLogicalName} float to provider-reported ${reportedBalance} (was ${currentFloat}).`);
+        }
+        t.update(floatDocRef, update);
+        return { success: true, newBalance: reportedBalance, correction: reportedBalance - currentFloat };
+    });
+    evaluateFloatAlertLevel(carrierLogicalName, result.newBalance);
+    return result;
+}
+
+// --- FLOAT ALERTS (low / critical thresholds per float) ---
+const DEFAULT_FLOAT_THRESHOLDS = {
+    safaricomFloat: {
+        low: parseFloat(process.env.SAFARICOM_FLOAT_LOW_THRESHOLD || '20000'),
+        critical: parseFloat(process.env.SAFARICOM_FLOAT_CRITICAL_THRESHOLD || '5000'), // One maximum-size order
+    },
+    africasTalkingFloat: {
+        low: parseFloat(process.env.AT_FLOAT_LOW_THRESHOLD || '10000'),
+        critical: parseFloat(process.env.AT_FLOAT_CRITICAL_THRESHOLD || '5000'),
+    },
+};
+const FLOAT_THRESHOLDS_CACHE_TTL = 60 * 1000; // 1 minute
+let cachedFloatThresholds = null;
+let floatThresholdsExpiryTimestamp = 0;
+
+async function getFloatThresholds() {
+    const now = Date.now();
+    if (cachedFloatThresholds && now < floatThresholdsExpiryTimestamp) {
+        return cachedFloatThresholds;
+    }
+    const settingsDoc = await floatAlertSettingsDocRef.get();
+    cachedFloatThresholds = { ...DEFAULT_FLOAT_THRESHOLDS, ...(settingsDoc.exists ? settingsDoc.data().thresholds : {}) };
+    floatThresholdsExpiryTimestamp = now + FLOAT_THRESHOLDS_CACHE_TTL;
+    return cachedFloatThresholds;
+}
+
+function getFloatAlertLevel(balance, thresholds) {
+    if (!thresholds) return 'OK';
+    if (balance <= thresholds.critical) return 'CRITICAL';
+    if (balance <= thresholds.low) return 'LOW';
+    return 'OK';
+}
+
+// Notifiers receive { floatName, level, previousLevel, balance, thresholds } and should throw on failure.
+// Each one is registered only when its configuration is present.
+const floatAlertNotifiers = [];
+
+function registerFloatAlertNotifier(notifier) {
+    if (!notifier.name || typeof notifier.send !== 'function') {
+        throw new Error('Float alert notifier needs a name and a send(alert) function.');
+    }
+    floatAlertNotifiers.push(notifier);
+    logger.info(`Registered float alert notifier: ${notifier.name}`);
+}
+
+function describeFloatAlert(alert) {
+    return alert.level === 'OK'
+        ? `DaimaPay: ${alert.floatName} float recovered to KES ${alert.balance}.`
+        : `DaimaPay: ${alert.floatName} float is ${alert.level} at KES ${alert.balance} (low ${alert.thresholds.low}, critical ${alert.thresholds.critical}). Top up now.`;
+}
+
+if (process.env.FLOAT_ALERT_WEBHOOK_URL) {
+    registerFloatAlertNotifier({
+        name: 'webhook',
+        send: (alert) => axios.post(process.env.FLOAT_ALERT_WEBHOOK_URL, { ...alert, text: describeFloatAlert(alert) }, { timeout: 10000 }),
+    });
+}
+
+if (process.env.FLOAT_ALERT_SMS_RECIPIENTS) {
+    registerFloatAlertNotifier({
+        name: 'sms',
+        send: (alert) => africastalking.SMS.send({
+            to: process.env.FLOAT_ALERT_SMS_RECIPIENTS.split(',').map(num => num.trim()).filter(Boolean),
+            message: describeFloatAlert(alert),
+            from: process.env.AT_SMS_SENDER_ID || undefined,
+        }),
+    });
+}
+
+// Email goes through an HTTP mail relay that accepts { to, subject, text }
+if (process.env.FLOAT_ALERT_EMAIL_API_URL && process.env.FLOAT_ALERT_EMAIL_RECIPIENTS) {
+    registerFloatAlertNotifier({
+        name: 'email',
+        send: (alert) => axios.post(process.env.FLOAT_ALERT_EMAIL_API_URL, {
+            to: process.env.FLOAT_ALERT_EMAIL_RECIPIENTS.split(',').map(addr => addr.trim()).filter(Boolean),
+            subject: `[DaimaPay] ${alert.floatName} float ${alert.level}`,
+            text: describeFloatAlert(alert),
+        }, {
+            headers: process.env.FLOAT_ALERT_EMAIL_API_KEY ? { Authorization: `Bearer ${process.env.FLOAT_ALERT_EMAIL_API_KEY}` } : {},
+            timeout: 10000,
+        }),
+    });
+}
+
+// Alerts only when a float crosses into a different level, so every debit below the threshold does not page someone
+async function evaluateFloatAlertLevel(floatName, balance) {
+    try {
+        const thresholds = (await getFloatThresholds())[floatName];
+        const level = getFloatAlertLevel(balance, thresholds);
+        const floatDocRef = getFloatDocRef(floatName);
+
+        const previousLevel = await firestore.runTransaction(async t => {
+            const floatDoc = await t.get(floatDocRef);
+            const storedLevel = (floatDoc.exists && floatDoc.data().alertLevel) || 'OK';
+            if (storedLevel === level) {
+                return null;
+            }
+            t.update(floatDocRef, { alertLevel: level, alertLevelChangedAt: FieldValue.serverTimestamp() });
+            return storedLevel;
+        });
+        if (previousLevel === null) {
+            return;
+        }
+
+        const alert = { floatName, level, previousLevel, balance, thresholds };
+        logger[level === 'OK' ? 'info' : 'warn'](`🔔 ${floatName} float moved from ${previousLevel} to ${level} (balance ${balance}).`);
+
+        const deliveries = await Promise.allSettled(floatAlertNotifiers.map(notifier => notifier.send(alert)));
+        const results = deliveries.map((delivery, index) => ({
+            notifier: floatAlertNotifiers[index].name,
+            delivered: delivery.status === 'fulfilled',
+            error: delivery.status === 'rejected' ? delivery.reason?.message || String(delivery.reason) : null,
+        }));
+        results.filter(r => !r.delivered).forEach(r => logger.error(`❌ Float alert via ${r.notifier} failed: ${r.error}`));
+
+        await floatAlertHistoryCollection.add({ ...alert, deliveries: results, createdAt: FieldValue.serverTimestamp() });
+    } catch (error) {
+        // Alerting must never break the float movement that triggered it
+        logger.error(`❌ Failed to evaluate float alert level for ${floatName}:`, { message: error.message });
+    }
+}
+
+// True when at least one provider routed for the carrier can still dispatch (no float, or float above critical)
+async function isCarrierDispatchAvailable(carrier) {
+    const providerRoute = await getAirtimeRoute(carrier);
+    const thresholds = await getFloatThresholds();
+    for (const providerName of providerRoute) {
+        const provider = getAirtimeProvider(providerName);
+        if (!provider.floatName) {
+            return true;
+        }
+        const balance = await getFloatDocBalance(provider.floatName);
+        if (getFloatAlertLevel(balance, thresholds[provider.floatName]) !== 'CRITICAL') {
+            return true;
+        }
+    }
+    return false;
 }
 
+// --- BONUS CAMPAIGNS ---
+const SUPPORTED_CARRIERS = ['Safaricom', 'Airtel', 'Telkom', 'Equitel', 'Faiba'];
+
 /**
- * Processes the airtime fulfillment for a given transaction.
- * This function is designed to be called by both C2B confirmation and STK Push callback.
+ * Finds the bonus campaign active for a carrier at a given moment.
+ * Campaigns are validated to never overlap for the same carrier, so at most one matches.
  *
- * @param {object} params - The parameters for fulfillment.
- * @param {string} params.transactionId - The unique M-Pesa transaction ID (TransID or CheckoutRequestID).
- * @param {number} params.originalAmountPaid - The original amount paid by the customer.
- * @param {string} params.payerMsisdn - The phone number of the customer who paid.
- * @param {string} params.payerName - The name of the customer (optional, can be null for STK Push).
- * @param {string} params.topupNumber - The recipient phone number for airtime.
- * @param {string} params.sourceCallbackData - The raw callback data from M-Pesa (C2B or STK Push).
- * @param {string} params.requestType - 'C2B' or 'STK_PUSH' to differentiate logging/storage.
- * @param {string|null} [params.relatedSaleId=null] - Optional: saleId if already created (e.g., from STK Push initial request).
- * @returns {Promise<object>} - An object indicating success/failure and final status.
+ * @param {string} carrier - Carrier as returned by detectCarrier.
+ * @param {Date} [at=new Date()] - Dispatch time.
+ * @returns {Promise<object|null>} - { id, ...campaign } or null.
  */
+async function resolveActiveBonusCampaign(carrier, at = new Date()) {
+    const atTimestamp = Timestamp.fromDate(at);
+    // Requires a composite index on bonus_campaigns (status ASC, endAt ASC)
+    const snapshot = await bonusCampaignsCollection
+        .where('status', '==', 'ACTIVE')
+        .where('endAt', '>', atTimestamp)
+        .get();
+
+    const activeDoc = snapshot.docs.find(doc => {
+        const campaign = doc.data();
+        return campaign.startAt.toMillis() <= atTimestamp.toMillis() && campaign.carriers.includes(carrier);
+    });
+    return activeDoc ? { id: activeDoc.id, ...activeDoc.data() } : null;
+}
 
-async function processAirtimeFulfillment({
-    transactionId,
-    originalAmountPaid,
-    payerMsisdn,
-    payerName,
-    topupNumber,
-    sourceCallbackData,
-    requestType,
-    relatedSaleId = null
-}) {
-    const now = FieldValue.serverTimestamp(); // Use server timestamp for consistency
-    logger.info(`Starting airtime fulfillment for ${requestType} transaction: ${transactionId}`);
+// --- BONUS RULES ENGINE ---
+// Rules live in airtime_bonuses/bonus_rules as { rules: [...] }. Each rule:
+//   { carrier, minAmount, maxAmount (null = no upper bound), percentage, maxBonus (null = uncapped), rounding: 'custom' | 'raw' }
+// Carriers without any rule fall back to the flat percentages in airtime_bonuses/current_settings.
+const BONUS_ROUNDING_MODES = ['custom', 'raw'];
+
+// Custom rounding: 0.1–0.4 => 0, 0.5–0.9 => 1
+function customRound(value) {
+    const decimalPart = value % 1;
+    const integerPart = Math.floor(value);
+    return decimalPart >= 0.5 ? integerPart + 1 : integerPart;
+}
 
-    let airtimeDispatchStatus = 'FAILED';
-    let airtimeDispatchResult = null;
-    let saleErrorMessage = null;
-    let airtimeProviderUsed = null;
-    let finalSaleId = relatedSaleId; // Use existing saleId if provided
+function isPlainBonusRule(rule) {
+    return rule !== null && typeof rule === 'object' && !Array.isArray(rule);
+}
 
-    try {
-        // --- Input Validation (amount range - moved from C2B, now applies to both) ---
-        // Note: For STK Push, amount validation happens before dispatch.
-        // For C2B, it's here because the initial recording happens before this logic.
-        const MIN_AMOUNT = 5;
-        const MAX_AMOUNT = 5000;
-        const amountInt = Math.round(parseFloat(originalAmountPaid));
+// Returns an error message for an invalid rule set, otherwise null
+function validateBonusRules(rules) {
+    if (!Array.isArray(rules)) return 'Rules must be an array.';
+
+    for (const [index, rule] of rules.entries()) {
+        const label = `Rule ${index + 1}`;
+        if (!isPlainBonusRule(rule)) return `${label}: must be an object.`;
+        if (!SUPPORTED_CARRIERS.includes(rule.carrier)) return `${label}: carrier must be one of ${SUPPORTED_CARRIERS.join(', ')}.`;
+        if (typeof rule.minAmount !== 'number' || rule.minAmount < 0) return `${label}: minAmount must be a non-negative number.`;
+        if (rule.maxAmount !== null && (typeof rule.maxAmount !== 'number' || rule.maxAmount < rule.minAmount)) return `${label}: maxAmount must be null or a number >= minAmount.`;
+        if (typeof rule.percentage !== 'number' || rule.percentage < 0 || rule.percentage > 100) return `${label}: percentage must be between 0 and 100.`;
+        if (rule.maxBonus !== null && (typeof rule.maxBonus !== 'number' || rule.maxBonus < 0)) return `${label}: maxBonus must be null or a non-negative number.`;
+        if (!BONUS_ROUNDING_MODES.includes(rule.rounding)) return `${label}: rounding must be one of ${BONUS_ROUNDING_MODES.join(', ')}.`;
+    }
 
-        if (amountInt < MIN_AMOUNT || amountInt > MAX_AMOUNT) {
-            const errorMessage = `Transaction amount ${amountInt} is outside allowed range (${MIN_AMOUNT} - ${MAX_AMOUNT}).`;
-            logger.warn(`🛑 ${errorMessage} Initiating reversal for ${transactionId}.`);
-            await errorsCollection.add({
-                type: 'AIRTIME_FULFILLMENT_ERROR',
-                subType: 'INVALID_AMOUNT_RANGE',
-                error: errorMessage,
-                transactionId: transactionId,
-                originalAmount: originalAmountPaid,
-                payerMsisdn: payerMsisdn,
-                topupNumber: topupNumber,
-                requestType: requestType,
-                createdAt: now,
-            });
+    // Bands for the same carrier must not overlap, otherwise an amount could match two rules
+    for (const carrier of SUPPORTED_CARRIERS) {
+        const bands = rules.filter(rule => rule.carrier === carrier).sort((a, b) => a.minAmount - b.minAmount);
+        for (let i = 1; i < bands.length; i++) {
+            const previousMax = bands[i - 1].maxAmount;
+            if (previousMax === null || previousMax >= bands[i].minAmount) {
+                return `${carrier} bands ${bands[i - 1].minAmount}-${previousMax ?? '∞'} and ${bands[i].minAmount}-${bands[i].maxAmount ?? '∞'} overlap.`;
+            }
+        }
+    }
+    return null;
+}
 
-            // Update transaction status before attempting reversal
-            await transactionsCollection.doc(transactionId).update({
-                status: 'RECEIVED_FULFILLMENT_FAILED',
-                fulfillmentStatus: 'FAILED_INVALID_AMOUNT',
-                errorMessage: errorMessage,
-                lastUpdated: now,
-            });
+// Builds the effective rule set: explicit rules, plus legacy flat-percentage rules for carriers that have none
+async function loadBonusRules() {
+    const [rulesSnap, flatSnap] = await Promise.all([bonusRulesDocRef.get(), bonusSettingsDocRef.get()]);
+    const rules = rulesSnap.exists ? (rulesSnap.data().rules || []) : [];
 
-            const reversalResult = await initiateDarajaReversal(transactionId, originalAmountPaid, payerMsisdn);
-            if (reversalResult.success) {
-                logger.info(`✅ Reversal initiated for invalid amount ${amountInt} on transaction ${transactionId}`);
-                await reconciledTransactionsCollection.doc(transactionId).set({
+    const flat = flatSnap.exists ? flatSnap.data() : {};
+    if (!flatSnap.exists) {
+        logger.warn('Bonus settings document does not exist. Carriers without bonus rules get no bonus.');
+    }
+    for (const carrier of SUPPORTED_CARRIERS) {
+        if (!rules.some(rule => rule.carrier === carrier)) {
+            // Legacy behaviour: Safaricom raw, Africa's Talking carriers custom-rounded, uncapped
+            rules.push({
+                carrier,
+                minAmount: 0,
+                maxAmount: null,
+                percentage: carrier === 'Safaricom' ? (flat.safaricomPercentage ?? 0) : (flat.africastalkingPercentage ?? 0),
+                maxBonus: null,
+                rounding: carrier === 'Safaricom' ? 'raw' : 'custom',
+                legacy: true,
+            });
+        }
+    }
+    return rules;
+}
+
+/**
+ * Calculates the bonus for an airtime purchase from the current rules and any active campaign.
+ * An active campaign replaces the matched rule's percentage; the rule's rounding and cap still apply.
+ *
+ * @param {string} carrier - Carrier as returned by detectCarrier.
+ * @param {number} amount - Amount paid by the customer.
+ * @param {Date} [at=new Date()] - Time at which the bonus is evaluated.
+ * @returns {Promise<object>} - { finalAmount, bonus, rawBonus, percentage, rounding, capped, rule, campaign }
+ */
+async function calculateBonus(carrier, amount, at = new Date()) {
+    const [rules, campaign] = await Promise.all([loadBonusRules(), resolveActiveBonusCampaign(carrier, at)]);
+    const rule = rules.find(candidate =>
+        candidate.carrier === carrier &&
+        amount >= candidate.minAmount &&
+        (candidate.maxAmount === null || amount <= candidate.maxAmount)
+    ) || null;
+
+    const percentage = campaign ? campaign.percentage : (rule ? rule.percentage : 0);
+    const rounding = rule ? rule.rounding : 'raw';
+    const rawBonus = amount * (percentage / 100);
+    let bonus = rounding === 'custom' ? customRound(rawBonus) : rawBonus;
+    let capped = false;
+    if (rule && rule.maxBonus !== null && bonus > rule.maxBonus) {
+        bonus = rule.maxBonus;
+        capped = true;
+    }
+
+    if (percentage > 0) {
+        logger.info(
+            `Applying ${percentage}% ${carrier} bonus${campaign ? ` (campaign "${campaign.name}")` : ''}. Original: ${amount}, Bonus: ${bonus} (${rounding}${capped ? ', capped' : ''}), Final: ${amount + bonus}`
+        );
+    }
+
+    return {
+        finalAmount: amount + bonus,
+        bonus,
+        rawBonus,
+        percentage,
+        rounding,
+        capped,
+        rule,
+        campaign,
+    };
+}
+
+// --- AIRTIME QUOTES (shared by /api/quote and processAirtimeFulfillment so the two never drift) ---
+// MIN_AIRTIME_AMOUNT, MAX_AIRTIME_AMOUNT and isAirtimeAmountInRange come from airtimeRules.js
+
+/**
+ * Works out what a customer would receive for a purchase, using the same carrier detection,
+ * amount range, bonus calculation and provider routing as fulfillment.
+ *
+ * @param {string} recipient - Airtime recipient phone number.
+ * @param {number} amount - Amount the customer would pay.
+ * @returns {Promise<object>} - { success: true, ...quote } or { success: false, code, message }
+ */
+async function buildAirtimeQuote(recipient, amount) {
+    if (!isAirtimeAmountInRange(amount)) {
+        return { success: false, code: 'INVALID_AMOUNT', message: `Invalid amount. Must be between ${MIN_AIRTIME_AMOUNT} and ${MAX_AIRTIME_AMOUNT}.` };
+    }
+
+    const carrier = detectCarrier(String(recipient || '').replace(/\D/g, ''));
+    if (carrier === 'Unknown') {
+        return { success: false, code: 'UNSUPPORTED_CARRIER', message: "Recipient's carrier is not supported." };
+    }
+
+    const [bonusCalculation, providerRoute] = await Promise.all([calculateBonus(carrier, amount), getAirtimeRoute(carrier)]);
+    return {
+        success: true,
+        carrier: carrier,
+        amount: amount,
+        bonus: bonusCalculation.bonus,
+        bonusPercentage: bonusCalculation.percentage,
+        bonusCapped: bonusCalculation.capped,
+        campaign: bonusCalculation.campaign ? bonusCalculation.campaign.name : null,
+        finalAmount: bonusCalculation.finalAmount,
+        provider: providerRoute[0] || null,
+        fallbackProviders: providerRoute.slice(1),
+    };
+}
+
+// --- PARTIAL FULFILLMENT ---
+// A bonus-inflated send that fails with every provider is retried once for just the amount paid, and a provider
+// may report delivering less than it was sent. The bonus is forfeited first: the customer is only refunded the
+// part of their payment that was not delivered.
+const PARTIAL_FULFILLMENT_ENABLED = process.env.PARTIAL_FULFILLMENT_ENABLED !== 'false';
+
+// Initiates the Daraja reversal for a paid transaction whose airtime could not be delivered,
+// recording the outcome in reconciled_transactions / failed_reconciliations and on the transaction.
+// refundAmount and scope cover refunding only the undelivered part of a partially fulfilled sale.
+async function initiateFulfillmentReversal({ transactionId, originalAmountPaid, payerMsisdn, sourceCallbackData, refundAmount = originalAmountPaid, scope = 'FULL' }) {
+    const now = FieldValue.serverTimestamp();
+    const reason = scope === 'FULL' ? 'Airtime could not be delivered' : 'Part of the airtime could not be delivered';
+    const reversalResult = await requestReversal(transactionId, refundAmount, payerMsisdn, reason, { scope });
+
+    if (reversalResult.pendingApproval) {
+        await transactionsCollection.doc(transactionId).update({
+            status: 'REVERSAL_PENDING_APPROVAL',
+            reversalApprovalId: reversalResult.approvalId,
+            lastUpdated: now,
+        });
+        return { success: true, status: 'REVERSAL_PENDING_APPROVAL' };
+    } else if (reversalResult.success) {
+        logger.info(`✅ Daraja reversal initiated successfully for TransID ${transactionId}.`);
+        await reconciledTransactionsCollection.doc(transactionId).set({
+            transactionId: transactionId,
+            amount: refundAmount,
+            scope: scope,
+            mpesaNumber: payerMsisdn,
+            reversalInitiatedAt: now,
+            reversalRequestDetails: reversalResult.data,
+            reversalId: reversalResult.originatorConversationId, // Document ID in reversals
+            refundMethod: reversalResult.method, // REVERSAL or B2C
+            originalCallbackData: sourceCallbackData,
+            status: 'REVERSAL_INITIATED',
+            createdAt: now,
+        }, { merge: true });
+        await transactionsCollection.doc(transactionId).update({
+            status: 'REVERSAL_PENDING_CONFIRMATION',
+            lastUpdated: now,
+            reversalDetails: reversalResult.data,
+            errorMessage: reversalResult.message,
+        });
+        return { success: true, status: 'REVERSAL_INITIATED' };
+    } else {
+        logger.error(`❌ Daraja reversal failed to initiate for TransID ${transactionId}: ${reversalResult.message}`);
+        await failedReconciliationsCollection.doc(transactionId).set({
+            transactionId: transactionId,
+            amount: refundAmount,
+            scope: scope,
+            mpesaNumber: payerMsisdn,
+            reversalAttemptedAt: now,
+            reversalFailureDetails: reversalResult.error,
+            originalCallbackData: sourceCallbackData,
+            reason: reversalResult.message,
+            manualRefundRequired: Boolean(reversalResult.manualReview),
+            createdAt: now,
+        }, { merge: true });
+        const failedStatus = reversalResult.manualReview ? 'MANUAL_REVIEW_REQUIRED' : 'REVERSAL_INITIATION_FAILED';
+        if (reversalResult.manualReview) {
+            await errorsCollection.add({
+                type: 'REFUND_MANUAL_REVIEW',
+                subType: reversalResult.manualReviewCode || null, // PARTIAL_REFUND or BULK_ORDER_LINE
+                transactionId: transactionId,
+                amount: refundAmount,
+                scope: scope,
+                mpesaNumber: payerMsisdn,
+                error: reversalResult.message,
+                createdAt: now,
+            });
+        }
+        await transactionsCollection.doc(transactionId).update({
+            status: failedStatus,
+            lastUpdated: now,
+            reversalDetails: reversalResult.error,
+            errorMessage: `Reversal initiation failed: ${reversalResult.message}`
+        });
+        return { success: false, status: failedStatus, error: reversalResult.message };
+    }
+}
+
+// --- PROVIDER COMMISSION RATES ---
+// A rate is { provider, carrier ('*' for any), percentage, basis, effectiveFrom, effectiveTo } with ISO dates.
+// Providers without a configured rate fall back to their registered commissionRate on the paid amount.
+const COMMISSION_BASES = ['PAID', 'DISPATCHED'];
+const COMMISSION_RATES_CACHE_TTL = 60 * 1000; // 1 minute
+let cachedCommissionRates = null;
+let commissionRatesExpiryTimestamp = 0;
+
+function validateCommissionRates(rates) {
+    if (!Array.isArray(rates)) return 'Rates must be an array.';
+
+    for (const [index, rate] of rates.entries()) {
+        const label = `Rate ${index + 1}`;
+        if (!airtimeProviders.has(rate.provider)) return `${label}: unknown provider ${rate.provider}.`;
+        if (rate.carrier !== '*' && !SUPPORTED_CARRIERS.includes(rate.carrier)) return `${label}: carrier must be '*' or one of ${SUPPORTED_CARRIERS.join(', ')}.`;
+        if (typeof rate.percentage !== 'number' || rate.percentage < 0 || rate.percentage > 100) return `${label}: percentage must be between 0 and 100.`;
+        if (!COMMISSION_BASES.includes(rate.basis)) return `${label}: basis must be one of ${COMMISSION_BASES.join(', ')}.`;
+        if (isNaN(Date.parse(rate.effectiveFrom))) return `${label}: effectiveFrom must be an ISO date.`;
+        if (rate.effectiveTo !== null && (isNaN(Date.parse(rate.effectiveTo)) || Date.parse(rate.effectiveTo) <= Date.parse(rate.effectiveFrom))) {
+            return `${label}: effectiveTo must be null or an ISO date after effectiveFrom.`;
+        }
+    }
+
+    // Periods for the same provider and carrier must not overlap, otherwise a sale could match two rates
+    const byKey = new Map();
+    for (const rate of rates) {
+        const key = `${rate.provider}|${rate.carrier}`;
+        byKey.set(key, [...(byKey.get(key) || []), rate]);
+    }
+    for (const [key, periods] of byKey) {
+        periods.sort((a, b) => Date.parse(a.effectiveFrom) - Date.parse(b.effectiveFrom));
+        for (let i = 1; i < periods.length; i++) {
+            const previousTo = periods[i - 1].effectiveTo;
+            if (previousTo === null || Date.parse(previousTo) > Date.parse(periods[i].effectiveFrom)) {
+                return `${key.replace('|', ' / ')} rates starting ${periods[i - 1].effectiveFrom} and ${periods[i].effectiveFrom} overlap.`;
+            }
+        }
+    }
+    return null;
+}
+
+async function getCommissionRates() {
+    const now = Date.now();
+    if (cachedCommissionRates && now < commissionRatesExpiryTimestamp) {
+        return cachedCommissionRates;
+    }
+    const ratesDoc = await commissionRatesDocRef.get();
+    cachedCommissionRates = ratesDoc.exists ? (ratesDoc.data().rates || []) : [];
+    commissionRatesExpiryTimestamp = now + COMMISSION_RATES_CACHE_TTL;
+    return cachedCommissionRates;
+}
+
+/**
+ * Works out the commission a provider pays us on a send. A carrier-specific rate beats a '*' rate.
+ *
+ * @param {object} provider - Registered airtime provider.
+ * @param {string} carrier
+ * @param {number} paidAmount - Amount the customer paid.
+ * @param {number} dispatchedAmount - Airtime sent (paid amount plus bonus).
+ * @param {Date} [at=new Date()]
+ * @returns {Promise<{ amount: number, percentage: number, basis: string, baseAmount: number, source: string, rate: object|null }>}
+ */
+async function calculateCommission(provider, carrier, paidAmount, dispatchedAmount, at = new Date()) {
+    const rates = await getCommissionRates();
+    const matching = rates.filter(rate => rate.provider === provider.name
+        && (rate.carrier === carrier || rate.carrier === '*')
+        && Date.parse(rate.effectiveFrom) <= at.getTime()
+        && (rate.effectiveTo === null || at.getTime() < Date.parse(rate.effectiveTo)));
+    const rate = matching.find(r => r.carrier === carrier) || matching[0] || null;
+
+    const percentage = rate ? rate.percentage : (provider.commissionRate || 0) * 100;
+    const basis = rate ? rate.basis : 'PAID';
+    const baseAmount = basis === 'DISPATCHED' ? dispatchedAmount : paidAmount;
+    return {
+        amount: parseFloat((baseAmount * percentage / 100).toFixed(2)),
+        percentage,
+        basis,
+        baseAmount,
+        source: rate ? 'CONFIGURED' : 'PROVIDER_DEFAULT',
+        rate,
+    };
+}
+
+// Credits a provider's float with its commission on a successful send. Returns the commission for the sale record.
+async function creditProviderCommission(provider, { carrier, paidAmount, dispatchedAmount, transactionId, saleId }) {
+    const commission = await calculateCommission(provider, carrier, paidAmount, dispatchedAmount);
+    if (!provider.floatName || !(commission.amount > 0)) {
+        return { ...commission, credited: false };
+    }
+    await updateCarrierFloatBalance(provider.floatName, commission.amount, { reason: 'COMMISSION_CREDIT', transactionId, saleId });
+    logger.info(`✅ Credited ${provider.floatName} with ${commission.amount} (${commission.percentage}% of ${commission.basis.toLowerCase()} amount) for TransID ${transactionId}.`);
+    return { ...commission, credited: true };
+}
+
+/**
+ * Processes the airtime fulfillment for a given transaction.
+ * This function is designed to be called by both C2B confirmation and STK Push callback.
+ *
+ * @param {object} params - The parameters for fulfillment.
+ * @param {string} params.transactionId - The unique M-Pesa transaction ID (TransID or CheckoutRequestID).
+ * @param {number} params.originalAmountPaid - The original amount paid by the customer.
+ * @param {string} params.payerMsisdn - The phone number of the customer who paid.
+ * @param {string} params.payerName - The name of the customer (optional, can be null for STK Push).
+ * @param {string} params.topupNumber - The recipient phone number for airtime.
+ * @param {string} params.sourceCallbackData - The raw callback data from M-Pesa (C2B or STK Push).
+ * @param {string} params.requestType - 'C2B' or 'STK_PUSH' to differentiate logging/storage.
+ * @param {string|null} [params.relatedSaleId=null] - Optional: saleId if already created (e.g., from STK Push initial request).
+ * @returns {Promise<object>} - An object indicating success/failure and final status.
+ */
+
+async function processAirtimeFulfillment({
+    transactionId,
+    originalAmountPaid,
+    payerMsisdn,
+    payerName,
+    topupNumber,
+    sourceCallbackData,
+    requestType,
+    relatedSaleId = null
+}) {
+    const now = FieldValue.serverTimestamp(); // Use server timestamp for consistency
+    logger.info(`Starting airtime fulfillment for ${requestType} transaction: ${transactionId}`);
+
+    let airtimeDispatchStatus = 'FAILED';
+    let airtimeDispatchResult = null;
+    let saleErrorMessage = null;
+    let airtimeProviderUsed = null;
+    let finalSaleId = relatedSaleId; // Use existing saleId if provided
+
+    try {
+        // --- Input Validation (amount range - moved from C2B, now applies to both) ---
+        // Note: For STK Push, amount validation happens before dispatch.
+        // For C2B, it's here because the initial recording happens before this logic.
+        const amountInt = Math.round(parseFloat(originalAmountPaid));
+
+        if (!isAirtimeAmountInRange(amountInt)) {
+            const errorMessage = `Transaction amount ${amountInt} is outside allowed range (${MIN_AIRTIME_AMOUNT} - ${MAX_AIRTIME_AMOUNT}).`;
+            logger.warn(`🛑 ${errorMessage} Initiating reversal for ${transactionId}.`);
+            await errorsCollection.add({
+                type: 'AIRTIME_FULFILLMENT_ERROR',
+                subType: 'INVALID_AMOUNT_RANGE',
+                error: errorMessage,
+                transactionId: transactionId,
+                originalAmount: originalAmountPaid,
+                payerMsisdn: payerMsisdn,
+                topupNumber: topupNumber,
+                requestType: requestType,
+                createdAt: now,
+            });
+
+            // Update transaction status before attempting reversal
+            await transactionsCollection.doc(transactionId).update({
+                status: 'RECEIVED_FULFILLMENT_FAILED',
+                fulfillmentStatus: 'FAILED_INVALID_AMOUNT',
+                errorMessage: errorMessage,
+                lastUpdated: now,
+            });
+
+            const reversalResult = await requestReversal(transactionId, originalAmountPaid, payerMsisdn, errorMessage);
+            if (reversalResult.pendingApproval) {
+                await transactionsCollection.doc(transactionId).update({
+                    status: 'REVERSAL_PENDING_APPROVAL',
+                    reversalApprovalId: reversalResult.approvalId,
+                    lastUpdated: now,
+                    reversalAttempted: true,
+                });
+                return { success: true, status: 'REVERSAL_PENDING_APPROVAL' };
+            } else if (reversalResult.success) {
+                logger.info(`✅ Reversal initiated for invalid amount ${amountInt} on transaction ${transactionId}`);
+                await reconciledTransactionsCollection.doc(transactionId).set({
                     transactionId: transactionId,
                     amount: originalAmountPaid,
                     mpesaNumber: payerMsisdn,
                     reversalInitiatedAt: now,
                     reversalRequestDetails: reversalResult.data,
+                    reversalId: reversalResult.originatorConversationId, // Document ID in reversals
+                    refundMethod: reversalResult.method, // REVERSAL or B2C
                     originalCallbackData: sourceCallbackData,
                     status: 'REVERSAL_INITIATED',
                     createdAt: now,
@@ -782,53 +2432,11 @@ async function processAirtimeFulfillment({
             return { success: false, status: 'FAILED_UNKNOWN_CARRIER', error: errorMessage };
         }
 
-        // --- FETCH BONUS SETTINGS AND CALCULATE FINAL AMOUNT TO DISPATCH ---
-        const bonusDocRef = firestore.collection('airtime_bonuses').doc('current_settings');
-        const bonusDocSnap = await bonusDocRef.get();
-
-        let safaricomBonus = 0;
-        let atBonus = 0;
-
-        if (bonusDocSnap.exists) {
-            safaricomBonus = bonusDocSnap.data()?.safaricomPercentage ?? 0;
-            atBonus = bonusDocSnap.data()?.africastalkingPercentage ?? 0;
-        } else {
-            logger.warn('Bonus settings document does not exist. Skipping bonus application.');
-        }
-
-        let finalAmountToDispatch = originalAmountPaid;
-        let bonusApplied = 0;
-
-        // Custom rounding: 0.1–0.4 => 0, 0.5–0.9 => 1
-        const customRound = (value) => {
-            const decimalPart = value % 1;
-            const integerPart = Math.floor(value);
-            return decimalPart >= 0.5 ? integerPart + 1 : integerPart;
-        };
-
-        // Apply bonus with optional rounding
-        const applyBonus = (amount, percentage, label, round = false) => {
-            const rawBonus = amount * (percentage / 100);
-            const bonus = round ? customRound(rawBonus) : rawBonus;
-            const total = amount + bonus;
-            logger.info(
-                `Applying ${percentage}% ${label} bonus. Original: ${amount}, Bonus: ${bonus} (${round ? 'rounded' : 'raw'}), Final: ${total}`
-            );
-            return { total, bonus, rawBonus };
-        };
-
-        // Normalize carrier name to lowercase
-        const carrierNormalized = targetCarrier.toLowerCase();
-
-        if (carrierNormalized === 'safaricom' && safaricomBonus > 0) {
-            const result = applyBonus(originalAmountPaid, safaricomBonus, 'Safaricom', false); // No rounding
-            finalAmountToDispatch = result.total;
-            bonusApplied = result.rawBonus;
-        } else if (['airtel', 'telkom', 'equitel', 'faiba'].includes(carrierNormalized) && atBonus > 0) {
-            const result = applyBonus(originalAmountPaid, atBonus, 'AfricasTalking', true); // Use custom rounding
-            finalAmountToDispatch = result.total;
-            bonusApplied = result.bonus;
-        }
+        // --- CALCULATE BONUS AND FINAL AMOUNT TO DISPATCH (per-carrier, per-band rules + active campaign) ---
+        const bonusCalculation = await calculateBonus(targetCarrier, originalAmountPaid);
+        const activeCampaign = bonusCalculation.campaign;
+        const finalAmountToDispatch = bonusCalculation.finalAmount;
+        const bonusApplied = bonusCalculation.bonus;
 
         logger.info(`Final amount to dispatch for ${transactionId}: ${finalAmountToDispatch}`);
 
@@ -836,9 +2444,18 @@ async function processAirtimeFulfillment({
         const saleData = {
             relatedTransactionId: transactionId,
             topupNumber: topupNumber,
+            payerMsisdn: payerMsisdn, // Needed to reverse if the provider later reports a failed delivery
             originalAmountPaid: originalAmountPaid,
-            amount: finalAmountToDispatch, // This is the amount actually dispatched (original + bonus)
+            paidAmount: originalAmountPaid, // Compared against dispatchedAmount to work out any refund
+            amount: finalAmountToDispatch, // Amount we set out to dispatch (original + bonus)
+            dispatchedAmount: 0, // Amount actually delivered; below amount when the sale is only partially fulfilled
             bonusApplied: bonusApplied, // Store the bonus amount
+            bonusCampaignId: activeCampaign ? activeCampaign.id : null, // Campaign that set the bonus, if any
+            bonusCampaignName: activeCampaign ? activeCampaign.name : null,
+            bonusPercentage: bonusCalculation.percentage,
+            bonusRounding: bonusCalculation.rounding,
+            bonusCapped: bonusCalculation.capped,
+            bonusRule: bonusCalculation.rule, // The band that matched, for auditing
             carrier: targetCarrier, // Use the detected carrier
             status: 'PENDING_DISPATCH',
             dispatchAttemptedAt: now,
@@ -868,70 +2485,15 @@ async function processAirtimeFulfillment({
             logger.info(`✅ Initialized new sale document ${finalSaleId} in 'sales' collection for TransID ${transactionId}.`);
         }
 
-        // --- Conditional Airtime Dispatch Logic based on Carrier ---
-        if (targetCarrier === 'Safaricom') {
-            try {
-                await updateCarrierFloatBalance('safaricomFloat', -finalAmountToDispatch);
-                airtimeProviderUsed = 'SafaricomDealer';
-                airtimeDispatchResult = await sendSafaricomAirtime(topupNumber, finalAmountToDispatch);
-
-                if (airtimeDispatchResult && airtimeDispatchResult.status === 'SUCCESS') {
-                    airtimeDispatchStatus = 'COMPLETED';
-                    logger.info(`✅ Safaricom airtime successfully sent via Dealer Portal for sale ${finalSaleId}.`);
-                } else {
-                    saleErrorMessage = airtimeDispatchResult?.error || 'Safaricom Dealer Portal failed with unknown error.';
-                    logger.warn(`⚠️ Safaricom Dealer Portal failed for TransID ${transactionId}. Attempting fallback to Africastalking. Error: ${saleErrorMessage}`);
-
-                    // Refund Safaricom float, as primary attempt failed
-                    await updateCarrierFloatBalance('safaricomFloat', finalAmountToDispatch);
-                    logger.info(`✅ Refunded Safaricom float for TransID ${transactionId}: +${finalAmountToDispatch}`);
-
-                    // Attempt fallback via Africa's Talking (debit AT float)
-                    await updateCarrierFloatBalance('africasTalkingFloat', -finalAmountToDispatch);
-                    airtimeProviderUsed = 'AfricasTalkingFallback';
-                    airtimeDispatchResult = await sendAfricasTalkingAirtime(topupNumber, finalAmountToDispatch, targetCarrier);
-
-                    if (airtimeDispatchResult && airtimeDispatchResult.status === 'SUCCESS') {
-                        airtimeDispatchStatus = 'COMPLETED';
-                        logger.info(`✅ Safaricom fallback airtime successfully sent via AfricasTalking for sale ${finalSaleId}.`);
-                        // NEW: Adjust Africa's Talking float for 4% commission
-                        const commissionAmount = parseFloat((originalAmountPaid * 0.04).toFixed(2));
-                        await updateCarrierFloatBalance('africasTalkingFloat', commissionAmount);
-                        logger.info(`✅ Credited Africa's Talking float with ${commissionAmount} (4% commission) for TransID ${transactionId}.`);
-                    } else {
-                        saleErrorMessage = airtimeDispatchResult ? airtimeDispatchResult.error : 'AfricasTalking fallback failed with no specific error.';
-                        logger.error(`❌ Safaricom fallback via AfricasTalking failed for sale ${finalSaleId}: ${saleErrorMessage}`);
-                    }
-                }
-            } catch (dispatchError) {
-                saleErrorMessage = `Safaricom primary dispatch process failed (or float debit failed): ${dispatchError.message}`;
-                logger.error(`❌ Safaricom primary dispatch process failed for TransID ${transactionId}: ${dispatchError.message}`);
-            }
-
-        } else if (['Airtel', 'Telkom', 'Equitel', 'Faiba'].includes(targetCarrier)) {
-            // Directly dispatch via Africa's Talking
-            try {
-                await updateCarrierFloatBalance('africasTalkingFloat', -finalAmountToDispatch);
-                airtimeProviderUsed = 'AfricasTalkingDirect';
-                airtimeDispatchResult = await sendAfricasTalkingAirtime(topupNumber, finalAmountToDispatch, targetCarrier);
+        // --- Airtime Dispatch: try each provider routed for this carrier (primary first, then fallbacks) ---
+        const providerRoute = await getAirtimeRoute(targetCarrier);
+        const providerAttempts = [];
+        let dispatchProvider = null;
+        let dispatchProviderTransactionId = null;
+        let saleCommission = null;
+        let pendingVerification = null;
 
-                if (airtimeDispatchResult && airtimeDispatchResult.status === 'SUCCESS') {
-                    airtimeDispatchStatus = 'COMPLETED';
-                    logger.info(`✅ AfricasTalking airtime successfully sent directly for sale ${finalSaleId}.`);
-                    // NEW: Adjust Africa's Talking float for 4% commission
-                    const commissionAmount = parseFloat((originalAmountPaid * 0.04).toFixed(2));
-                    await updateCarrierFloatBalance('africasTalkingFloat', commissionAmount);
-                    logger.info(`✅ Credited Africa's Talking float with ${commissionAmount} (4% commission) for TransID ${transactionId}.`);
-                } else {
-                    saleErrorMessage = airtimeDispatchResult ? airtimeDispatchResult.Safaricom : 'AfricasTalking direct dispatch failed with no specific error.';
-                    logger.error(`❌ AfricasTalking direct dispatch failed for sale ${finalSaleId}: ${saleErrorMessage}`);
-                }
-            } catch (dispatchError) {
-                saleErrorMessage = `AfricasTalking direct dispatch process failed (or float debit failed): ${dispatchError.message}`;
-                logger.error(`❌ AfricasTalking direct dispatch process failed for TransID ${transactionId}: ${dispatchError.message}`);
-            }
-        } else {
-            // This case should ideally be caught by the initial detectCarrier check, but good for robustness
+        if (providerRoute.length === 0) {
             saleErrorMessage = `No valid dispatch path for carrier: ${targetCarrier}`;
             logger.error(`❌ ${saleErrorMessage} for TransID ${transactionId}`);
             await errorsCollection.add({
@@ -944,24 +2506,148 @@ async function processAirtimeFulfillment({
             });
         }
 
+        // Bonus-inflated sends that fail with every provider are retried once for just the amount paid
+        const dispatchAmounts = PARTIAL_FULFILLMENT_ENABLED && providerRoute.length > 0 && finalAmountToDispatch > originalAmountPaid
+            ? [finalAmountToDispatch, originalAmountPaid]
+            : [finalAmountToDispatch];
+        let dispatchedAmount = 0;
+
+        for (const dispatchAmount of dispatchAmounts) {
+            if (dispatchAmount !== finalAmountToDispatch) {
+                logger.warn(`⚠️ Could not dispatch ${finalAmountToDispatch} for TransID ${transactionId}. Retrying without the bonus: ${dispatchAmount}.`);
+            }
+            for (const [routeIndex, providerName] of providerRoute.entries()) {
+                const provider = getAirtimeProvider(providerName);
+                if (routeIndex > 0) {
+                    logger.warn(`⚠️ Falling back to ${provider.name} for TransID ${transactionId}. Previous error: ${saleErrorMessage}`);
+                }
+
+                // Skip providers whose circuit is open before touching their float
+                if (!circuitAllowsRequest(provider.name)) {
+                    saleErrorMessage = saleErrorMessage || `${provider.name} circuit is open.`;
+                    logger.warn(`⏭️ Skipping ${provider.name} for TransID ${transactionId}: circuit is open.`);
+                    providerAttempts.push({ provider: provider.name, amount: dispatchAmount, status: 'CIRCUIT_OPEN', message: `${provider.name} circuit is open.` });
+                    continue;
+                }
+
+                try {
+                    if (provider.floatName) {
+                        await updateCarrierFloatBalance(provider.floatName, -dispatchAmount, { reason: 'DISPATCH_DEBIT', transactionId, saleId: finalSaleId });
+                    }
+                } catch (floatError) {
+                    releaseCircuitProbe(provider.name); // A float problem says nothing about the provider's health
+                    saleErrorMessage = `${provider.name} float debit failed: ${floatError.message}`;
+                    logger.error(`❌ ${saleErrorMessage} (TransID ${transactionId})`);
+                    providerAttempts.push({ provider: provider.name, amount: dispatchAmount, status: 'FLOAT_DEBIT_FAILED', message: floatError.message });
+                    continue;
+                }
+
+                airtimeProviderUsed = provider.name;
+                try {
+                    airtimeDispatchResult = await provider.send(topupNumber, dispatchAmount, targetCarrier);
+                } catch (sendError) {
+                    airtimeDispatchResult = { status: 'FAILED', message: sendError.message, error: sendError.message, timedOut: isTimeoutError(sendError) };
+                }
+                const parsedResult = provider.parseResult(airtimeDispatchResult);
+                recordProviderOutcome(provider.name, parsedResult.status === 'SUCCESS' ? 'SUCCESS' : (parsedResult.timedOut ? 'TIMEOUT' : 'FAILURE'), parsedResult.message);
+                providerAttempts.push({ provider: provider.name, amount: dispatchAmount, status: parsedResult.status, message: parsedResult.message, providerTransactionId: parsedResult.providerTransactionId });
+
+                if (parsedResult.status === 'SUCCESS') {
+                    airtimeDispatchStatus = 'COMPLETED';
+                    dispatchProvider = provider;
+                    dispatchProviderTransactionId = parsedResult.providerTransactionId;
+                    logger.info(`✅ Airtime successfully sent via ${provider.name}${routeIndex > 0 ? ' (fallback)' : ''} for sale ${finalSaleId}.`);
+                    dispatchedAmount = parsedResult.deliveredAmount > 0 ? Math.min(parsedResult.deliveredAmount, dispatchAmount) : dispatchAmount;
+                    if (dispatchedAmount < dispatchAmount) {
+                        logger.warn(`⚠️ ${provider.name} delivered only ${dispatchedAmount} of ${dispatchAmount} for sale ${finalSaleId}.`);
+                        if (provider.floatName) {
+                            await updateCarrierFloatBalance(provider.floatName, dispatchAmount - dispatchedAmount, {
+                                reason: 'DISPATCH_REFUND', transactionId, saleId: finalSaleId, note: 'Undelivered part of a partial send',
+                            });
+                        }
+                    }
+                    const split = getFulfillmentSplit(originalAmountPaid, finalAmountToDispatch, dispatchedAmount);
+                    saleCommission = await creditProviderCommission(provider, {
+                        carrier: targetCarrier, paidAmount: split.paidAmount - split.refundAmount, dispatchedAmount, transactionId, saleId: finalSaleId,
+                    });
+                    break;
+                }
+
+                if (parsedResult.status === 'UNKNOWN') {
+                    // The airtime may have been delivered: keep the float debited, do not fall back and do not
+                    // reverse. The verification worker resolves it through the provider's status lookup.
+                    airtimeDispatchStatus = 'PENDING_VERIFICATION';
+                    dispatchProvider = provider;
+                    dispatchProviderTransactionId = parsedResult.providerTransactionId;
+                    pendingVerification = {
+                        provider: provider.name,
+                        providerTransactionId: parsedResult.providerTransactionId,
+                        dispatchedAt: Timestamp.now(),
+                        amount: dispatchAmount, // Can be below the sale amount after a step-down to the paid amount
+                        attempts: 0,
+                        nextCheckAt: Timestamp.fromMillis(Date.now() + DISPATCH_VERIFICATION_DELAY_MS),
+                        payerMsisdn: payerMsisdn,
+                        reason: parsedResult.message,
+                    };
+                    logger.warn(`❓ ${provider.name} dispatch outcome UNKNOWN for sale ${finalSaleId} (TransID ${transactionId}). Parking for provider verification.`);
+                    break;
+                }
+
+                saleErrorMessage = parsedResult.message;
+                logger.error(`❌ ${provider.name} dispatch failed for sale ${finalSaleId}: ${saleErrorMessage}`);
+
+                // Refund the float debited for the failed attempt before trying the next provider
+                if (provider.floatName) {
+                    await updateCarrierFloatBalance(provider.floatName, dispatchAmount, { reason: 'DISPATCH_REFUND', transactionId, saleId: finalSaleId });
+                    logger.info(`✅ Refunded ${provider.floatName} for TransID ${transactionId}: +${dispatchAmount}`);
+                }
+            }
+
+            if (airtimeDispatchStatus !== 'FAILED') {
+                break;
+            }
+        }
+
         const updateSaleFields = {
             lastUpdated: now,
             dispatchResult: airtimeDispatchResult?.data || airtimeDispatchResult?.error || airtimeDispatchResult,
             airtimeProviderUsed: airtimeProviderUsed,
+            providerTransactionId: dispatchProviderTransactionId, // Matches provider status callbacks to this sale
+            airtimeProviderAttempts: providerAttempts, // Every provider tried, in routing order
+            usedFallbackProvider: new Set(providerAttempts.map(attempt => attempt.provider)).size > 1,
         };
 
-        // If airtime dispatch was COMPLETELY successful
+        // Ambiguous dispatch: park the sale until the provider confirms what happened
+        if (airtimeDispatchStatus === 'PENDING_VERIFICATION') {
+            updateSaleFields.status = 'PENDING_VERIFICATION';
+            updateSaleFields.verification = pendingVerification;
+            await salesCollection.doc(finalSaleId).update(updateSaleFields);
+            await transactionsCollection.doc(transactionId).update({
+                status: 'PENDING_PROVIDER_VERIFICATION',
+                fulfillmentStatus: 'PENDING_VERIFICATION',
+                fulfillmentDetails: airtimeDispatchResult,
+                lastUpdated: now,
+                airtimeProviderUsed: airtimeProviderUsed,
+            });
+            logger.info(`✅ Sale ${finalSaleId} parked in PENDING_VERIFICATION.`);
+            return { success: true, status: 'PENDING_VERIFICATION' };
+        }
+
+        // If airtime dispatch was successful, in full or in part
         if (airtimeDispatchStatus === 'COMPLETED') {
-            updateSaleFields.status = airtimeDispatchStatus;
+            const split = getFulfillmentSplit(originalAmountPaid, finalAmountToDispatch, dispatchedAmount);
+            updateSaleFields.status = split.partial ? 'PARTIALLY_FULFILLED' : airtimeDispatchStatus;
+            updateSaleFields.dispatchedAmount = split.dispatchedAmount;
+            updateSaleFields.undeliveredAmount = split.undeliveredAmount;
+            updateSaleFields.refundAmount = split.refundAmount; // Part of the payment owed back to the customer
+            updateSaleFields.commission = saleCommission; // Recorded per sale for margin reporting
 
             // Only update Safaricom float balance from API response if Safaricom Dealer was used and successful
-            if (targetCarrier === 'Safaricom' && airtimeDispatchResult && airtimeDispatchResult.newSafaricomFloatBalance !== undefined && airtimeProviderUsed === 'SafaricomDealer') {
+            if (dispatchProvider.name === 'SafaricomDealer' && airtimeDispatchResult && airtimeDispatchResult.newSafaricomFloatBalance != null) {
                 try {
-                    await safaricomFloatDocRef.update({
-                        balance: airtimeDispatchResult.newSafaricomFloatBalance,
-                        lastUpdated: now
+                    await applyProviderReportedFloatBalance('safaricomFloat', airtimeDispatchResult.newSafaricomFloatBalance, {
+                        transactionId, saleId: finalSaleId, note: 'Balance reported in Dealer send response',
                     });
-                    logger.info(`✅ Safaricom float balance directly updated from API response for TransID ${transactionId}. New balance: ${airtimeDispatchResult.newSafaricomFloatBalance}`);
                 } catch (floatUpdateErr) {
                     logger.error(`❌ Failed to directly update Safaricom float from API response for TransID ${transactionId}:`, {
                         error: floatUpdateErr.message, reportedBalance: airtimeDispatchResult.newSafaricomFloatBalance
@@ -979,7 +2665,28 @@ async function processAirtimeFulfillment({
                 }
             }
             await salesCollection.doc(finalSaleId).update(updateSaleFields);
-            logger.info(`✅ Updated sale document ${finalSaleId} with dispatch result (COMPLETED).`);
+            logger.info(`✅ Updated sale document ${finalSaleId} with dispatch result (${updateSaleFields.status}).`);
+
+            if (split.partial) {
+                await transactionsCollection.doc(transactionId).update({
+                    status: 'PARTIALLY_FULFILLED',
+                    fulfillmentStatus: 'PARTIALLY_FULFILLED',
+                    fulfillmentDetails: airtimeDispatchResult,
+                    dispatchedAmount: split.dispatchedAmount,
+                    refundAmount: split.refundAmount,
+                    lastUpdated: now,
+                    airtimeProviderUsed: airtimeProviderUsed,
+                    reversalAttempted: split.refundAmount > 0,
+                });
+                logger.warn(`⚠️ Transaction ${transactionId} PARTIALLY_FULFILLED: dispatched ${split.dispatchedAmount} of ${finalAmountToDispatch}, refunding ${split.refundAmount}.`);
+                if (split.refundAmount > 0) {
+                    const refundResult = await initiateFulfillmentReversal({
+                        transactionId, originalAmountPaid, payerMsisdn, sourceCallbackData, refundAmount: split.refundAmount, scope: 'UNDELIVERED',
+                    });
+                    return { ...refundResult, status: 'PARTIALLY_FULFILLED', refundStatus: refundResult.status };
+                }
+                return { success: true, status: 'PARTIALLY_FULFILLED' };
+            }
 
             // Also update the main transaction status to fulfilled
             await transactionsCollection.doc(transactionId).update({
@@ -1036,47 +2743,7 @@ async function processAirtimeFulfillment({
                 reversalAttempted: true,
             });
 
-            const reversalResult = await initiateDarajaReversal(transactionId, originalAmountPaid, payerMsisdn);
-
-            if (reversalResult.success) {
-                logger.info(`✅ Daraja reversal initiated successfully for TransID ${transactionId}.`);
-                await reconciledTransactionsCollection.doc(transactionId).set({
-                    transactionId: transactionId,
-                    amount: originalAmountPaid,
-                    mpesaNumber: payerMsisdn,
-                    reversalInitiatedAt: now,
-                    reversalRequestDetails: reversalResult.data,
-                    originalCallbackData: sourceCallbackData,
-                    status: 'REVERSAL_INITIATED',
-                    createdAt: now,
-                }, { merge: true });
-                await transactionsCollection.doc(transactionId).update({
-                    status: 'REVERSAL_PENDING_CONFIRMATION',
-                    lastUpdated: now,
-                    reversalDetails: reversalResult.data,
-                    errorMessage: reversalResult.message,
-                });
-                return { success: true, status: 'REVERSAL_INITIATED' };
-            } else {
-                logger.error(`❌ Daraja reversal failed to initiate for TransID ${transactionId}: ${reversalResult.message}`);
-                await failedReconciliationsCollection.doc(transactionId).set({
-                    transactionId: transactionId,
-                    amount: originalAmountPaid,
-                    mpesaNumber: payerMsisdn,
-                    reversalAttemptedAt: now,
-                    reversalFailureDetails: reversalResult.error,
-                    originalCallbackData: sourceCallbackData,
-                    reason: reversalResult.message,
-                    createdAt: now,
-                }, { merge: true });
-                await transactionsCollection.doc(transactionId).update({
-                    status: 'REVERSAL_INITIATION_FAILED',
-                    lastUpdated: now,
-                    reversalDetails: reversalResult.error,
-                    errorMessage: `Reversal initiation failed: ${reversalResult.message}`
-                });
-                return { success: false, status: 'REVERSAL_INITIATION_FAILED', error: reversalResult.message };
-            }
+            return initiateFulfillmentReversal({ transactionId, originalAmountPaid, payerMsisdn, sourceCallbackData });
         }
     } catch (error) {
         logger.error(`❌ CRITICAL ERROR during Airtime Fulfillment for TransID ${transactionId}:`, {
@@ -1116,676 +2783,3787 @@ async function processAirtimeFulfillment({
 
 
 
-// --- RATE LIMITING ---
-const stkPushLimiter = rateLimit({
-    windowMs: 1 * 60 * 1000, // 1 minute
-    max: 20, // Limit each IP to 20 requests per window
-    message: 'Too many STK Push requests from this IP, please try again after a minute.',
-    statusCode: 429,
-    headers: true,
-});
+// stk_Transactions statuses after which no further callback/sweeper/query may change the outcome
+const STK_FINAL_STATUSES = ['MPESA_PAYMENT_SUCCESS', 'MPESA_PAYMENT_FAILED'];
 
-const stkCallbackRateLimiter = rateLimit({
-    windowMs: 1 * 60 * 1000, // 1 minute
-    max: 100, // M-Pesa can send multiple retries
-    message: 'Too many STK Callback requests, please try again later.',
-    statusCode: 429,
-    headers: true,
-});
-
-
-// --- ENDPOINTS ---
-
-// 1. STK Push Initiation Endpoint
-app.post('/stk-push', stkPushLimiter, async (req, res) => {
-    const { amount, phoneNumber, recipient, customerName, serviceType, reference } = req.body; // Added customerName, serviceType, reference for completeness
+/**
+ * Applies the final M-Pesa outcome of an STK Push to its stk_Transactions document and,
+ * for successful payments, notifies the offline server for fulfillment.
+ * Shared by /stk-callback, the STK status endpoint and the background sweeper so that
+ * every resolution path runs the exact same success/failure branch.
+ * The resolution is claimed inside a Firestore transaction: if the document is already
+ * final, the delivery is recorded in its 'history' subcollection and nothing is re-notified.
+ *
+ * @param {object} params
+ * @param {string} params.checkoutRequestID - The CheckoutRequestID (stk_Transactions document ID).
+ * @param {object} params.stkTransactionDocRef - Reference to the stk_Transactions document.
+ * @param {number} params.resultCode - M-Pesa ResultCode (0 = paid).
+ * @param {string} params.resultDesc - M-Pesa ResultDesc.
+ * @param {object|null} [params.callbackMetadata=null] - CallbackMetadata from the callback (not available from STK Query).
+ * @param {object|null} [params.stkCallback=null] - Raw Body.stkCallback, or the STK Query response.
+ * @param {string} params.resolutionSource - 'CALLBACK', 'SWEEPER' or 'STATUS_QUERY'.
+ * @returns {Promise<object>} - { paymentSuccessful, duplicate, notified, internalError }
+ */
+async function finalizeStkTransaction({
+    checkoutRequestID,
+    stkTransactionDocRef,
+    resultCode,
+    resultDesc,
+    callbackMetadata = null,
+    stkCallback = null,
+    resolutionSource
+}) {
+    const paymentSuccessful = Number(resultCode) === 0;
+    let stkTransactionData;
+    let updateData;
 
-    if (!amount || !phoneNumber || !recipient) {
-        logger.warn('Missing required parameters for STK Push:', { amount, phoneNumber, recipient });
-        return res.status(400).json({ success: false, message: 'Missing required parameters: amount, phoneNumber, recipient.' });
-    }
+    try {
+        const claim = await firestore.runTransaction(async t => {
+            const stkTransactionSnap = await t.get(stkTransactionDocRef);
+            const currentData = stkTransactionSnap.data();
+            const historyRef = stkTransactionDocRef.collection('history').doc();
+
+            // --- Duplicate / replayed delivery: the outcome is already final ---
+            if (STK_FINAL_STATUSES.includes(currentData.stkPushStatus)) {
+                // A payment resolved by STK Query has no receipt; keep the one the late callback brings
+                const callbackItems = callbackMetadata?.Item || [];
+                const lateReceipt = callbackItems.find(item => item.Name === 'MpesaReceiptNumber')?.Value || null;
+                const backfill = currentData.stkPushStatus === 'MPESA_PAYMENT_SUCCESS' && paymentSuccessful && lateReceipt && !currentData.mpesaReceiptNumber
+                    ? {
+                        mpesaReceiptNumber: lateReceipt,
+                        mpesaTransactionDate: currentData.mpesaTransactionDate || callbackItems.find(item => item.Name === 'TransactionDate')?.Value || null,
+                        mpesaCallbackMetadata: callbackMetadata,
+                        lastUpdated: FieldValue.serverTimestamp(),
+                    }
+                    : null;
+                if (backfill) {
+                    t.update(stkTransactionDocRef, backfill);
+                }
+                t.set(historyRef, {
+                    event: 'DUPLICATE_DELIVERY',
+                    resolutionSource: resolutionSource,
+                    resultCode: Number(resultCode),
+                    resultDesc: resultDesc,
+                    existingStatus: currentData.stkPushStatus,
+                    existingResolutionSource: currentData.resolutionSource || null,
+                    backfilledReceipt: backfill ? backfill.mpesaReceiptNumber : null,
+                    payload: stkCallback,
+                    receivedAt: FieldValue.serverTimestamp(),
+                });
+                return { duplicate: true, currentData, backfill };
+            }
 
-    const timestamp = generateTimestamp();
-    const password = generatePassword(SHORTCODE, PASSKEY, timestamp);
+            // Extracting relevant data from the callback (the STK Query API does not return CallbackMetadata)
+            const metadataItems = callbackMetadata?.Item || [];
+            const amount = metadataItems.find(item => item.Name === 'Amount')?.Value ?? currentData.amount;
+            const customerPhoneNumber = metadataItems.find(item => item.Name === 'PhoneNumber')?.Value ?? currentData.phoneNumber; // PartyA's phone
+
+            const resolvedUpdateData = {
+                mpesaResultCode: Number(resultCode),
+                mpesaResultDesc: resultDesc,
+                mpesaCallbackMetadata: callbackMetadata, // Store full metadata
+                customerPhoneNumber: customerPhoneNumber, // From M-Pesa callback (PartyA)
+                resolutionSource: resolutionSource, // CALLBACK, SWEEPER or STATUS_QUERY - for auditing
+                resolvedAt: FieldValue.serverTimestamp(),
+                lastUpdated: FieldValue.serverTimestamp(),
+                ...mapStkResultCodeToStatus(resultCode),
+            };
+            if (paymentSuccessful) {
+                resolvedUpdateData.mpesaReceiptNumber = metadataItems.find(item => item.Name === 'MpesaReceiptNumber')?.Value || null;
+                resolvedUpdateData.mpesaTransactionDate = metadataItems.find(item => item.Name === 'TransactionDate')?.Value || null;
+                resolvedUpdateData.amountConfirmed = amount; // Amount from M-Pesa callback
+            }
 
-    logger.info(`Initiating STK Push for recipient: ${recipient}, amount: ${amount}, customer: ${phoneNumber}`);
+            t.update(stkTransactionDocRef, resolvedUpdateData);
+            // The bulk order moves with its payment so a crash after this point cannot strand it unpaid
+            if (currentData.bulkOrderId) {
+                t.update(bulkOrdersCollection.doc(currentData.bulkOrderId), paymentSuccessful
+                    ? {
+                        status: 'PAID',
+                        amountPaid: resolvedUpdateData.amountConfirmed,
+                        mpesaReceiptNumber: resolvedUpdateData.mpesaReceiptNumber,
+                        mpesaTransactionDate: resolvedUpdateData.mpesaTransactionDate,
+                        paidAt: FieldValue.serverTimestamp(),
+                        lastUpdated: FieldValue.serverTimestamp(),
+                    }
+                    : {
+                        status: 'PAYMENT_FAILED',
+                        mpesaResultDesc: resultDesc,
+                        lastUpdated: FieldValue.serverTimestamp(),
+                    });
+            }
+            t.set(historyRef, {
+                event: 'RESOLVED',
+                resolutionSource: resolutionSource,
+                resultCode: Number(resultCode),
+                resultDesc: resultDesc,
+                stkPushStatus: resolvedUpdateData.stkPushStatus,
+                payload: stkCallback,
+                receivedAt: FieldValue.serverTimestamp(),
+            });
+            return { duplicate: false, currentData, resolvedUpdateData };
+        });
 
-    // --- Input Validation (moved here for early exit) ---
-    const MIN_AMOUNT = 5;
-    const MAX_AMOUNT = 5000;
-    const amountFloat = parseFloat(amount);
+        if (claim.duplicate) {
+            if (claim.backfill) {
+                logger.info(`✅ Backfilled M-Pesa receipt ${claim.backfill.mpesaReceiptNumber} for ${checkoutRequestID} from a late ${resolutionSource}.`);
+                if (claim.currentData.bulkOrderId) {
+                    await bulkOrdersCollection.doc(claim.currentData.bulkOrderId).update({
+                        mpesaReceiptNumber: claim.backfill.mpesaReceiptNumber,
+                        mpesaTransactionDate: claim.backfill.mpesaTransactionDate,
+                        lastUpdated: FieldValue.serverTimestamp(),
+                    });
+                }
+            }
+            logger.warn(`⚠️ Duplicate ${resolutionSource} delivery for already-final STK transaction ${checkoutRequestID} (status: ${claim.currentData.stkPushStatus}). Recorded in history, not re-notifying.`);
+            return { paymentSuccessful: claim.currentData.stkPushStatus === 'MPESA_PAYMENT_SUCCESS', duplicate: true, notified: false, internalError: false };
+        }
+        stkTransactionData = claim.currentData;
+        updateData = claim.resolvedUpdateData;
 
-    if (isNaN(amountFloat) || amountFloat < MIN_AMOUNT || amountFloat > MAX_AMOUNT) {
-        logger.warn(`🛑 Invalid amount ${amount} for STK Push. Amount must be between ${MIN_AMOUNT} and ${MAX_AMOUNT}.`);
-        return res.status(400).json({ success: false, message: `Invalid amount. Must be between ${MIN_AMOUNT} and ${MAX_AMOUNT}.` });
+    } catch (error) {
+        logger.error(`❌ Error updating 'stk_transactions' for ${checkoutRequestID} (source: ${resolutionSource}):`, { message: error.message, stack: error.stack });
+        await errorsCollection.add({
+            type: paymentSuccessful ? 'STK_CALLBACK_UPDATE_OR_NOTIFICATION_ERROR' : 'STK_CALLBACK_FAILED_PAYMENT_UPDATE_ERROR',
+            checkoutRequestID: checkoutRequestID,
+            resolutionSource: resolutionSource,
+            error: error.message,
+            stack: error.stack,
+            callbackData: stkCallback,
+            createdAt: FieldValue.serverTimestamp(),
+        });
+        return { paymentSuccessful: paymentSuccessful, duplicate: false, notified: false, internalError: true };
     }
 
-    const cleanedRecipient = recipient.replace(/\D/g, ''); // Ensure only digits
-    const cleanedCustomerPhone = phoneNumber.replace(/\D/g, ''); // Ensure only digits
-
-    if (!cleanedRecipient || !cleanedCustomerPhone || cleanedRecipient.length < 9 || cleanedCustomerPhone.length < 9) {
-        logger.warn(`🛑 Invalid recipient (${recipient}) or customer phone (${phoneNumber}) for STK Push.`);
-        return res.status(400).json({ success: false, message: "Invalid recipient or customer phone number format." });
+    if (!paymentSuccessful) {
+        // M-Pesa payment failed or was cancelled by user
+        logger.warn(`⚠️ M-Pesa payment failed or cancelled for ${checkoutRequestID} (source: ${resolutionSource}). ResultCode: ${resultCode}, ResultDesc: ${resultDesc}`);
+        return { paymentSuccessful: false, duplicate: false, notified: false, internalError: false };
     }
 
-    const detectedCarrier = detectCarrier(cleanedRecipient); // Detect carrier at initiation
-    if (detectedCarrier === 'Unknown') {
-        logger.warn(`🛑 Unknown carrier for recipient ${cleanedRecipient}.`);
-        return res.status(400).json({ success: false, message: "Recipient's carrier is not supported." });
+    // Bulk orders are fulfilled here, one sale per line, instead of by the offline server
+    if (stkTransactionData.bulkOrderId) {
+        const bulkOrderRef = bulkOrdersCollection.doc(stkTransactionData.bulkOrderId);
+        logger.info(`✅ M-Pesa payment successful for bulk order ${checkoutRequestID} (source: ${resolutionSource}). Dispatching its lines.`);
+        // Not awaited so the callback is acknowledged promptly; the bulk order worker resumes anything left behind
+        dispatchBulkOrder(bulkOrderRef).catch(error => {
+            logger.error(`❌ Bulk order ${checkoutRequestID} fan-out failed:`, { message: error.message, stack: error.stack });
+        });
+        return { paymentSuccessful: true, duplicate: false, notified: false, internalError: false };
     }
 
-    // Declare CheckoutRequestID here, it will be set after Daraja response
-    let CheckoutRequestID = null;
+    logger.info(`✅ M-Pesa payment successful for ${checkoutRequestID} (source: ${resolutionSource}). STK transaction marked MPESA_PAYMENT_SUCCESS, notifying offline server.`);
 
     try {
-        const accessToken = await getAccessToken();
-
-        const stkPushPayload = {
-            BusinessShortCode: SHORTCODE,
-            Password: password,
-            Timestamp: timestamp,
-            TransactionType: 'CustomerPayBillOnline', // Or 'CustomerBuyGoodsOnline' if applicable
-            Amount: amountFloat, // Use the parsed float amount
-            PartyA: cleanedCustomerPhone, // Customer's phone number
-            PartyB: SHORTCODE, // Your Paybill/Till number
-            PhoneNumber: cleanedCustomerPhone, // Customer's phone number
-            CallBackURL: STK_CALLBACK_URL,
-            AccountReference: cleanedRecipient, // Use recipient number as account reference
-            TransactionDesc: `Airtime for ${cleanedRecipient}`
+        // --- NOTIFY OFFLINE SERVER FOR FULFILLMENT ---
+        // This payload MUST contain ALL data the offline server needs to create
+        // its 'sales' and 'transactions' documents from scratch.
+        const fulfillmentDetails = {
+            checkoutRequestID: checkoutRequestID,
+            merchantRequestID: stkTransactionData.merchantRequestID,
+            mpesaReceiptNumber: updateData.mpesaReceiptNumber,
+            amountPaid: updateData.amountConfirmed, // The actual amount confirmed by M-Pesa
+            recipientNumber: stkTransactionData.recipient, // Retrieved from stk_transactions
+            customerPhoneNumber: updateData.customerPhoneNumber, // From M-Pesa callback
+            carrier: stkTransactionData.carrier, // Retrieved from stk_transactions
+            transactionDate: updateData.mpesaTransactionDate, // From M-Pesa callback
+            originalAmountRequested: stkTransactionData.amount, // From stk_transactions
+            stkPushInitiationPayload: stkTransactionData.stkPushPayload, // Full payload sent to Daraja
+            stkPushCallbackData: stkCallback, // Full M-Pesa callback payload (or STK Query response)
+            resolutionSource: resolutionSource,
         };
 
-        const stkPushResponse = await axios.post(
-            'https://api.safaricom.co.ke/mpesa/stkpush/v1/processrequest',
-            stkPushPayload,
-            {
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`,
-                    'Content-Type': 'application/json' // Explicitly set Content-Type
-                }
-            }
-        );
-
-        logger.info('STK Push Request Sent to Daraja:', stkPushResponse.data);
-
-        const {
-            ResponseCode,
-            ResponseDescription,
-            CustomerMessage,
-            CheckoutRequestID: darajaCheckoutRequestID, // Rename to avoid conflict with outer scope
-            MerchantRequestID
-        } = stkPushResponse.data;
-
-        // Assign Daraja's CheckoutRequestID to the outer scope variable
-        CheckoutRequestID = darajaCheckoutRequestID;
+        const notificationResult = await notifyOfflineServerForFulfillment(fulfillmentDetails);
 
-        // ONLY create the stk_transaction document if M-Pesa successfully accepted the push request
-        if (ResponseCode === '0') {
-            await stkTransactionsCollection.doc(CheckoutRequestID).set({
-                checkoutRequestID: CheckoutRequestID,
-                merchantRequestID: MerchantRequestID, // Populate directly here
-                phoneNumber: cleanedCustomerPhone, // The number that received the STK Push
-                amount: amountFloat, // Use amountFloat for consistency
-                recipient: cleanedRecipient, // Crucial: Store the intended recipient here
-                carrier: detectedCarrier, // Assuming you detect carrier during initial request
-                initialRequestAt: FieldValue.serverTimestamp(),
-                stkPushStatus: 'PUSH_INITIATED', // Initial status
-                stkPushPayload: stkPushPayload, // Store the payload sent to Daraja
-                darajaResponse: stkPushResponse.data, // Store full Daraja response here
-                customerName: customerName || null,
-                serviceType: serviceType || 'airtime',
-                reference: reference || null,
-                lastUpdated: FieldValue.serverTimestamp(), // Add lastUpdated here too
+        if (notificationResult.success) {
+            logger.info(`✅ Offline server successfully notified for fulfillment of ${checkoutRequestID}.`);
+            // Update stk_transactions with notification status
+            await stkTransactionDocRef.update({
+                offlineNotificationStatus: 'SUCCESS',
+                lastUpdated: FieldValue.serverTimestamp(),
             });
-            logger.info(`✅ STK Transaction document ${CheckoutRequestID} created with STK Push initiation response.`);
-
-            return res.status(200).json({ success: true, message: CustomerMessage, checkoutRequestID: CheckoutRequestID });
-
         } else {
-            // M-Pesa did not accept the push request (e.g., invalid number, insufficient balance in your shortcode)
-            logger.error('❌ STK Push Request Failed by Daraja:', stkPushResponse.data);
-
-            // Log this failure in errors collection
-            await errorsCollection.add({
-                type: 'STK_PUSH_INITIATION_FAILED_BY_DARJA',
-                error: ResponseDescription,
-                requestPayload: stkPushPayload,
-                mpesaResponse: stkPushResponse.data,
-                createdAt: FieldValue.serverTimestamp(),
-                checkoutRequestID: CheckoutRequestID, // Log this ID even if no record was created for it
+            logger.error(`❌ Failed to notify offline server for ${checkoutRequestID}. Queuing for retry.`);
+            // Hand the notification to the outbox worker instead of leaving it for manual fulfillment
+            await enqueueOfflineNotification(fulfillmentDetails, notificationResult.message);
+            // Update stk_transactions with notification failure status
+            await stkTransactionDocRef.update({
+                offlineNotificationStatus: 'QUEUED_FOR_RETRY',
+                offlineNotificationError: notificationResult.message,
+                lastUpdated: FieldValue.serverTimestamp(),
             });
-
-            // No stk_transaction document created if Daraja rejected the request
-            return res.status(500).json({ success: false, message: ResponseDescription || 'STK Push request failed.' });
         }
 
-    } catch (error) {
-        logger.error('❌ Critical error during STK Push initiation:', {
-            message: error.message,
-            stack: error.stack,
-            requestBody: req.body,
-            responseError: error.response ? error.response.data : 'No response data'
-        });
-
-        const errorMessage = error.response ? (error.response.data.errorMessage || error.response.data.MpesaError || error.response.data) : error.message;
+        return { paymentSuccessful: true, duplicate: false, notified: notificationResult.success, internalError: false };
 
+    } catch (error) {
+        logger.error(`❌ Error notifying offline server for ${checkoutRequestID}:`, { message: error.message, stack: error.stack });
         await errorsCollection.add({
-            type: 'STK_PUSH_CRITICAL_INITIATION_ERROR',
-            error: errorMessage,
-            requestBody: req.body,
+            type: 'STK_CALLBACK_UPDATE_OR_NOTIFICATION_ERROR',
+            checkoutRequestID: checkoutRequestID,
+            resolutionSource: resolutionSource,
+            error: error.message,
             stack: error.stack,
+            callbackData: stkCallback,
             createdAt: FieldValue.serverTimestamp(),
-            checkoutRequestID: CheckoutRequestID || 'N/A', // Log the ID if available
         });
+        return { paymentSuccessful: true, duplicate: false, notified: false, internalError: true };
+    }
+}
 
-        res.status(500).json({ success: false, message: 'Failed to initiate STK Push.', error: errorMessage });
+// --- STK SWEEPER (resolves PUSH_INITIATED transactions whose callbacks never arrived) ---
+const STK_SWEEPER_ENABLED = process.env.STK_SWEEPER_ENABLED !== 'false';
+const STK_SWEEPER_INTERVAL_MS = parseInt(process.env.STK_SWEEPER_INTERVAL_MS || String(5 * 60 * 1000), 10); // 5 minutes
+const STK_SWEEPER_MIN_AGE_SECONDS = parseInt(process.env.STK_SWEEPER_MIN_AGE_SECONDS || '180', 10); // Give the callback 3 minutes to land
+const STK_SWEEPER_BATCH_SIZE = parseInt(process.env.STK_SWEEPER_BATCH_SIZE || '50', 10);
+const STK_SWEEPER_MAX_ATTEMPTS = parseInt(process.env.STK_SWEEPER_MAX_ATTEMPTS || '10', 10);
+
+let stkSweeperRunning = false;
+
+async function sweepStaleStkTransactions() {
+    if (stkSweeperRunning) {
+        logger.warn('⚠️ STK sweeper is still running from the previous tick. Skipping this run.');
+        return;
     }
-});
+    stkSweeperRunning = true;
 
-// 2. M-Pesa STK Callback Endpoint (where M-Pesa sends payment confirmation)
-/*app.post('/stk-callback', stkCallbackRateLimiter, async (req, res) => {
-    const callback = req.body;
-    const now = FieldValue.serverTimestamp();
+    try {
+        const cutoff = Timestamp.fromMillis(Date.now() - STK_SWEEPER_MIN_AGE_SECONDS * 1000);
+        // Requires a composite index on stk_Transactions (stkPushStatus ASC, initialRequestAt ASC)
+        const staleSnapshot = await stkTransactionsCollection
+            .where('stkPushStatus', '==', 'PUSH_INITIATED')
+            .where('initialRequestAt', '<=', cutoff)
+            .orderBy('initialRequestAt')
+            .limit(STK_SWEEPER_BATCH_SIZE)
+            .get();
+
+        if (staleSnapshot.empty) {
+            return;
+        }
+        logger.info(`🧹 STK sweeper found ${staleSnapshot.size} stale PUSH_INITIATED transaction(s).`);
 
-    logger.info('📞 Received STK Callback:', JSON.stringify(callback));
+        // Query sequentially to stay well inside Daraja's rate limits
+        for (const stkTransactionDoc of staleSnapshot.docs) {
+            const checkoutRequestID = stkTransactionDoc.id;
+            const stkTransactionData = stkTransactionDoc.data();
+            const attempts = (stkTransactionData.sweeperAttempts || 0) + 1;
 
-    const resultCode = callback.Body.stkCallback.ResultCode;
-    const checkoutRequestID = callback.Body.stkCallback.CheckoutRequestID;
+            try {
+                const queryResult = await queryStkPushStatus(checkoutRequestID);
+
+                if (queryResult.resolved) {
+                    await finalizeStkTransaction({
+                        checkoutRequestID: checkoutRequestID,
+                        stkTransactionDocRef: stkTransactionDoc.ref,
+                        resultCode: queryResult.resultCode,
+                        resultDesc: queryResult.resultDesc,
+                        stkCallback: queryResult.data,
+                        resolutionSource: 'SWEEPER',
+                    });
+                    await stkTransactionDoc.ref.update({ sweeperAttempts: attempts, stkQueryResponse: queryResult.data });
+                    continue;
+                }
 
-    // Extract details without optional chaining (as per previous regeneration)
-    let mpesaReceiptNumber = null;
-    let transactionDateFromMpesa = null;
-    let phoneNumberUsedForPayment = null;
-    let amountPaidByCustomer = null;
+                const unresolvedUpdate = {
+                    sweeperAttempts: attempts,
+                    stkQueryResponse: queryResult.data || null,
+                    lastStkQueryAt: FieldValue.serverTimestamp(),
+                };
+                if (attempts >= STK_SWEEPER_MAX_ATTEMPTS) {
+                    unresolvedUpdate.stkPushStatus = 'UNRESOLVED';
+                    unresolvedUpdate.lastUpdated = FieldValue.serverTimestamp();
+                    logger.error(`❌ STK transaction ${checkoutRequestID} still unresolved after ${attempts} sweeper attempts. Flagging for manual review.`);
+                    await errorsCollection.add({
+                        type: 'STK_SWEEPER_UNRESOLVED',
+                        checkoutRequestID: checkoutRequestID,
+                        attempts: attempts,
+                        lastQueryResponse: queryResult.data || null,
+                        createdAt: FieldValue.serverTimestamp(),
+                    });
+                }
+                await stkTransactionDoc.ref.update(unresolvedUpdate);
+
+            } catch (error) {
+                logger.error(`❌ STK sweeper failed to resolve ${checkoutRequestID}:`, { message: error.message, stack: error.stack });
+                const failedUpdate = {
+                    sweeperAttempts: attempts,
+                    lastStkQueryAt: FieldValue.serverTimestamp(),
+                    lastSweeperError: error.message,
+                };
+                // Queries that keep erroring (e.g. Daraja rejecting an old CheckoutRequestID) must not pin the oldest batch forever
+                if (attempts >= STK_SWEEPER_MAX_ATTEMPTS) {
+                    failedUpdate.stkPushStatus = 'UNRESOLVED';
+                    failedUpdate.lastUpdated = FieldValue.serverTimestamp();
+                    logger.error(`❌ STK transaction ${checkoutRequestID} still unresolved after ${attempts} sweeper attempts. Flagging for manual review.`);
+                    await errorsCollection.add({
+                        type: 'STK_SWEEPER_UNRESOLVED',
+                        checkoutRequestID: checkoutRequestID,
+                        attempts: attempts,
+                        lastError: error.message,
+                        createdAt: FieldValue.serverTimestamp(),
+                    });
+                }
+                try {
+                    await stkTransactionDoc.ref.update(failedUpdate);
+                } catch (updateError) {
+                    logger.error(`❌ STK sweeper could not record the failed attempt for ${checkoutRequestID}:`, { message: updateError.message });
+                }
+            }
+        }
+    } catch (error) {
+        logger.error('❌ STK sweeper run failed:', { message: error.message, stack: error.stack });
+    } finally {
+        stkSweeperRunning = false;
+    }
+}
 
-    const callbackMetadata = callback.Body.stkCallback.CallbackMetadata;
-    if (callbackMetadata && Array.isArray(callbackMetadata.Item)) {
-        const receiptItem = callbackMetadata.Item.find(item => item.Name === 'MpesaReceiptNumber');
-        if (receiptItem) {
-            mpesaReceiptNumber = receiptItem.Value;
+// --- DISPATCH VERIFICATION (resolves sales parked in PENDING_VERIFICATION after an ambiguous send) ---
+const DISPATCH_VERIFICATION_INTERVAL_MS = parseInt(process.env.DISPATCH_VERIFICATION_INTERVAL_MS || String(60 * 1000), 10); // 1 minute
+const DISPATCH_VERIFICATION_DELAY_MS = parseInt(process.env.DISPATCH_VERIFICATION_DELAY_MS || String(60 * 1000), 10); // Let the provider settle first
+const DISPATCH_VERIFICATION_MAX_ATTEMPTS = parseInt(process.env.DISPATCH_VERIFICATION_MAX_ATTEMPTS || '10', 10);
+const DISPATCH_VERIFICATION_BATCH_SIZE = parseInt(process.env.DISPATCH_VERIFICATION_BATCH_SIZE || '25', 10);
+
+let dispatchVerificationRunning = false;
+
+// Applies a provider's verdict to a parked sale. Claims the sale first so a verdict is only ever applied once.
+// knownLookup skips the status query when the provider has already told us (e.g. via a status callback).
+async function resolvePendingVerification(saleDoc, knownLookup = null) {
+    const sale = saleDoc.data();
+    const verification = sale.verification || {};
+    const transactionId = sale.relatedTransactionId;
+    const provider = getAirtimeProvider(verification.provider);
+    const attempts = (verification.attempts || 0) + 1;
+    const dispatchAmount = verification.amount ?? sale.amount; // Sales parked before step-downs sent the full amount
+    const split = getFulfillmentSplit(sale.originalAmountPaid, sale.amount, dispatchAmount);
+
+    let lookup = knownLookup;
+    if (!lookup && !provider) {
+        lookup = { status: 'UNKNOWN', message: `Provider ${verification.provider} is not registered.` };
+    } else if (!lookup) {
+        try {
+            lookup = await provider.queryStatus({
+                saleId: saleDoc.id,
+                providerTransactionId: verification.providerTransactionId,
+                phoneNumber: sale.topupNumber,
+                amount: dispatchAmount,
+                dispatchedAt: verification.dispatchedAt,
+            });
+        } catch (error) {
+            lookup = { status: 'UNKNOWN', message: error.message };
         }
-        const dateItem = callbackMetadata.Item.find(item => item.Name === 'TransactionDate');
-        if (dateItem) {
-            transactionDateFromMpesa = dateItem.Value;
+    }
+
+    const lookupRecord = { status: lookup.status, message: lookup.message || null, checkedAt: Timestamp.now() };
+    const nextStatus = lookup.status === 'SUCCESS' ? (split.partial ? 'PARTIALLY_FULFILLED' : 'COMPLETED')
+        : lookup.status === 'FAILED' ? 'FAILED_DISPATCH_API'
+        : attempts >= DISPATCH_VERIFICATION_MAX_ATTEMPTS ? 'VERIFICATION_EXHAUSTED'
+        : 'PENDING_VERIFICATION';
+
+    const claimed = await firestore.runTransaction(async t => {
+        const freshDoc = await t.get(saleDoc.ref);
+        if (!freshDoc.exists || freshDoc.data().status !== 'PENDING_VERIFICATION') {
+            return false;
         }
-        const phoneItem = callbackMetadata.Item.find(item => item.Name === 'PhoneNumber');
-        if (phoneItem) {
-            phoneNumberUsedForPayment = phoneItem.Value;
+        const update = {
+            status: nextStatus,
+            'verification.attempts': attempts,
+            'verification.lastLookup': lookupRecord,
+            lastUpdated: FieldValue.serverTimestamp(),
+        };
+        if (nextStatus === 'PENDING_VERIFICATION') {
+            update['verification.nextCheckAt'] = Timestamp.fromMillis(Date.now() + DISPATCH_VERIFICATION_DELAY_MS * attempts);
+        } else {
+            update['verification.resolvedAt'] = FieldValue.serverTimestamp();
         }
-        const amountItem = callbackMetadata.Item.find(item => item.Name === 'Amount');
-        if (amountItem) {
-            amountPaidByCustomer = amountItem.Value;
+        if (lookup.providerTransactionId && !verification.providerTransactionId) {
+            // Lets later provider status callbacks find this sale
+            update.providerTransactionId = lookup.providerTransactionId;
+            update['verification.providerTransactionId'] = lookup.providerTransactionId;
         }
+        if (nextStatus === 'FAILED_DISPATCH_API') {
+            update.errorMessage = `${verification.provider} confirmed the dispatch failed: ${lookup.message || 'no message'}`;
+        } else if (['COMPLETED', 'PARTIALLY_FULFILLED'].includes(nextStatus)) {
+            update.dispatchedAmount = split.dispatchedAmount;
+            update.undeliveredAmount = split.undeliveredAmount;
+            update.refundAmount = split.refundAmount;
+        }
+        t.update(saleDoc.ref, update);
+        return true;
+    });
+    if (!claimed) {
+        return;
     }
 
-    // Retrieve the initial sales request document
-    const initialSalesRequestDocRef = salesCollection.doc(checkoutRequestID); // For STK, CheckoutRequestID is the saleId
-    const initialSalesRequestDoc = await initialSalesRequestDocRef.get();
-
-    if (!initialSalesRequestDoc.exists) {
-        logger.error('❌ No matching initial sales request for CheckoutRequestID in Firestore:', checkoutRequestID);
-        await errorsCollection.doc(`STK_CALLBACK_NO_INITIAL_REQUEST_${checkoutRequestID}_${Date.now()}`).set({
-            type: 'STK_CALLBACK_ERROR',
-            error: 'No matching initial sales request found for CheckoutRequestID. Cannot process callback.',
-            checkoutRequestID: checkoutRequestID,
-            callbackData: callback,
+    const now = FieldValue.serverTimestamp();
+    if (['COMPLETED', 'PARTIALLY_FULFILLED'].includes(nextStatus)) {
+        logger.info(`✅ ${verification.provider} confirmed delivery of ${split.dispatchedAmount} for sale ${saleDoc.id} (TransID ${transactionId}).`);
+        const commission = await creditProviderCommission(provider, {
+            carrier: sale.carrier, paidAmount: split.paidAmount - split.refundAmount, dispatchedAmount: split.dispatchedAmount, transactionId, saleId: saleDoc.id,
+        });
+        await saleDoc.ref.update({ commission });
+        await transactionsCollection.doc(transactionId).update({
+            status: split.partial ? 'PARTIALLY_FULFILLED' : 'COMPLETED_AND_FULFILLED',
+            fulfillmentStatus: nextStatus,
+            verificationResult: lookupRecord,
+            ...(split.partial ? { dispatchedAmount: split.dispatchedAmount, refundAmount: split.refundAmount } : {}),
+            lastUpdated: now,
+        });
+        if (split.refundAmount > 0) {
+            await initiateFulfillmentReversal({
+                transactionId: transactionId,
+                originalAmountPaid: sale.originalAmountPaid,
+                payerMsisdn: verification.payerMsisdn,
+                sourceCallbackData: { verification: lookupRecord },
+                refundAmount: split.refundAmount,
+                scope: 'UNDELIVERED',
+            });
+        }
+    } else if (nextStatus === 'FAILED_DISPATCH_API') {
+        logger.warn(`🛑 ${verification.provider} confirmed failure for sale ${saleDoc.id} (TransID ${transactionId}). Refunding float and reversing.`);
+        if (provider.floatName) {
+            await updateCarrierFloatBalance(provider.floatName, dispatchAmount, { reason: 'DISPATCH_REFUND', transactionId, saleId: saleDoc.id, note: 'Provider confirmed failure' });
+            logger.info(`✅ Refunded ${provider.floatName} for TransID ${transactionId}: +${dispatchAmount}`);
+        }
+        await errorsCollection.add({
+            type: 'AIRTIME_FULFILLMENT_ERROR',
+            subType: 'AIRTIME_DISPATCH_FAILED',
+            error: lookup.message || 'Provider status lookup reported failure.',
+            transactionId: transactionId,
+            saleId: saleDoc.id,
+            providerAttempted: verification.provider,
+            verificationResult: lookupRecord,
             createdAt: now,
         });
-        return res.json({ ResultCode: 0, ResultDesc: 'Callback received, but initial transaction request not found locally.' });
+        await transactionsCollection.doc(transactionId).update({
+            status: 'RECEIVED_FULFILLMENT_FAILED',
+            fulfillmentStatus: 'FAILED_DISPATCH_API',
+            verificationResult: lookupRecord,
+            errorMessage: `${verification.provider} confirmed the dispatch failed.`,
+            lastUpdated: now,
+            reversalAttempted: true,
+        });
+        await initiateFulfillmentReversal({
+            transactionId: transactionId,
+            originalAmountPaid: sale.originalAmountPaid,
+            payerMsisdn: verification.payerMsisdn,
+            sourceCallbackData: { verification: lookupRecord },
+        });
+    } else if (nextStatus === 'VERIFICATION_EXHAUSTED') {
+        // Neither outcome could be confirmed: the float stays debited and nothing is reversed until someone checks
+        logger.error(`❌ Could not verify dispatch for sale ${saleDoc.id} after ${attempts} lookups. Flagging for manual review.`);
+        await errorsCollection.add({
+            type: 'AIRTIME_VERIFICATION_EXHAUSTED',
+            transactionId: transactionId,
+            saleId: saleDoc.id,
+            provider: verification.provider,
+            providerTransactionId: verification.providerTransactionId || null,
+            attempts: attempts,
+            lastLookup: lookupRecord,
+            createdAt: now,
+        });
+        await transactionsCollection.doc(transactionId).update({
+            status: 'MANUAL_REVIEW_REQUIRED',
+            fulfillmentStatus: 'VERIFICATION_EXHAUSTED',
+            lastUpdated: now,
+        });
     }
+}
 
-    const initialRequestData = initialSalesRequestDoc.data();
-    const topupNumber = initialRequestData.recipient; // Get recipient from initial request
-    const originalInitiatorPhoneNumber = initialRequestData.initiatorPhoneNumber; // The phone number that initiated STK Push
+async function verifyPendingDispatches() {
+    if (dispatchVerificationRunning) {
+        logger.warn('⚠️ Dispatch verification is still running from the previous tick. Skipping this run.');
+        return;
+    }
+    dispatchVerificationRunning = true;
 
-    // Reference to the 'transactions' document (using checkoutRequestID as its ID)
-    const transactionDocRef = transactionsCollection.doc(checkoutRequestID);
+    try {
+        // Requires a composite index on sales (status ASC, verification.nextCheckAt ASC)
+        const dueSnapshot = await salesCollection
+            .where('status', '==', 'PENDING_VERIFICATION')
+            .where('verification.nextCheckAt', '<=', Timestamp.now())
+            .orderBy('verification.nextCheckAt')
+            .limit(DISPATCH_VERIFICATION_BATCH_SIZE)
+            .get();
+
+        for (const saleDoc of dueSnapshot.docs) {
+            try {
+                await resolvePendingVerification(saleDoc);
+            } catch (error) {
+                logger.error(`❌ Dispatch verification failed for sale ${saleDoc.id}:`, { message: error.message, stack: error.stack });
+            }
+        }
+    } catch (error) {
+        logger.error('❌ Dispatch verification run failed:', { message: error.message, stack: error.stack });
+    } finally {
+        dispatchVerificationRunning = false;
+    }
+}
 
-    if (resultCode === 0) {
-        // M-Pesa payment was successful
-        logger.info(`✅ M-Pesa payment successful for ${checkoutRequestID}. Marking for fulfillment.`);
+// --- REVERSAL RETRIES (re-sends timed-out and failed reversals with backoff) ---
+const REVERSAL_RETRY_INTERVAL_MS = parseInt(process.env.REVERSAL_RETRY_INTERVAL_MS || String(5 * 60 * 1000), 10); // 5 minutes
+const REVERSAL_RETRY_BATCH_SIZE = parseInt(process.env.REVERSAL_RETRY_BATCH_SIZE || '20', 10);
+// How long to wait for a Transaction Status answer (or an INITIATED attempt's callback) before asking again
+const REVERSAL_STATUS_QUERY_WAIT_MS = parseInt(process.env.REVERSAL_STATUS_QUERY_WAIT_MS || String(5 * 60 * 1000), 10); // 5 minutes
+const REVERSAL_STATUS_QUERY_MAX_ATTEMPTS = parseInt(process.env.REVERSAL_STATUS_QUERY_MAX_ATTEMPTS || '3', 10);
+// A RETRYING / FALLING_BACK claim older than this was abandoned (crash or restart mid-retry) and can be reclaimed
+const REVERSAL_RETRY_CLAIM_STALE_MS = parseInt(process.env.REVERSAL_RETRY_CLAIM_STALE_MS || String(10 * 60 * 1000), 10); // 10 minutes
+
+let reversalRetryRunning = false;
+
+// A partially fulfilled sale can be refunded in parts, so only a confirmed refund of the same scope counts
+async function hasConfirmedReversal(transactionId, scope = 'FULL') {
+    const confirmedSnapshot = await reversalsCollection
+        .where('transactionId', '==', transactionId)
+        .where('status', '==', 'CONFIRMED')
+        .get();
+    return confirmedSnapshot.docs.some(doc => (doc.data().scope || 'FULL') === scope);
+}
 
-        // Create or update the transaction record with initial details
-        await transactionDocRef.set({
-            transactionID: checkoutRequestID,
-            type: 'STK_PUSH_PAYMENT',
-            transactionTime: transactionDateFromMpesa,
-            amountReceived: amountPaidByCustomer ? parseFloat(amountPaidByCustomer) : null,
-            mpesaReceiptNumber: mpesaReceiptNumber,
-            payerMsisdn: phoneNumberUsedForPayment,
-            billRefNumber: topupNumber, // The recipient number for airtime
-            carrier: initialRequestData.carrier, // Get carrier from initial request
-            mpesaRawCallback: callback,
-            status: 'RECEIVED_PENDING_FULFILLMENT', // Set to pending fulfillment
-            fulfillmentStatus: 'PENDING', // Initial fulfillment status
-            mpesaResultCode: resultCode,
-            mpesaResultDesc: callback.Body.stkCallback.ResultDesc,
-            createdAt: initialRequestData.createdAt || now,
+// --- REFUND STATUS QUERIES (Daraja Transaction Status API for attempts whose outcome is unknown) ---
+// A timed-out reversal or B2C payment may still have gone through, so nothing else is paid out for the same
+// payment and scope until Daraja has told us what became of it. Answers arrive on MPESA_STATUS_RESULT_URL.
+async function queryDarajaRefundStatus(reversalId, reversal) {
+    const attempts = (reversal.statusQuery?.attempts || 0) + 1;
+    let response;
+    try {
+        const accessToken = await getAccessToken();
+        const isB2C = reversal.method === 'B2C';
+        const url = process.env.MPESA_TRANSACTION_STATUS_URL || 'https://api.safaricom.co.ke/mpesa/transactionstatus/v1/query';
+        const shortCode = isB2C ? process.env.MPESA_B2C_SHORTCODE : process.env.MPESA_SHORTCODE;
+        const initiator = isB2C ? (process.env.MPESA_B2C_INITIATOR_NAME || process.env.MPESA_INITIATOR_NAME) : process.env.MPESA_INITIATOR_NAME;
+        const securityCredential = generateSecurityCredential(isB2C ? (process.env.MPESA_B2C_SECURITY_PASSWORD || process.env.MPESA_SECURITY_PASSWORD) : process.env.MPESA_SECURITY_PASSWORD);
+
+        if (!shortCode || !initiator || !securityCredential || !process.env.MPESA_STATUS_RESULT_URL || !process.env.MPESA_STATUS_QUEUE_TIMEOUT_URL) {
+            throw new Error("Missing Daraja transaction status environment variables.");
+        }
+
+        response = await axios.post(url, {
+            Initiator: initiator,
+            SecurityCredential: securityCredential,
+            CommandID: "TransactionStatusQuery",
+            OriginalConversationID: reversal.originatorConversationId || reversalId,
+            PartyA: shortCode,
+            IdentifierType: "4", // Organisation short code
+            ResultURL: process.env.MPESA_STATUS_RESULT_URL,
+            QueueTimeOutURL: process.env.MPESA_STATUS_QUEUE_TIMEOUT_URL,
+            Remarks: `Status of refund ${reversalId}`,
+            Occasion: "Refund status check"
+        }, {
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${accessToken}` },
+        });
+    } catch (error) {
+        const errorData = error.response ? error.response.data : error.message;
+        logger.error(`❌ Transaction status query for refund ${reversalId} failed:`, { error: errorData });
+        await reversalsCollection.doc(reversalId).update({
+            statusQuery: { status: 'NO_ANSWER', attempts, requestedAt: Timestamp.now(), error: errorData?.errorMessage || error.message },
+            lastUpdated: FieldValue.serverTimestamp(),
+        });
+        return { success: false, message: error.message };
+    }
+
+    const queryId = response.data?.OriginatorConversationID;
+    if (response.data?.ResponseCode !== '0' || !queryId) {
+        logger.error(`❌ Transaction status query for refund ${reversalId} not accepted:`, response.data);
+        await reversalsCollection.doc(reversalId).update({
+            statusQuery: { status: 'NO_ANSWER', attempts, requestedAt: Timestamp.now(), error: response.data?.ResponseDescription || 'Not accepted' },
+            lastUpdated: FieldValue.serverTimestamp(),
+        });
+        return { success: false, message: response.data?.ResponseDescription || 'Not accepted' };
+    }
+
+    await reversalStatusQueriesCollection.doc(queryId).set({
+        reversalId: reversalId,
+        transactionId: reversal.transactionId,
+        status: 'REQUESTED',
+        requestedAt: FieldValue.serverTimestamp(),
+    });
+    await reversalsCollection.doc(reversalId).update({
+        statusQuery: { queryId, status: 'REQUESTED', attempts, requestedAt: Timestamp.now() },
+        lastUpdated: FieldValue.serverTimestamp(),
+    });
+    logger.info(`🔎 Asked Daraja for the status of refund ${reversalId} (TransID ${reversal.transactionId}), query ${queryId}.`);
+    return { success: true, queryId };
+}
+
+/**
+ * Checks that no earlier refund attempt for the same payment and scope could still pay out. Attempts whose outcome
+ * is unknown (INITIATED for too long, or TIMED_OUT) get a Transaction Status query; a COMPLETED answer confirms them,
+ * which the caller then sees through hasConfirmedReversal.
+ *
+ * @returns {Promise<{ settled: boolean, manualReview?: boolean, reason?: string }>}
+ */
+async function checkRefundAttemptsSettled(transactionId, scope = 'FULL') {
+    const attemptsSnapshot = await reversalsCollection.where('transactionId', '==', transactionId).get();
+    const unsettled = attemptsSnapshot.docs.filter(doc => {
+        const attempt = doc.data();
+        return (attempt.scope || 'FULL') === scope
+            && (attempt.status === 'INITIATED' || (attempt.status === 'TIMED_OUT' && attempt.statusQuery?.status !== 'NOT_COMPLETED'));
+    });
+
+    for (const attemptDoc of unsettled) {
+        const attempt = attemptDoc.data();
+        const statusQuery = attempt.statusQuery;
+        const sinceMs = Date.now() - (statusQuery?.requestedAt || attempt.initiatedAt || Timestamp.now()).toMillis();
+        if ((statusQuery?.status === 'REQUESTED' || (attempt.status === 'INITIATED' && !statusQuery)) && sinceMs < REVERSAL_STATUS_QUERY_WAIT_MS) {
+            continue; // Still waiting for Daraja to answer
+        }
+        if ((statusQuery?.attempts || 0) >= REVERSAL_STATUS_QUERY_MAX_ATTEMPTS) {
+            return { settled: false, manualReview: true, reason: `Daraja gave no status for refund ${attemptDoc.id} after ${statusQuery.attempts} queries.` };
+        }
+        await queryDarajaRefundStatus(attemptDoc.id, attempt);
+    }
+    return unsettled.length === 0
+        ? { settled: true }
+        : { settled: false, reason: `Waiting on the outcome of ${unsettled.map(doc => doc.id).join(', ')}.` };
+}
+
+// Parks a refund that cannot move on until earlier attempts are settled, or hands it to manual review
+async function deferUnsettledRefund(reversalRef, reversal, settlement, waitingStatus) {
+    if (settlement.manualReview) {
+        await reversalRef.update({ retryStatus: 'MANUAL_REVIEW', nextRetryAt: null, lastRetryError: settlement.reason, lastUpdated: FieldValue.serverTimestamp() });
+        await flagExhaustedReversal(reversalRef.id, reversal, settlement.reason);
+        return { success: false, status: 'MANUAL_REVIEW', message: settlement.reason };
+    }
+    await reversalRef.update({
+        retryStatus: waitingStatus,
+        nextRetryAt: Timestamp.fromMillis(Date.now() + REVERSAL_STATUS_QUERY_WAIT_MS),
+        lastRetryError: settlement.reason,
+        lastUpdated: FieldValue.serverTimestamp(),
+    });
+    logger.info(`⏳ Refund ${reversalRef.id} for TransID ${reversal.transactionId} deferred: ${settlement.reason}`);
+    return { success: false, status: 'AWAITING_STATUS', message: settlement.reason };
+}
+
+/**
+ * Sends a fresh reversal request for a timed-out or failed one. The old document keeps its state and
+ * points at the new request through retriedAs.
+ *
+ * @param {FirebaseFirestore.DocumentReference} reversalRef
+ * @param {string} [actor='system'] - Admin user for manual re-triggers.
+ * @returns {Promise<{ success: boolean, status: string, reversalId?: string, message?: string }>}
+ */
+async function retryReversal(reversalRef, actor = 'system') {
+    const claimed = await firestore.runTransaction(async t => {
+        const reversalDoc = await t.get(reversalRef);
+        const reversal = reversalDoc.exists ? reversalDoc.data() : null;
+        if (!reversal || !['TIMED_OUT', 'FAILED'].includes(reversal.status) || ['RETRIED', 'SUPERSEDED', 'FALLING_BACK', 'FALLBACK_PENDING', 'FELL_BACK_TO_B2C'].includes(reversal.retryStatus)) {
+            return null;
+        }
+        if (reversal.retryStatus === 'RETRYING' && !isStaleRetryClaim(reversal)) {
+            return null;
+        }
+        t.update(reversalRef, { retryStatus: 'RETRYING', retryClaimedAt: Timestamp.now(), lastUpdated: FieldValue.serverTimestamp() });
+        return reversal;
+    });
+    if (!claimed) {
+        return { success: false, status: 'NOT_RETRYABLE', message: 'Reversal is not timed out or failed, or is already being retried.' };
+    }
+
+    if (claimed.retryStatus === 'RETRYING') {
+        const recovered = await recoverStaleRetryClaim(reversalRef, claimed);
+        if (recovered) {
+            return recovered;
+        }
+    }
+
+    let alreadyReversed;
+    try {
+        alreadyReversed = await hasConfirmedReversal(claimed.transactionId, claimed.scope);
+    } catch (error) {
+        // Nothing was sent yet: release the claim so the retry is not stranded in RETRYING
+        await reversalRef.update({
+            retryStatus: claimed.retryStatus === 'RETRYING' ? 'SCHEDULED' : (claimed.retryStatus || 'SCHEDULED'),
+            lastRetryError: error.message,
+            lastUpdated: FieldValue.serverTimestamp(),
+        });
+        throw error;
+    }
+    if (alreadyReversed) {
+        await reversalRef.update({ retryStatus: 'SUPERSEDED', lastUpdated: FieldValue.serverTimestamp() });
+        logger.info(`ℹ️ Skipping retry of reversal ${reversalRef.id}: TransID ${claimed.transactionId} is already reversed.`);
+        return { success: false, status: 'SUPERSEDED', message: 'Transaction already has a confirmed reversal.' };
+    }
+
+    // Daraja refuses to reverse a payment twice, but a second B2C payment would pay the customer twice
+    if (claimed.method === 'B2C') {
+        const settlement = await checkRefundAttemptsSettled(claimed.transactionId, claimed.scope);
+        if (!settlement.settled) {
+            return deferUnsettledRefund(reversalRef, claimed, settlement, 'SCHEDULED');
+        }
+    }
+
+    const attempt = (claimed.attempt || 1) + 1;
+    const initiate = claimed.method === 'B2C' ? initiateB2CRefund : initiateDarajaReversal;
+    const reversalResult = await initiate(claimed.transactionId, claimed.amount, claimed.receiverMsisdn, {
+        attempt,
+        retryOf: reversalRef.id,
+        approvalId: claimed.approvalId,
+        scope: claimed.scope,
+        actor,
+    });
+
+    if (reversalResult.success) {
+        await reversalRef.update({
+            retryStatus: 'RETRIED',
+            retriedAs: reversalResult.originatorConversationId,
+            lastUpdated: FieldValue.serverTimestamp(),
+        });
+        await transactionsCollection.doc(claimed.transactionId).update({
+            status: 'REVERSAL_PENDING_CONFIRMATION',
+            reversalDetails: reversalResult.data,
+            reversalRetryStatus: null,
+            lastUpdated: FieldValue.serverTimestamp(),
+        });
+        logger.info(`🔁 Reversal for TransID ${claimed.transactionId} re-sent as attempt ${attempt} (${reversalResult.originatorConversationId}).`);
+        return { success: true, status: 'REVERSAL_INITIATED', reversalId: reversalResult.originatorConversationId };
+    }
+
+    // Daraja did not accept the retry: back off, counting it as an attempt
+    const initiationFailures = (claimed.retryInitiationFailures || 0) + 1;
+    const exhausted = (claimed.attempt || 1) + initiationFailures >= REVERSAL_MAX_ATTEMPTS;
+    await reversalRef.update({
+        retryStatus: exhausted ? 'EXHAUSTED' : 'SCHEDULED',
+        nextRetryAt: exhausted ? null : Timestamp.fromMillis(Date.now() + getReversalRetryDelay(attempt)),
+        retryInitiationFailures: initiationFailures,
+        lastRetryError: reversalResult.message,
+        lastUpdated: FieldValue.serverTimestamp(),
+    });
+    logger.error(`❌ Retry of reversal ${reversalRef.id} for TransID ${claimed.transactionId} was not accepted: ${reversalResult.message}`);
+    return { success: false, status: exhausted ? 'EXHAUSTED' : 'SCHEDULED', message: reversalResult.message };
+}
+
+function isStaleRetryClaim(reversal) {
+    return !reversal.retryClaimedAt || reversal.retryClaimedAt.toMillis() <= Date.now() - REVERSAL_RETRY_CLAIM_STALE_MS;
+}
+
+// A reclaimed RETRYING reversal may already have been re-sent before the claimant died. If the new request was
+// recorded, finish the bookkeeping; a B2C retry with no record could still have paid out, so it goes to manual review.
+async function recoverStaleRetryClaim(reversalRef, claimed) {
+    const retrySnapshot = await reversalsCollection.where('retryOf', '==', reversalRef.id).limit(1).get();
+    if (!retrySnapshot.empty) {
+        await reversalRef.update({ retryStatus: 'RETRIED', retriedAs: retrySnapshot.docs[0].id, lastUpdated: FieldValue.serverTimestamp() });
+        logger.info(`ℹ️ Stale retry claim on reversal ${reversalRef.id} had already been re-sent as ${retrySnapshot.docs[0].id}.`);
+        return { success: true, status: 'REVERSAL_INITIATED', reversalId: retrySnapshot.docs[0].id };
+    }
+    if (claimed.method === 'B2C') {
+        await reversalRef.update({ retryStatus: 'EXHAUSTED', nextRetryAt: null, lastUpdated: FieldValue.serverTimestamp() });
+        await flagExhaustedReversal(reversalRef.id, claimed, 'B2C retry was interrupted; it may already have been paid.');
+        return { success: false, status: 'MANUAL_REVIEW', message: 'B2C retry was interrupted; check M-Pesa before paying again.' };
+    }
+    logger.warn(`⚠️ Reclaiming stale retry of reversal ${reversalRef.id} for TransID ${claimed.transactionId}.`);
+    return null; // Daraja rejects a second reversal of the same payment, so re-sending is safe
+}
+
+async function flagExhaustedReversal(reversalId, reversal, lastError = null) {
+    logger.error(`❌ Reversal ${reversalId} for TransID ${reversal.transactionId} has no retries left. Flagging for manual review.`);
+    await errorsCollection.add({
+        type: 'REVERSAL_RETRIES_EXHAUSTED',
+        reversalId: reversalId,
+        transactionId: reversal.transactionId,
+        amount: reversal.amount,
+        lastError: lastError,
+        createdAt: FieldValue.serverTimestamp(),
+    });
+}
+
+// Replaces a failed or exhausted reversal with a B2C refund to the same payer.
+// Claims the reversal first so a callback and the retry worker cannot both pay out. Earlier attempts that may still
+// have gone through (INITIATED or TIMED_OUT) are checked with Daraja before anything is paid.
+async function startB2CFallback(reversalId, reversal, reason) {
+    const reversalRef = reversalsCollection.doc(reversalId);
+    const claimed = await firestore.runTransaction(async t => {
+        const reversalDoc = await t.get(reversalRef);
+        const current = reversalDoc.exists ? reversalDoc.data() : null;
+        if (!current || !['FALLBACK_B2C', 'EXHAUSTED', 'FALLBACK_PENDING'].includes(current.retryStatus)) {
+            return null;
+        }
+        t.update(reversalRef, { retryStatus: 'FALLING_BACK', retryClaimedAt: Timestamp.now(), lastUpdated: FieldValue.serverTimestamp() });
+        return current;
+    });
+    if (!claimed) {
+        return;
+    }
+
+    try {
+        if (await hasConfirmedReversal(reversal.transactionId, reversal.scope)) {
+            await reversalRef.update({ retryStatus: 'SUPERSEDED', lastUpdated: FieldValue.serverTimestamp() });
+            return;
+        }
+        const settlement = await checkRefundAttemptsSettled(reversal.transactionId, reversal.scope);
+        if (!settlement.settled) {
+            await deferUnsettledRefund(reversalRef, reversal, settlement, 'FALLBACK_PENDING');
+            return;
+        }
+    } catch (error) {
+        // Nothing was paid yet: put it back for the worker
+        await reversalRef.update({
+            retryStatus: 'FALLBACK_PENDING',
+            nextRetryAt: Timestamp.fromMillis(Date.now() + REVERSAL_STATUS_QUERY_WAIT_MS),
+            lastRetryError: error.message,
+            lastUpdated: FieldValue.serverTimestamp(),
+        });
+        throw error;
+    }
+
+    const refundResult = await initiateB2CRefund(reversal.transactionId, reversal.amount, reversal.receiverMsisdn, {
+        fallbackFrom: reversalId,
+        fallbackReason: reason,
+        approvalId: reversal.approvalId || null,
+        scope: reversal.scope,
+    });
+    if (!refundResult.success) {
+        // Not retried automatically: unless Daraja rejected it, the payment may have gone out
+        await reversalRef.update({ retryStatus: 'MANUAL_REVIEW', nextRetryAt: null, lastRetryError: refundResult.message, lastUpdated: FieldValue.serverTimestamp() });
+        await flagExhaustedReversal(reversalId, reversal, `B2C fallback failed: ${refundResult.message}`);
+        return;
+    }
+    await reversalRef.update({
+        retryStatus: 'FELL_BACK_TO_B2C',
+        retriedAs: refundResult.originatorConversationId,
+        lastUpdated: FieldValue.serverTimestamp(),
+    });
+    await transactionsCollection.doc(reversal.transactionId).update({
+        status: 'REVERSAL_PENDING_CONFIRMATION',
+        reversalDetails: refundResult.data,
+        reversalRetryStatus: 'FELL_BACK_TO_B2C',
+        lastUpdated: FieldValue.serverTimestamp(),
+    });
+    logger.info(`💸 Reversal ${reversalId} for TransID ${reversal.transactionId} replaced by B2C refund ${refundResult.originatorConversationId}.`);
+}
+
+// A fallback claimant died mid-way: finish the bookkeeping if its B2C refund was recorded, otherwise it may have
+// paid out without a record, so a person has to check
+async function recoverStaleFallbackClaim(reversalDoc) {
+    const fallbackSnapshot = await reversalsCollection.where('fallbackFrom', '==', reversalDoc.id).limit(1).get();
+    if (!fallbackSnapshot.empty) {
+        await reversalDoc.ref.update({ retryStatus: 'FELL_BACK_TO_B2C', retriedAs: fallbackSnapshot.docs[0].id, lastUpdated: FieldValue.serverTimestamp() });
+        return;
+    }
+    await reversalDoc.ref.update({ retryStatus: 'MANUAL_REVIEW', nextRetryAt: null, lastUpdated: FieldValue.serverTimestamp() });
+    await flagExhaustedReversal(reversalDoc.id, reversalDoc.data(), 'B2C fallback was interrupted; it may already have been paid.');
+}
+
+// Decides what happens after a reversal failed or timed out for good: fall back to B2C or flag for manual review
+async function handleRefundRetryOutcome(reversalId, reversal, lastError) {
+    const canFallBack = reversal.method !== 'B2C' && REFUND_STRATEGY === 'REVERSAL_THEN_B2C';
+    if (reversal.retryStatus === 'FALLBACK_B2C' || (reversal.retryStatus === 'EXHAUSTED' && canFallBack)) {
+        await startB2CFallback(reversalId, reversal, lastError);
+    } else if (reversal.retryStatus === 'EXHAUSTED') {
+        await flagExhaustedReversal(reversalId, reversal, lastError);
+    }
+}
+
+async function retryFailedReversals() {
+    if (reversalRetryRunning) {
+        logger.warn('⚠️ Reversal retry is still running from the previous tick. Skipping this run.');
+        return;
+    }
+    reversalRetryRunning = true;
+
+    try {
+        // Requires a composite index on reversals (retryStatus ASC, nextRetryAt ASC)
+        const dueSnapshot = await reversalsCollection
+            .where('retryStatus', 'in', ['SCHEDULED', 'FALLBACK_PENDING'])
+            .where('nextRetryAt', '<=', Timestamp.now())
+            .orderBy('nextRetryAt')
+            .limit(REVERSAL_RETRY_BATCH_SIZE)
+            .get();
+
+        // Requires a composite index on reversals (retryStatus ASC, retryClaimedAt ASC)
+        const staleSnapshot = await reversalsCollection
+            .where('retryStatus', 'in', ['RETRYING', 'FALLING_BACK'])
+            .where('retryClaimedAt', '<=', Timestamp.fromMillis(Date.now() - REVERSAL_RETRY_CLAIM_STALE_MS))
+            .orderBy('retryClaimedAt')
+            .limit(REVERSAL_RETRY_BATCH_SIZE)
+            .get();
+
+        for (const reversalDoc of [...dueSnapshot.docs, ...staleSnapshot.docs]) {
+            try {
+                const { retryStatus } = reversalDoc.data();
+                if (retryStatus === 'FALLBACK_PENDING') {
+                    await startB2CFallback(reversalDoc.id, reversalDoc.data(), reversalDoc.data().lastRetryError || null);
+                    continue;
+                }
+                if (retryStatus === 'FALLING_BACK') {
+                    await recoverStaleFallbackClaim(reversalDoc);
+                    continue;
+                }
+                const retryResult = await retryReversal(reversalDoc.ref);
+                if (retryResult.status === 'EXHAUSTED') {
+                    await handleRefundRetryOutcome(reversalDoc.id, { ...reversalDoc.data(), retryStatus: 'EXHAUSTED' }, retryResult.message || null);
+                }
+            } catch (error) {
+                logger.error(`❌ Reversal retry failed for ${reversalDoc.id}:`, { message: error.message, stack: error.stack });
+            }
+        }
+    } catch (error) {
+        logger.error('❌ Reversal retry run failed:', { message: error.message, stack: error.stack });
+    } finally {
+        reversalRetryRunning = false;
+    }
+}
+
+// --- BULK ORDERS (one STK payment fanned out to one sale per recipient) ---
+// bulk_orders/{CheckoutRequestID} holds the order and its 'lines' subcollection one recipient/amount pair each.
+// Once paid, every line gets its own transaction and sale and goes through processAirtimeFulfillment like a
+// single purchase, so a failed line is refunded on its own.
+const BULK_ORDER_MAX_LINES = parseInt(process.env.BULK_ORDER_MAX_LINES || '50', 10);
+const BULK_ORDER_MAX_TOTAL = parseFloat(process.env.BULK_ORDER_MAX_TOTAL || '250000'); // M-Pesa per-transaction limit
+const BULK_ORDER_WORKER_INTERVAL_MS = parseInt(process.env.BULK_ORDER_WORKER_INTERVAL_MS || String(60 * 1000), 10); // 1 minute
+const BULK_ORDER_RESUME_AFTER_MS = parseInt(process.env.BULK_ORDER_RESUME_AFTER_MS || String(2 * 60 * 1000), 10); // Leave fresh orders to the callback's own fan-out
+const BULK_ORDER_LINE_STALE_MS = parseInt(process.env.BULK_ORDER_LINE_STALE_MS || String(15 * 60 * 1000), 10); // A line dispatching this long was interrupted
+const BULK_ORDER_BATCH_SIZE = parseInt(process.env.BULK_ORDER_BATCH_SIZE || '10', 10);
+// Line status per processAirtimeFulfillment result; anything else means the line failed and went down the refund path
+const BULK_LINE_OUTCOMES = {
+    COMPLETED_AND_FULFILLED: 'FULFILLED',
+    PARTIALLY_FULFILLED: 'PARTIALLY_FULFILLED',
+    PENDING_VERIFICATION: 'PENDING_VERIFICATION',
+    MANUAL_REVIEW_REQUIRED: 'NEEDS_REVIEW', // The refund could not be sent automatically
+};
+
+let bulkOrderWorkerRunning = false;
+
+// Claims one PENDING line and dispatches it with its own transaction and sale (both keyed <orderId>_<lineNumber>)
+async function dispatchBulkOrderLine(orderRef, order, lineRef) {
+    const line = await firestore.runTransaction(async t => {
+        const lineDoc = await t.get(lineRef);
+        if (!lineDoc.exists || lineDoc.data().status !== 'PENDING') {
+            return null;
+        }
+        t.update(lineRef, { status: 'DISPATCHING', dispatchStartedAt: FieldValue.serverTimestamp(), lastUpdated: FieldValue.serverTimestamp() });
+        return lineDoc.data();
+    });
+    if (!line) {
+        return;
+    }
+
+    const transactionId = `${orderRef.id}_${line.lineNumber}`;
+    const now = FieldValue.serverTimestamp();
+    await transactionsCollection.doc(transactionId).set({
+        transactionID: transactionId,
+        type: 'BULK_ORDER_LINE',
+        bulkOrderId: orderRef.id,
+        lineNumber: line.lineNumber,
+        paymentTransactionId: orderRef.id, // The STK payment that covers the whole order
+        transactionTime: order.mpesaTransactionDate || null,
+        amountReceived: line.amount,
+        mpesaReceiptNumber: order.mpesaReceiptNumber || null,
+        payerMsisdn: order.payerPhoneNumber,
+        billRefNumber: line.recipient,
+        carrier: line.carrier,
+        status: 'RECEIVED_PENDING_FULFILLMENT',
+        fulfillmentStatus: 'PENDING',
+        relatedSaleId: transactionId,
+        createdAt: now,
+        lastUpdated: now,
+    }, { merge: true });
+    await salesCollection.doc(transactionId).set({
+        saleId: transactionId,
+        bulkOrderId: orderRef.id,
+        lineNumber: line.lineNumber,
+        createdAt: now,
+    }, { merge: true });
+
+    const fulfillmentResult = await processAirtimeFulfillment({
+        transactionId: transactionId,
+        originalAmountPaid: line.amount,
+        payerMsisdn: order.payerPhoneNumber,
+        payerName: order.customerName || null,
+        topupNumber: line.recipient,
+        sourceCallbackData: { bulkOrderId: orderRef.id, lineNumber: line.lineNumber, mpesaReceiptNumber: order.mpesaReceiptNumber || null },
+        requestType: 'BULK_ORDER',
+        relatedSaleId: transactionId,
+    });
+
+    await lineRef.update({
+        status: BULK_LINE_OUTCOMES[fulfillmentResult.status] || 'FAILED',
+        fulfillmentStatus: fulfillmentResult.status,
+        errorMessage: fulfillmentResult.error || null,
+        transactionId: transactionId,
+        saleId: transactionId,
+        dispatchedAt: now,
+        lastUpdated: now,
+    });
+    logger.info(`📦 Bulk order ${orderRef.id} line ${line.lineNumber} (${line.recipient}, ${line.amount}): ${fulfillmentResult.status}.`);
+}
+
+// Recomputes the order status and per-status line counts from its lines
+async function refreshBulkOrderSummary(orderRef) {
+    const linesSnapshot = await orderRef.collection('lines').get();
+    const lineStatusCounts = {};
+    for (const lineDoc of linesSnapshot.docs) {
+        const lineStatus = lineDoc.data().status;
+        lineStatusCounts[lineStatus] = (lineStatusCounts[lineStatus] || 0) + 1;
+    }
+    const count = (...statuses) => statuses.reduce((total, lineStatus) => total + (lineStatusCounts[lineStatus] || 0), 0);
+
+    const status = count('PENDING', 'DISPATCHING') > 0 ? 'DISPATCHING'
+        : count('NEEDS_REVIEW') > 0 ? 'MANUAL_REVIEW_REQUIRED'
+        : count('FULFILLED') === linesSnapshot.size ? 'COMPLETED'
+        : count('FULFILLED', 'PARTIALLY_FULFILLED', 'PENDING_VERIFICATION') === 0 ? 'FAILED'
+        : 'PARTIALLY_COMPLETED';
+    await orderRef.update({ status, lineStatusCounts, lastUpdated: FieldValue.serverTimestamp() });
+    return status;
+}
+
+// Dispatches every PENDING line of a paid order, one after the other. Safe to run twice: each line is claimed first.
+async function dispatchBulkOrder(orderRef) {
+    const orderDoc = await orderRef.get();
+    const order = orderDoc.exists ? orderDoc.data() : null;
+    if (!order || !['PAID', 'DISPATCHING'].includes(order.status)) {
+        return;
+    }
+    if (order.status === 'PAID') {
+        await orderRef.update({ status: 'DISPATCHING', dispatchStartedAt: FieldValue.serverTimestamp(), lastUpdated: FieldValue.serverTimestamp() });
+    }
+
+    const linesSnapshot = await orderRef.collection('lines').orderBy('lineNumber').get();
+    for (const lineDoc of linesSnapshot.docs) {
+        const line = lineDoc.data();
+        if (line.status === 'DISPATCHING' && line.dispatchStartedAt && Date.now() - line.dispatchStartedAt.toMillis() > BULK_ORDER_LINE_STALE_MS) {
+            // Interrupted mid-dispatch: the airtime may or may not have gone out, so it is not retried blindly
+            logger.error(`❌ Bulk order ${orderRef.id} line ${line.lineNumber} was interrupted while dispatching. Flagging for manual review.`);
+            await lineDoc.ref.update({ status: 'NEEDS_REVIEW', lastUpdated: FieldValue.serverTimestamp() });
+            await errorsCollection.add({
+                type: 'BULK_ORDER_LINE_INTERRUPTED',
+                bulkOrderId: orderRef.id,
+                lineNumber: line.lineNumber,
+                transactionId: `${orderRef.id}_${line.lineNumber}`,
+                createdAt: FieldValue.serverTimestamp(),
+            });
+            continue;
+        }
+        if (line.status !== 'PENDING') {
+            continue;
+        }
+        try {
+            await dispatchBulkOrderLine(orderRef, order, lineDoc.ref);
+        } catch (error) {
+            logger.error(`❌ Bulk order ${orderRef.id} line ${line.lineNumber} dispatch failed:`, { message: error.message, stack: error.stack });
+            await errorsCollection.add({
+                type: 'BULK_ORDER_LINE_ERROR',
+                bulkOrderId: orderRef.id,
+                lineNumber: line.lineNumber,
+                error: error.message,
+                createdAt: FieldValue.serverTimestamp(),
+            });
+        }
+    }
+
+    const status = await refreshBulkOrderSummary(orderRef);
+    logger.info(`📦 Bulk order ${orderRef.id} is ${status}.`);
+}
+
+// Picks up paid orders whose fan-out never started or was cut short (e.g. by a restart)
+async function resumeBulkOrders() {
+    if (bulkOrderWorkerRunning) {
+        logger.warn('⚠️ Bulk order worker is still running from the previous tick. Skipping this run.');
+        return;
+    }
+    bulkOrderWorkerRunning = true;
+
+    try {
+        // Requires a composite index on bulk_orders (status ASC, paidAt ASC)
+        const dueSnapshot = await bulkOrdersCollection
+            .where('status', 'in', ['PAID', 'DISPATCHING'])
+            .where('paidAt', '<=', Timestamp.fromMillis(Date.now() - BULK_ORDER_RESUME_AFTER_MS))
+            .orderBy('paidAt')
+            .limit(BULK_ORDER_BATCH_SIZE)
+            .get();
+
+        for (const orderDoc of dueSnapshot.docs) {
+            try {
+                await dispatchBulkOrder(orderDoc.ref);
+            } catch (error) {
+                logger.error(`❌ Bulk order worker failed for ${orderDoc.id}:`, { message: error.message, stack: error.stack });
+            }
+        }
+    } catch (error) {
+        logger.error('❌ Bulk order worker run failed:', { message: error.message, stack: error.stack });
+    } finally {
+        bulkOrderWorkerRunning = false;
+    }
+}
+
+// --- RATE LIMITING ---
+const stkPushLimiter = rateLimit({
+    windowMs: 1 * 60 * 1000, // 1 minute
+    max: 20, // Limit each IP to 20 requests per window
+    message: 'Too many STK Push requests from this IP, please try again after a minute.',
+    statusCode: 429,
+    headers: true,
+});
+
+const stkCallbackRateLimiter = rateLimit({
+    windowMs: 1 * 60 * 1000, // 1 minute
+    max: 100, // M-Pesa can send multiple retries
+    message: 'Too many STK Callback requests, please try again later.',
+    statusCode: 429,
+    headers: true,
+});
+
+const quoteLimiter = rateLimit({
+    windowMs: 1 * 60 * 1000, // 1 minute
+    max: 60, // Customers may re-quote as they type an amount
+    message: 'Too many quote requests from this IP, please try again after a minute.',
+    statusCode: 429,
+    headers: true,
+});
+
+const stkStatusLimiter = rateLimit({
+    windowMs: 1 * 60 * 1000, // 1 minute
+    max: 60, // The portal polls this endpoint
+    message: 'Too many STK status requests from this IP, please try again after a minute.',
+    statusCode: 429,
+    headers: true,
+});
+
+
+// --- ADMIN AUTHENTICATION (Firebase ID tokens + role custom claims) ---
+// Roles are ordered: a higher role can do everything a lower one can.
+const ADMIN_ROLES = ['viewer', 'finance', 'admin'];
+
+// Verifies the Firebase ID token in "Authorization: Bearer <token>" and attaches req.user
+async function authenticate(req, res, next) {
+    const authHeader = req.headers.authorization || '';
+    const match = authHeader.match(/^Bearer (.+)$/);
+    if (!match) {
+        return res.status(401).json({ error: 'Missing or malformed Authorization header.' });
+    }
+
+    try {
+        const decodedToken = await admin.auth().verifyIdToken(match[1], true); // true = reject revoked tokens
+        req.user = {
+            uid: decodedToken.uid,
+            email: decodedToken.email || null,
+            role: ADMIN_ROLES.includes(decodedToken.role) ? decodedToken.role : null,
+        };
+        next();
+    } catch (error) {
+        logger.warn('🔒 Rejected request with invalid Firebase ID token:', { message: error.message, path: req.path, ip: req.ip });
+        return res.status(401).json({ error: 'Invalid or expired authentication token.' });
+    }
+}
+
+// Middleware factory: requires an authenticated user with at least the given role
+function requireRole(minimumRole) {
+    const minimumRank = ADMIN_ROLES.indexOf(minimumRole);
+    return [authenticate, (req, res, next) => {
+        if (!req.user.role || ADMIN_ROLES.indexOf(req.user.role) < minimumRank) {
+            logger.warn(`🔒 ${req.user.email || req.user.uid} (role: ${req.user.role || 'none'}) denied access to ${req.method} ${req.path}; requires ${minimumRole}.`);
+            return res.status(403).json({ error: `This action requires the '${minimumRole}' role.` });
+        }
+        next();
+    }];
+}
+
+// Identity recorded in audit trails
+function getActor(req) {
+    return req.user.email || req.user.uid;
+}
+
+// --- M-PESA CALLBACK SECURITY (IP allowlist + payload validation) ---
+// Safaricom's published Daraja callback source IPs. Override with MPESA_CALLBACK_IP_ALLOWLIST (comma-separated).
+const DEFAULT_MPESA_CALLBACK_IPS = [
+    '196.201.214.200', '196.201.214.206', '196.201.213.114', '196.201.214.207',
+    '196.201.214.208', '196.201.213.44', '196.201.212.127', '196.201.212.138',
+    '196.201.212.129', '196.201.212.136', '196.201.212.74', '196.201.212.69'
+];
+const MPESA_CALLBACK_IP_ALLOWLIST = new Set(
+    (process.env.MPESA_CALLBACK_IP_ALLOWLIST ? process.env.MPESA_CALLBACK_IP_ALLOWLIST.split(',') : DEFAULT_MPESA_CALLBACK_IPS)
+        .map(ip => ip.trim())
+        .filter(Boolean)
+);
+const MPESA_CALLBACK_IP_CHECK_ENABLED = process.env.MPESA_CALLBACK_IP_CHECK_ENABLED !== 'false';
+
+// Caps suspicious_callbacks writes per source IP and reason so a flood of bad callbacks cannot run up Firestore writes
+const SUSPICIOUS_CALLBACK_LOG_LIMIT = parseInt(process.env.SUSPICIOUS_CALLBACK_LOG_LIMIT || '20', 10);
+const SUSPICIOUS_CALLBACK_LOG_WINDOW_MS = parseInt(process.env.SUSPICIOUS_CALLBACK_LOG_WINDOW_MS || String(60 * 1000), 10); // 1 minute
+const suspiciousCallbackLogWindows = new Map();
+
+// Returns how many records were suppressed in the previous window if this one should be written, otherwise null
+function claimSuspiciousCallbackLogSlot(key) {
+    const now = Date.now();
+    let window = suspiciousCallbackLogWindows.get(key);
+    if (!window || now - window.startedAt >= SUSPICIOUS_CALLBACK_LOG_WINDOW_MS) {
+        const suppressedBefore = window ? window.suppressed : 0;
+        window = { startedAt: now, count: 0, suppressed: 0 };
+        suspiciousCallbackLogWindows.set(key, window);
+        // Drop expired windows so the map does not grow with every spoofed source
+        for (const [otherKey, otherWindow] of suspiciousCallbackLogWindows) {
+            if (now - otherWindow.startedAt >= SUSPICIOUS_CALLBACK_LOG_WINDOW_MS) {
+                suspiciousCallbackLogWindows.delete(otherKey);
+            }
+        }
+        window.count = 1;
+        return suppressedBefore;
+    }
+    if (window.count >= SUSPICIOUS_CALLBACK_LOG_LIMIT) {
+        window.suppressed++;
+        if (window.suppressed === 1) {
+            logger.warn(`🚨 Suspicious callback limit reached for ${key}; suppressing further records this window.`);
+        }
+        return null;
+    }
+    window.count++;
+    return 0;
+}
+
+// Records rejected callbacks for investigation, rate-limited per source IP and reason
+async function recordSuspiciousCallback(req, route, reason, details = null) {
+    const suppressedBefore = claimSuspiciousCallbackLogSlot(`${route}|${reason}|${req.ip}`);
+    if (suppressedBefore === null) {
+        return;
+    }
+    logger.warn(`🚨 Rejected ${route} callback from ${req.ip}: ${reason}`);
+    try {
+        await suspiciousCallbacksCollection.add({
+            route: route,
+            reason: reason,
+            sourceIp: req.ip || null,
+            forwardedFor: req.headers['x-forwarded-for'] || null,
+            body: req.body || null,
+            details: details,
+            suppressedSinceLastWindow: suppressedBefore,
+            createdAt: FieldValue.serverTimestamp(),
+        });
+    } catch (error) {
+        logger.error(`❌ Failed to record suspicious ${route} callback:`, { message: error.message });
+    }
+}
+
+// Strips the IPv4-mapped IPv6 prefix Express reports for IPv4 clients
+function normalizeIp(ip) {
+    return String(ip || '').replace(/^::ffff:/, '');
+}
+
+// Returns an error message if the STK callback does not have the Daraja shape, otherwise null
+function validateStkCallbackShape(body) {
+    const stkCallback = body?.Body?.stkCallback;
+    if (!stkCallback || typeof stkCallback !== 'object') return 'Missing Body.stkCallback.';
+    if (typeof stkCallback.MerchantRequestID !== 'string' || !stkCallback.MerchantRequestID) return 'Missing MerchantRequestID.';
+    if (typeof stkCallback.CheckoutRequestID !== 'string' || !stkCallback.CheckoutRequestID) return 'Missing CheckoutRequestID.';
+    if (typeof stkCallback.ResultCode !== 'number') return 'ResultCode must be a number.';
+    if (typeof stkCallback.ResultDesc !== 'string') return 'ResultDesc must be a string.';
+
+    if (stkCallback.ResultCode === 0) {
+        const items = stkCallback.CallbackMetadata?.Item;
+        if (!Array.isArray(items)) return 'Successful callback is missing CallbackMetadata.Item.';
+        const amount = items.find(item => item.Name === 'Amount')?.Value;
+        const receipt = items.find(item => item.Name === 'MpesaReceiptNumber')?.Value;
+        if (typeof amount !== 'number' || amount <= 0) return 'Successful callback has an invalid Amount.';
+        if (typeof receipt !== 'string' || !receipt) return 'Successful callback is missing MpesaReceiptNumber.';
+    }
+    return null;
+}
+
+// Returns an error message if the reversal result does not have the Daraja shape, otherwise null
+function validateReversalResultShape(body) {
+    const result = body?.Result;
+    if (!result || typeof result !== 'object') return 'Missing Result.';
+    if (typeof result.ResultCode !== 'number') return 'ResultCode must be a number.';
+    if (typeof result.ResultDesc !== 'string') return 'ResultDesc must be a string.';
+    if (typeof result.OriginatorConversationID !== 'string' || !result.OriginatorConversationID) return 'Missing OriginatorConversationID.';
+    if (typeof result.ConversationID !== 'string' || !result.ConversationID) return 'Missing ConversationID.';
+    const params = result.ResultParameters?.ResultParameter;
+    if (params !== undefined && !Array.isArray(params) && typeof params !== 'object') return 'ResultParameters.ResultParameter is malformed.';
+    return null;
+}
+
+// Queue timeouts arrive either flat or wrapped in Result, depending on the Daraja product
+function validateReversalTimeoutShape(body) {
+    if (!body || typeof body !== 'object') return 'Empty body.';
+    const originatorConversationId = body.OriginatorConversationID || body.Result?.OriginatorConversationID;
+    if (typeof originatorConversationId !== 'string' || !originatorConversationId) return 'Missing OriginatorConversationID.';
+    return null;
+}
+
+// Middleware factory: rejects callbacks from non-allowlisted IPs and malformed payloads
+function mpesaCallbackGuard(route, validateShape) {
+    return async (req, res, next) => {
+        const sourceIp = normalizeIp(req.ip);
+        if (MPESA_CALLBACK_IP_CHECK_ENABLED && !MPESA_CALLBACK_IP_ALLOWLIST.has(sourceIp)) {
+            await recordSuspiciousCallback(req, route, 'SOURCE_IP_NOT_ALLOWLISTED', { sourceIp });
+            return res.status(403).json({ ResultCode: 1, ResultDesc: 'Forbidden.' });
+        }
+
+        const validationError = validateShape(req.body);
+        if (validationError) {
+            await recordSuspiciousCallback(req, route, 'INVALID_PAYLOAD', { validationError });
+            return res.status(400).json({ ResultCode: 1, ResultDesc: `Invalid callback payload: ${validationError}` });
+        }
+        next();
+    };
+}
+
+// Normalizes a Kenyan MSISDN to 2547XXXXXXXX for comparisons
+function toMsisdn254(phoneNumber) {
+    const digits = String(phoneNumber || '').replace(/\D/g, '');
+    if (digits.startsWith('254')) return digits;
+    if (digits.startsWith('0')) return '254' + digits.slice(1);
+    if (digits.length === 9) return '254' + digits;
+    return digits;
+}
+
+
+// --- ENDPOINTS ---
+
+// 1. STK Push Initiation Endpoint
+app.post('/stk-push', stkPushLimiter, async (req, res) => {
+    const { amount, phoneNumber, recipient, customerName, serviceType, reference } = req.body; // Added customerName, serviceType, reference for completeness
+
+    if (!amount || !phoneNumber || !recipient) {
+        logger.warn('Missing required parameters for STK Push:', { amount, phoneNumber, recipient });
+        return res.status(400).json({ success: false, message: 'Missing required parameters: amount, phoneNumber, recipient.' });
+    }
+
+    logger.info(`Initiating STK Push for recipient: ${recipient}, amount: ${amount}, customer: ${phoneNumber}`);
+
+    // --- Input Validation (moved here for early exit) ---
+    const amountFloat = parseFloat(amount);
+
+    if (!isAirtimeAmountInRange(amountFloat)) {
+        logger.warn(`🛑 Invalid amount ${amount} for STK Push. Amount must be between ${MIN_AIRTIME_AMOUNT} and ${MAX_AIRTIME_AMOUNT}.`);
+        return res.status(400).json({ success: false, message: `Invalid amount. Must be between ${MIN_AIRTIME_AMOUNT} and ${MAX_AIRTIME_AMOUNT}.` });
+    }
+
+    const cleanedRecipient = recipient.replace(/\D/g, ''); // Ensure only digits
+    const cleanedCustomerPhone = phoneNumber.replace(/\D/g, ''); // Ensure only digits
+
+    if (!cleanedRecipient || !cleanedCustomerPhone || cleanedRecipient.length < 9 || cleanedCustomerPhone.length < 9) {
+        logger.warn(`🛑 Invalid recipient (${recipient}) or customer phone (${phoneNumber}) for STK Push.`);
+        return res.status(400).json({ success: false, message: "Invalid recipient or customer phone number format." });
+    }
+
+    const detectedCarrier = detectCarrier(cleanedRecipient); // Detect carrier at initiation
+    if (detectedCarrier === 'Unknown') {
+        logger.warn(`🛑 Unknown carrier for recipient ${cleanedRecipient}.`);
+        return res.status(400).json({ success: false, message: "Recipient's carrier is not supported." });
+    }
+
+    // Refuse before the customer pays if no provider for this carrier has float left
+    try {
+        if (!(await isCarrierDispatchAvailable(detectedCarrier))) {
+            logger.warn(`🛑 Refusing STK Push for ${detectedCarrier}: every routed provider's float is at or below critical.`);
+            return res.status(503).json({ success: false, message: `${detectedCarrier} airtime is temporarily unavailable. Please try again later.` });
+        }
+    } catch (availabilityError) {
+        logger.error(`❌ Float availability check failed for ${detectedCarrier}. Allowing the order:`, { message: availabilityError.message });
+    }
+
+    // Declare CheckoutRequestID here, it will be set after Daraja response
+    let CheckoutRequestID = null;
+
+    try {
+        const { stkPushPayload, darajaResponse } = await sendStkPushRequest({
+            amount: amountFloat, // Use the parsed float amount
+            customerPhone: cleanedCustomerPhone,
+            accountReference: cleanedRecipient, // Use recipient number as account reference
+            transactionDesc: `Airtime for ${cleanedRecipient}`,
+        });
+
+        const {
+            ResponseCode,
+            ResponseDescription,
+            CustomerMessage,
+            CheckoutRequestID: darajaCheckoutRequestID, // Rename to avoid conflict with outer scope
+            MerchantRequestID
+        } = darajaResponse;
+
+        // Assign Daraja's CheckoutRequestID to the outer scope variable
+        CheckoutRequestID = darajaCheckoutRequestID;
+
+        // ONLY create the stk_transaction document if M-Pesa successfully accepted the push request
+        if (ResponseCode === '0') {
+            await stkTransactionsCollection.doc(CheckoutRequestID).set({
+                checkoutRequestID: CheckoutRequestID,
+                merchantRequestID: MerchantRequestID, // Populate directly here
+                phoneNumber: cleanedCustomerPhone, // The number that received the STK Push
+                amount: amountFloat, // Use amountFloat for consistency
+                recipient: cleanedRecipient, // Crucial: Store the intended recipient here
+                carrier: detectedCarrier, // Assuming you detect carrier during initial request
+                initialRequestAt: FieldValue.serverTimestamp(),
+                stkPushStatus: 'PUSH_INITIATED', // Initial status
+                stkPushPayload: stkPushPayload, // Store the payload sent to Daraja
+                darajaResponse: darajaResponse, // Store full Daraja response here
+                customerName: customerName || null,
+                serviceType: serviceType || 'airtime',
+                reference: reference || null,
+                lastUpdated: FieldValue.serverTimestamp(), // Add lastUpdated here too
+            });
+            logger.info(`✅ STK Transaction document ${CheckoutRequestID} created with STK Push initiation response.`);
+
+            return res.status(200).json({ success: true, message: CustomerMessage, checkoutRequestID: CheckoutRequestID });
+
+        } else {
+            // M-Pesa did not accept the push request (e.g., invalid number, insufficient balance in your shortcode)
+            logger.error('❌ STK Push Request Failed by Daraja:', darajaResponse);
+
+            // Log this failure in errors collection
+            await errorsCollection.add({
+                type: 'STK_PUSH_INITIATION_FAILED_BY_DARJA',
+                error: ResponseDescription,
+                requestPayload: stkPushPayload,
+                mpesaResponse: darajaResponse,
+                createdAt: FieldValue.serverTimestamp(),
+                checkoutRequestID: CheckoutRequestID, // Log this ID even if no record was created for it
+            });
+
+            // No stk_transaction document created if Daraja rejected the request
+            return res.status(500).json({ success: false, message: ResponseDescription || 'STK Push request failed.' });
+        }
+
+    } catch (error) {
+        logger.error('❌ Critical error during STK Push initiation:', {
+            message: error.message,
+            stack: error.stack,
+            requestBody: req.body,
+            responseError: error.response ? error.response.data : 'No response data'
+        });
+
+        const errorMessage = error.response ? (error.response.data.errorMessage || error.response.data.MpesaError || error.response.data) : error.message;
+
+        await errorsCollection.add({
+            type: 'STK_PUSH_CRITICAL_INITIATION_ERROR',
+            error: errorMessage,
+            requestBody: req.body,
+            stack: error.stack,
+            createdAt: FieldValue.serverTimestamp(),
+            checkoutRequestID: CheckoutRequestID || 'N/A', // Log the ID if available
+        });
+
+        res.status(500).json({ success: false, message: 'Failed to initiate STK Push.', error: errorMessage });
+    }
+});
+
+// STK Push Status Endpoint (polled by the portal after /stk-push). It is public, so the recipient is masked.
+app.get('/stk-push/:checkoutRequestID/status', stkStatusLimiter, async (req, res) => {
+    const { checkoutRequestID } = req.params;
+
+    try {
+        const stkTransactionDocRef = stkTransactionsCollection.doc(checkoutRequestID);
+        const stkTransactionDoc = await stkTransactionDocRef.get();
+
+        if (!stkTransactionDoc.exists) {
+            return res.status(404).json({ success: false, message: 'STK transaction not found.' });
+        }
+
+        let stkTransactionData = stkTransactionDoc.data();
+        let queriedDaraja = false;
+
+        // If the callback has not landed yet, actively ask Daraja once the push is old enough
+        const initiatedAtMs = stkTransactionData.initialRequestAt ? stkTransactionData.initialRequestAt.toMillis() : 0;
+        const ageSeconds = (Date.now() - initiatedAtMs) / 1000;
+
+        // Claim the query slot first so concurrent polls (or a query that throws) do not each hit Daraja.
+        // The sweeper stamps lastStkQueryAt too, so polls and sweeps share the same throttle.
+        const claimedQuery = stkTransactionData.stkPushStatus === 'PUSH_INITIATED' && ageSeconds >= STK_QUERY_MIN_AGE_SECONDS
+            && await firestore.runTransaction(async t => {
+                const freshData = (await t.get(stkTransactionDocRef)).data();
+                const lastQueryAtMs = freshData.lastStkQueryAt ? freshData.lastStkQueryAt.toMillis() : 0;
+                if (freshData.stkPushStatus !== 'PUSH_INITIATED' || (Date.now() - lastQueryAtMs) / 1000 < STK_QUERY_MIN_INTERVAL_SECONDS) {
+                    return false;
+                }
+                t.update(stkTransactionDocRef, { lastStkQueryAt: FieldValue.serverTimestamp() });
+                return true;
+            });
+
+        if (claimedQuery) {
+            queriedDaraja = true;
+            const queryResult = await queryStkPushStatus(checkoutRequestID);
+
+            if (queryResult.resolved) {
+                // Run the same branch as /stk-callback so a lost callback still gets fulfilled
+                await finalizeStkTransaction({
+                    checkoutRequestID: checkoutRequestID,
+                    stkTransactionDocRef: stkTransactionDocRef,
+                    resultCode: queryResult.resultCode,
+                    resultDesc: queryResult.resultDesc,
+                    stkCallback: queryResult.data,
+                    resolutionSource: 'STATUS_QUERY',
+                });
+                await stkTransactionDocRef.update({
+                    stkQueryResponse: queryResult.data,
+                    lastStkQueryAt: FieldValue.serverTimestamp(),
+                });
+                stkTransactionData = (await stkTransactionDocRef.get()).data();
+                logger.info(`✅ STK transaction ${checkoutRequestID} resolved via STK Push Query: ${stkTransactionData.stkPushStatus}`);
+            } else {
+                await stkTransactionDocRef.update({
+                    stkQueryResponse: queryResult.data || null,
+                    lastStkQueryAt: FieldValue.serverTimestamp(),
+                });
+            }
+        }
+
+        return res.json({
+            success: true,
+            checkoutRequestID: checkoutRequestID,
+            stkPushStatus: stkTransactionData.stkPushStatus,
+            mpesaPaymentStatus: stkTransactionData.mpesaPaymentStatus || null,
+            mpesaResultCode: stkTransactionData.mpesaResultCode ?? null,
+            mpesaResultDesc: stkTransactionData.mpesaResultDesc || null,
+            mpesaReceiptNumber: stkTransactionData.mpesaReceiptNumber || null,
+            amount: stkTransactionData.amount,
+            recipient: maskMsisdn(stkTransactionData.recipient),
+            carrier: stkTransactionData.carrier,
+            queriedDaraja: queriedDaraja,
+        });
+
+    } catch (error) {
+        logger.error(`❌ Error fetching STK status for ${checkoutRequestID}:`, { message: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to fetch STK Push status.', error: error.message });
+    }
+});
+
+// Bulk airtime order: one STK Push for the total, then one dispatch per recipient once paid.
+// The order ID is the CheckoutRequestID, so /stk-push/:checkoutRequestID/status also works for polling the payment.
+app.post('/bulk-orders', stkPushLimiter, async (req, res) => {
+    const { phoneNumber, lines, customerName, reference } = req.body;
+
+    const cleanedCustomerPhone = String(phoneNumber || '').replace(/\D/g, '');
+    if (cleanedCustomerPhone.length < 9) {
+        return res.status(400).json({ success: false, message: 'Invalid or missing customer phoneNumber.' });
+    }
+
+    const parsed = parseBulkOrderLines(lines, { maxLines: BULK_ORDER_MAX_LINES });
+    if (parsed.errors.length > 0) {
+        logger.warn(`🛑 Rejected bulk order from ${cleanedCustomerPhone}: ${parsed.errors.length} invalid line(s).`);
+        return res.status(400).json({ success: false, message: 'Some order lines are invalid.', errors: parsed.errors });
+    }
+    if (parsed.totalAmount > BULK_ORDER_MAX_TOTAL) {
+        return res.status(400).json({ success: false, message: `Order total ${parsed.totalAmount} exceeds the maximum of ${BULK_ORDER_MAX_TOTAL}.` });
+    }
+
+    // Refuse before the customer pays if any carrier in the order has no provider with float left
+    const carriers = [...new Set(parsed.lines.map(line => line.carrier))];
+    try {
+        const availability = await Promise.all(carriers.map(carrier => isCarrierDispatchAvailable(carrier)));
+        const unavailable = carriers.filter((carrier, index) => !availability[index]);
+        if (unavailable.length > 0) {
+            logger.warn(`🛑 Refusing bulk order: no float left for ${unavailable.join(', ')}.`);
+            return res.status(503).json({ success: false, message: `${unavailable.join(', ')} airtime is temporarily unavailable. Please try again later.` });
+        }
+    } catch (availabilityError) {
+        logger.error('❌ Float availability check failed for bulk order. Allowing the order:', { message: availabilityError.message });
+    }
+
+    logger.info(`Initiating bulk order STK Push: ${parsed.lines.length} line(s), total ${parsed.totalAmount}, customer: ${cleanedCustomerPhone}`);
+
+    try {
+        const { stkPushPayload, darajaResponse } = await sendStkPushRequest({
+            amount: parsed.totalAmount,
+            customerPhone: cleanedCustomerPhone,
+            accountReference: 'BulkAirtime',
+            transactionDesc: `Airtime for ${parsed.lines.length} recipients`,
+        });
+
+        if (darajaResponse.ResponseCode !== '0') {
+            logger.error('❌ Bulk order STK Push Request Failed by Daraja:', darajaResponse);
+            await errorsCollection.add({
+                type: 'STK_PUSH_INITIATION_FAILED_BY_DARJA',
+                error: darajaResponse.ResponseDescription,
+                requestPayload: stkPushPayload,
+                mpesaResponse: darajaResponse,
+                bulkOrder: true,
+                createdAt: FieldValue.serverTimestamp(),
+            });
+            return res.status(500).json({ success: false, message: darajaResponse.ResponseDescription || 'STK Push request failed.' });
+        }
+
+        const orderId = darajaResponse.CheckoutRequestID;
+        const orderRef = bulkOrdersCollection.doc(orderId);
+        const now = FieldValue.serverTimestamp();
+        const batch = firestore.batch();
+        batch.set(stkTransactionsCollection.doc(orderId), {
+            checkoutRequestID: orderId,
+            merchantRequestID: darajaResponse.MerchantRequestID,
+            phoneNumber: cleanedCustomerPhone,
+            amount: parsed.totalAmount,
+            recipient: null, // Recipients live on the bulk order lines
+            carrier: null,
+            bulkOrderId: orderId,
+            initialRequestAt: now,
+            stkPushStatus: 'PUSH_INITIATED',
+            stkPushPayload: stkPushPayload,
+            darajaResponse: darajaResponse,
+            customerName: customerName || null,
+            serviceType: 'bulk_airtime',
+            reference: reference || null,
+            lastUpdated: now,
+        });
+        batch.set(orderRef, {
+            orderId: orderId,
+            checkoutRequestID: orderId,
+            payerPhoneNumber: cleanedCustomerPhone,
+            customerName: customerName || null,
+            reference: reference || null,
+            totalAmount: parsed.totalAmount,
+            lineCount: parsed.lines.length,
+            lineStatusCounts: { PENDING: parsed.lines.length },
+            status: 'AWAITING_PAYMENT',
+            createdAt: now,
+            lastUpdated: now,
+        });
+        for (const line of parsed.lines) {
+            batch.set(orderRef.collection('lines').doc(String(line.lineNumber)), {
+                ...line,
+                status: 'PENDING', // Only dispatched once the order is PAID
+                createdAt: now,
+                lastUpdated: now,
+            });
+        }
+        await batch.commit();
+        logger.info(`✅ Bulk order ${orderId} created with ${parsed.lines.length} line(s).`);
+
+        return res.status(200).json({
+            success: true,
+            message: darajaResponse.CustomerMessage,
+            orderId: orderId,
+            checkoutRequestID: orderId,
+            totalAmount: parsed.totalAmount,
+            lineCount: parsed.lines.length,
+        });
+
+    } catch (error) {
+        logger.error('❌ Critical error during bulk order STK Push initiation:', {
+            message: error.message,
+            stack: error.stack,
+            responseError: error.response ? error.response.data : 'No response data'
+        });
+        const errorMessage = error.response ? (error.response.data.errorMessage || error.response.data) : error.message;
+        await errorsCollection.add({
+            type: 'STK_PUSH_CRITICAL_INITIATION_ERROR',
+            error: errorMessage,
+            requestBody: req.body,
+            bulkOrder: true,
+            stack: error.stack,
+            createdAt: FieldValue.serverTimestamp(),
+        });
+        res.status(500).json({ success: false, message: 'Failed to initiate bulk order payment.', error: errorMessage });
+    }
+});
+
+// Keeps enough of a phone number to tell lines apart without exposing it: 0712345678 -> 071****678
+function maskMsisdn(phoneNumber) {
+    const digits = String(phoneNumber || '');
+    return digits.length > 6 ? `${digits.slice(0, 3)}${'*'.repeat(digits.length - 6)}${digits.slice(-3)}` : '***';
+}
+
+// Bulk order status with per-line results. Line sale/transaction statuses are read live, so later
+// verification or refund outcomes show up here too. Anyone holding the order ID can poll this, so
+// recipient numbers are masked.
+app.get('/bulk-orders/:orderId', stkStatusLimiter, async (req, res) => {
+    const orderRef = bulkOrdersCollection.doc(req.params.orderId);
+
+    try {
+        const [orderDoc, linesSnapshot] = await Promise.all([orderRef.get(), orderRef.collection('lines').orderBy('lineNumber').get()]);
+        if (!orderDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Bulk order not found.' });
+        }
+        const order = orderDoc.data();
+
+        const dispatchedLines = linesSnapshot.docs.filter(doc => doc.data().transactionId);
+        const [saleDocs, transactionDocs] = dispatchedLines.length > 0
+            ? await Promise.all([
+                firestore.getAll(...dispatchedLines.map(doc => salesCollection.doc(doc.data().saleId))),
+                firestore.getAll(...dispatchedLines.map(doc => transactionsCollection.doc(doc.data().transactionId))),
+            ])
+            : [[], []];
+        const salesById = new Map(saleDocs.filter(doc => doc.exists).map(doc => [doc.id, doc.data()]));
+        const transactionsById = new Map(transactionDocs.filter(doc => doc.exists).map(doc => [doc.id, doc.data()]));
+
+        res.json({
+            success: true,
+            orderId: orderDoc.id,
+            status: order.status,
+            totalAmount: order.totalAmount,
+            amountPaid: order.amountPaid ?? null,
+            mpesaReceiptNumber: order.mpesaReceiptNumber || null,
+            lineCount: order.lineCount,
+            lineStatusCounts: order.lineStatusCounts || {},
+            lines: linesSnapshot.docs.map(doc => {
+                const line = doc.data();
+                const sale = salesById.get(line.saleId);
+                const transaction = transactionsById.get(line.transactionId);
+                return {
+                    lineNumber: line.lineNumber,
+                    recipient: maskMsisdn(line.recipient),
+                    carrier: line.carrier,
+                    amount: line.amount,
+                    status: order.status === 'AWAITING_PAYMENT' || order.status === 'PAYMENT_FAILED' ? order.status : line.status,
+                    saleStatus: sale ? sale.status : null,
+                    dispatchedAmount: sale ? (sale.dispatchedAmount ?? null) : null,
+                    refundAmount: sale ? (sale.refundAmount ?? null) : null,
+                    transactionStatus: transaction ? transaction.status : null,
+                    errorMessage: line.errorMessage || null,
+                };
+            }),
+        });
+    } catch (error) {
+        logger.error(`❌ Error fetching bulk order ${req.params.orderId}:`, { message: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to fetch bulk order.' });
+    }
+});
+
+// 2. M-Pesa STK Callback Endpoint (where M-Pesa sends payment confirmation)
+/*app.post('/stk-callback', stkCallbackRateLimiter, async (req, res) => {
+    const callback = req.body;
+    const now = FieldValue.serverTimestamp();
+
+    logger.info('📞 Received STK Callback:', JSON.stringify(callback));
+
+    const resultCode = callback.Body.stkCallback.ResultCode;
+    const checkoutRequestID = callback.Body.stkCallback.CheckoutRequestID;
+
+    // Extract details without optional chaining (as per previous regeneration)
+    let mpesaReceiptNumber = null;
+    let transactionDateFromMpesa = null;
+    let phoneNumberUsedForPayment = null;
+    let amountPaidByCustomer = null;
+
+    const callbackMetadata = callback.Body.stkCallback.CallbackMetadata;
+    if (callbackMetadata && Array.isArray(callbackMetadata.Item)) {
+        const receiptItem = callbackMetadata.Item.find(item => item.Name === 'MpesaReceiptNumber');
+        if (receiptItem) {
+            mpesaReceiptNumber = receiptItem.Value;
+        }
+        const dateItem = callbackMetadata.Item.find(item => item.Name === 'TransactionDate');
+        if (dateItem) {
+            transactionDateFromMpesa = dateItem.Value;
+        }
+        const phoneItem = callbackMetadata.Item.find(item => item.Name === 'PhoneNumber');
+        if (phoneItem) {
+            phoneNumberUsedForPayment = phoneItem.Value;
+        }
+        const amountItem = callbackMetadata.Item.find(item => item.Name === 'Amount');
+        if (amountItem) {
+            amountPaidByCustomer = amountItem.Value;
+        }
+    }
+
+    // Retrieve the initial sales request document
+    const initialSalesRequestDocRef = salesCollection.doc(checkoutRequestID); // For STK, CheckoutRequestID is the saleId
+    const initialSalesRequestDoc = await initialSalesRequestDocRef.get();
+
+    if (!initialSalesRequestDoc.exists) {
+        logger.error('❌ No matching initial sales request for CheckoutRequestID in Firestore:', checkoutRequestID);
+        await errorsCollection.doc(`STK_CALLBACK_NO_INITIAL_REQUEST_${checkoutRequestID}_${Date.now()}`).set({
+            type: 'STK_CALLBACK_ERROR',
+            error: 'No matching initial sales request found for CheckoutRequestID. Cannot process callback.',
+            checkoutRequestID: checkoutRequestID,
+            callbackData: callback,
+            createdAt: now,
+        });
+        return res.json({ ResultCode: 0, ResultDesc: 'Callback received, but initial transaction request not found locally.' });
+    }
+
+    const initialRequestData = initialSalesRequestDoc.data();
+    const topupNumber = initialRequestData.recipient; // Get recipient from initial request
+    const originalInitiatorPhoneNumber = initialRequestData.initiatorPhoneNumber; // The phone number that initiated STK Push
+
+    // Reference to the 'transactions' document (using checkoutRequestID as its ID)
+    const transactionDocRef = transactionsCollection.doc(checkoutRequestID);
+
+    if (resultCode === 0) {
+        // M-Pesa payment was successful
+        logger.info(`✅ M-Pesa payment successful for ${checkoutRequestID}. Marking for fulfillment.`);
+
+        // Create or update the transaction record with initial details
+        await transactionDocRef.set({
+            transactionID: checkoutRequestID,
+            type: 'STK_PUSH_PAYMENT',
+            transactionTime: transactionDateFromMpesa,
+            amountReceived: amountPaidByCustomer ? parseFloat(amountPaidByCustomer) : null,
+            mpesaReceiptNumber: mpesaReceiptNumber,
+            payerMsisdn: phoneNumberUsedForPayment,
+            billRefNumber: topupNumber, // The recipient number for airtime
+            carrier: initialRequestData.carrier, // Get carrier from initial request
+            mpesaRawCallback: callback,
+            status: 'RECEIVED_PENDING_FULFILLMENT', // Set to pending fulfillment
+            fulfillmentStatus: 'PENDING', // Initial fulfillment status
+            mpesaResultCode: resultCode,
+            mpesaResultDesc: callback.Body.stkCallback.ResultDesc,
+            createdAt: initialRequestData.createdAt || now,
+            lastUpdated: now,
+            relatedSaleId: checkoutRequestID, // Link to the existing sales request doc
+        }, { merge: true });
+        logger.info(`✅ [transactions] Record for ${checkoutRequestID} created/updated with status: RECEIVED_PENDING_FULFILLMENT.`);
+
+        // --- Trigger the unified airtime fulfillment process ---
+        const fulfillmentResult = await processAirtimeFulfillment({
+            transactionId: checkoutRequestID,
+            originalAmountPaid: amountPaidByCustomer ? parseFloat(amountPaidByCustomer) : 0,
+            payerMsisdn: phoneNumberUsedForPayment,
+            payerName: initialRequestData.payerName || null, // If you capture name at initiation
+            topupNumber: topupNumber,
+            sourceCallbackData: callback,
+            requestType: 'STK_PUSH',
+            relatedSaleId: checkoutRequestID, // Pass the already created saleId
+        });
+
+        logger.info(`STK Callback for CheckoutRequestID ${checkoutRequestID} completed. Fulfillment Result:`, fulfillmentResult);
+
+    } else {
+        // M-Pesa payment failed or was cancelled by user
+        logger.info(`❌ Payment failed for ${checkoutRequestID}. ResultCode: ${resultCode}, Desc: ${callback.Body.stkCallback.ResultDesc}`);
+        const finalTransactionStatus = 'MPESA_PAYMENT_FAILED';
+
+        await transactionDocRef.set({
+            transactionID: checkoutRequestID,
+            type: 'STK_PUSH_PAYMENT',
+            transactionTime: transactionDateFromMpesa,
+            amountReceived: amountPaidByCustomer ? parseFloat(amountPaidByCustomer) : null,
+            mpesaReceiptNumber: mpesaReceiptNumber,
+            payerMsisdn: phoneNumberUsedForPayment,
+            billRefNumber: topupNumber,
+            carrier: initialRequestData.carrier,
+            mpesaRawCallback: callback,
+            status: finalTransactionStatus,
+            fulfillmentStatus: 'NOT_APPLICABLE',
+            mpesaResultCode: resultCode,
+            mpesaResultDesc: callback.Body.stkCallback.ResultDesc,
+            errorMessage: `M-Pesa payment failed: ${callback.Body.stkCallback.ResultDesc}`,
+            createdAt: initialRequestData.createdAt || now,
             lastUpdated: now,
-            relatedSaleId: checkoutRequestID, // Link to the existing sales request doc
+            relatedSaleId: checkoutRequestID,
+            reconciliationNeeded: false,
         }, { merge: true });
-        logger.info(`✅ [transactions] Record for ${checkoutRequestID} created/updated with status: RECEIVED_PENDING_FULFILLMENT.`);
+        logger.info(`✅ [transactions] Record for ${checkoutRequestID} updated to: ${finalTransactionStatus}`);
+
+        await errorsCollection.doc(`STK_PAYMENT_FAILED_${checkoutRequestID}`).set({
+            type: 'STK_PAYMENT_ERROR',
+            error: `STK Payment failed or was cancelled. ResultCode: ${resultCode}, ResultDesc: ${callback.Body.stkCallback.ResultDesc}`,
+            checkoutRequestID: checkoutRequestID,
+            callbackData: callback,
+            createdAt: now,
+        });
+
+        // Update the initial 'sales' request document to reflect the payment status
+        await initialSalesRequestDocRef.update({
+            mpesaPaymentStatus: finalTransactionStatus,
+            mpesaReceiptNumber: mpesaReceiptNumber,
+            mpesaTransactionDate: transactionDateFromMpesa,
+            mpesaPhoneNumberUsed: phoneNumberUsedForPayment,
+            mpesaAmountPaid: amountPaidByCustomer ? parseFloat(amountPaidByCustomer) : null,
+            fullStkCallback: callback,
+            lastUpdated: now,
+            // No fulfillment-related fields updated here as payment failed
+        });
+        logger.info(`✅ [sales/initial_request] M-Pesa payment status for ${checkoutRequestID} updated to ${finalTransactionStatus}.`);
+    }
+
+    res.json({ ResultCode: 0, ResultDesc: 'Callback received and payment status recorded by DaimaPay server.' });
+});
+*/
+// Modified STK Callback Endpoint
+app.post('/stk-callback', mpesaCallbackGuard('/stk-callback', validateStkCallbackShape), async (req, res) => {
+    const callback = req.body;
+    logger.info('📞 Received STK Callback:', JSON.stringify(callback, null, 2)); // Log full callback for debugging
+
+    // Empty/malformed callbacks are already rejected (and logged) by mpesaCallbackGuard
+    const { CheckoutRequestID, ResultCode, ResultDesc, CallbackMetadata } = callback.Body.stkCallback;
+
+    // --- Retrieve the STK transaction record ---
+    // This is the *only* collection the STK server should read/update now.
+    const stkTransactionDocRef = stkTransactionsCollection.doc(CheckoutRequestID);
+    const stkTransactionDoc = await stkTransactionDocRef.get();
+
+    if (!stkTransactionDoc.exists) {
+        logger.error(`❌ No matching STK transaction record for CheckoutRequestID (${CheckoutRequestID}) found in 'stk_transactions' collection.`);
+        // Respond with success to M-Pesa to prevent retries of this unknown callback,
+        // but log for manual investigation.
+        return res.json({ ResultCode: 0, ResultDesc: 'No matching STK transaction record found.' });
+    }
+
+    // --- Cross-check a "paid" callback against what /stk-push stored ---
+    if (ResultCode === 0) {
+        const stkTransactionData = stkTransactionDoc.data();
+        const callbackAmount = CallbackMetadata.Item.find(item => item.Name === 'Amount')?.Value;
+        const callbackPhone = CallbackMetadata.Item.find(item => item.Name === 'PhoneNumber')?.Value;
+        const mismatches = [];
+
+        if (Math.round(Number(callbackAmount)) !== Math.round(Number(stkTransactionData.amount))) {
+            mismatches.push(`amount (callback: ${callbackAmount}, stored: ${stkTransactionData.amount})`);
+        }
+        // Safaricom masks the phone number on some callbacks; only compare when it is fully present
+        if (callbackPhone !== undefined && /^\d+$/.test(String(callbackPhone)) && toMsisdn254(callbackPhone) !== toMsisdn254(stkTransactionData.phoneNumber)) {
+            mismatches.push(`phone (callback: ${callbackPhone}, stored: ${stkTransactionData.phoneNumber})`);
+        }
+
+        if (mismatches.length > 0) {
+            await recordSuspiciousCallback(req, '/stk-callback', 'CALLBACK_MISMATCH', { checkoutRequestID: CheckoutRequestID, mismatches });
+            await stkTransactionDocRef.update({
+                callbackMismatch: mismatches,
+                lastUpdated: FieldValue.serverTimestamp(),
+            });
+            // Do not mark as paid; the sweeper/status query will resolve it from Daraja directly
+            return res.json({ ResultCode: 0, ResultDesc: 'Callback does not match the original STK Push. Logged for review.' });
+        }
+    }
+
+    const finalizeResult = await finalizeStkTransaction({
+        checkoutRequestID: CheckoutRequestID,
+        stkTransactionDocRef: stkTransactionDocRef,
+        resultCode: ResultCode,
+        resultDesc: ResultDesc,
+        callbackMetadata: CallbackMetadata,
+        stkCallback: callback.Body.stkCallback,
+        resolutionSource: 'CALLBACK',
+    });
+
+    // Always respond to M-Pesa with ResultCode 0 to acknowledge receipt of the callback (even for failed payments and duplicates).
+    if (finalizeResult.duplicate) {
+        return res.json({ ResultCode: 0, ResultDesc: 'Duplicate callback received. Transaction already processed.' });
+    }
+    if (finalizeResult.internalError) {
+        return res.json({ ResultCode: 0, ResultDesc: 'Callback processed with internal error during update/notification.' });
+    }
+    if (finalizeResult.paymentSuccessful) {
+        return res.json({ ResultCode: 0, ResultDesc: 'Callback received and processing for external fulfillment initiated.' });
+    }
+    return res.json({ ResultCode: 0, ResultDesc: 'Payment failed/cancelled. Callback processed.' });
+});
+
+// Closes the transaction once Daraja confirms a reversal or B2C refund (by its result callback or a status query)
+async function recordConfirmedRefund(reversalId, reversal, result) {
+    const method = reversal.method || 'REVERSAL';
+    const transactionRef = transactionsCollection.doc(reversal.transactionId);
+    logger.info(`✅ ${REFUND_METHOD_LABELS[method]} for TransID ${reversal.transactionId} COMPLETED successfully.`);
+    if ((await transactionRef.get()).exists) {
+        // Refunding the undelivered part of a partially fulfilled sale leaves the rest of the purchase standing
+        const confirmedStatus = reversal.scope === 'UNDELIVERED' ? 'PARTIALLY_REFUNDED'
+            : method === 'B2C' ? 'REFUNDED_VIA_B2C' : 'REVERSED_SUCCESSFULLY';
+        await transactionRef.update({
+            status: confirmedStatus,
+            refundMethod: method, // Which refund method closed the case
+            reversalConfirmationDetails: result,
+            lastUpdated: FieldValue.serverTimestamp(),
+        });
+    }
+    await reconciledTransactionsCollection.doc(reversal.transactionId).set({
+        status: 'REVERSAL_CONFIRMED',
+        refundMethod: method,
+        reversalId: reversalId,
+        reversalConfirmationDetails: result,
+        lastUpdated: FieldValue.serverTimestamp(),
+    }, { merge: true });
+}
+
+// Daraja Reversal Result Endpoint
+// Result callbacks for reversals and B2C refunds share the reversals mapping and state machine
+function refundResultHandler(method) {
+    const label = REFUND_METHOD_LABELS[method];
+    return async (req, res) => {
+        try {
+            const result = req.body?.Result;
+            logger.info(`📞 Received Daraja ${label} Result Callback:`, result);
+
+            const resultCode = result?.ResultCode;
+            const resultDesc = result?.ResultDesc;
+
+            const reversalRef = await findReversal(result.OriginatorConversationID, result.ConversationID);
+            if (!reversalRef) {
+                logger.warn(`⚠️ ${label} result received for unknown OriginatorConversationID: ${result.OriginatorConversationID}`);
+                await errorsCollection.add({
+                    type: 'REVERSAL_RESULT_UNMATCHED',
+                    method: method,
+                    originatorConversationId: result.OriginatorConversationID,
+                    conversationId: result.ConversationID,
+                    callback: result,
+                    createdAt: FieldValue.serverTimestamp(),
+                });
+                return res.json({ ResultCode: 0, ResultDesc: `Acknowledged - Unknown ${label.toLowerCase()}.` });
+            }
+
+            const nextStatus = resultCode === 0 ? 'CONFIRMED' : 'FAILED';
+            const { applied, previousStatus, reversal } = await transitionReversal(reversalRef, nextStatus, result);
+            const originalTransactionId = reversal.transactionId;
+            if (!applied) {
+                logger.warn(`⚠️ Ignoring ${nextStatus} result for ${label.toLowerCase()} ${reversalRef.id} already in ${previousStatus}.`);
+                return res.json({ ResultCode: 0, ResultDesc: `${label} result already processed.` });
+            }
+
+            if (resultCode === 0) {
+                await recordConfirmedRefund(reversalRef.id, reversal, result);
+            } else {
+                logger.error(`❌ ${label} for TransID ${originalTransactionId} FAILED: ${resultDesc}`);
+                const transactionRef = transactionsCollection.doc(originalTransactionId);
+                if ((await transactionRef.get()).exists) {
+                    await transactionRef.update({
+                        status: 'REVERSAL_FAILED_CONFIRMATION',
+                        reversalConfirmationDetails: result,
+                        reversalRetryStatus: reversal.retryStatus || null,
+                        errorMessage: `${label} failed: ${resultDesc}`,
+                        lastUpdated: FieldValue.serverTimestamp(),
+                    });
+                }
+                await failedReconciliationsCollection.doc(originalTransactionId).set({
+                    transactionId: originalTransactionId,
+                    refundMethod: method,
+                    reversalId: reversalRef.id,
+                    reversalConfirmationDetails: result,
+                    reason: resultDesc,
+                    createdAt: FieldValue.serverTimestamp(),
+                }, { merge: true });
+            }
+
+            await handleRefundRetryOutcome(reversalRef.id, reversal, resultDesc);
+            res.json({ ResultCode: 0, ResultDesc: `${label} result processed successfully.` });
+
+        } catch (error) {
+            logger.error(`❌ Error processing Daraja ${label} callback`, {
+                message: error.message,
+                stack: error.stack,
+                rawBody: req.body,
+            });
+            res.status(500).json({ ResultCode: 0, ResultDesc: `Server error during ${label.toLowerCase()} processing.` });
+        }
+    };
+}
+
+function refundTimeoutHandler(method) {
+    const label = REFUND_METHOD_LABELS[method];
+    return async (req, res) => {
+        const timeoutData = req.body;
+        // Queue timeouts arrive either flat or wrapped in Result, depending on the Daraja product
+        const { OriginatorConversationID, ConversationID, ResultCode, ResultDesc } = timeoutData.Result || timeoutData;
+
+        logger.warn(`⚠️ Received Daraja ${label} Queue Timeout Callback:`, {
+            OriginatorConversationID: OriginatorConversationID,
+            ConversationID: ConversationID,
+            ResultCode: ResultCode,
+            ResultDesc: ResultDesc,
+            fullCallback: timeoutData
+        });
+
+        try {
+            const reversalRef = await findReversal(OriginatorConversationID, ConversationID);
+            let transactionIdToUpdate = null;
+
+            if (reversalRef) {
+                const { applied, previousStatus, reversal } = await transitionReversal(reversalRef, 'TIMED_OUT', timeoutData);
+                transactionIdToUpdate = reversal.transactionId;
+
+                const originalTransactionRef = transactionsCollection.doc(transactionIdToUpdate);
+                if (!applied) {
+                    logger.warn(`⚠️ Ignoring timeout for ${label.toLowerCase()} ${reversalRef.id} already in ${previousStatus}.`);
+                } else {
+                    if ((await originalTransactionRef.get()).exists) {
+                        logger.info(`Updating transaction ${transactionIdToUpdate} with ${label.toLowerCase()} timeout status.`);
+                        await originalTransactionRef.update({
+                            status: 'REVERSAL_TIMED_OUT', // New status for timed-out reversals
+                            reversalTimeoutDetails: timeoutData,
+                            reversalRetryStatus: reversal.retryStatus || null,
+                            lastUpdated: FieldValue.serverTimestamp(),
+                        });
+                    }
+                    await handleRefundRetryOutcome(reversalRef.id, reversal, ResultDesc || 'Queue timeout');
+                }
+            } else {
+                logger.warn(`⚠️ ${label} Timeout received for unknown OriginatorConversationID: ${OriginatorConversationID}`);
+            }
+
+            // Always record the timeout in a dedicated collection for auditing/manual review
+            await reversalTimeoutsCollection.add({
+                transactionId: transactionIdToUpdate, // Resolved through the reversals mapping; null if unmatched
+                method: method,
+                originatorConversationId: OriginatorConversationID,
+                conversationId: ConversationID,
+                resultCode: ResultCode,
+                resultDesc: ResultDesc,
+                fullCallbackData: timeoutData,
+                createdAt: FieldValue.serverTimestamp(),
+            });
+
+            logger.info(`✅ Daraja ${label} Queue Timeout processed for ${transactionIdToUpdate || OriginatorConversationID}.`);
+            res.json({ "ResultCode": 0, "ResultDesc": `Daraja ${label} Queue Timeout Received and Processed.` });
+
+        } catch (error) {
+            logger.error(`❌ CRITICAL ERROR processing Daraja ${label} Queue Timeout for ${OriginatorConversationID || 'N/A'}:`, {
+                message: error.message,
+                stack: error.stack,
+                timeoutData: timeoutData
+            });
+            // Still send a success response to Daraja to avoid repeated callbacks
+            res.json({ "ResultCode": 0, "ResultDesc": "Internal server error during Queue Timeout processing." });
+        }
+    };
+}
+
+app.post('/daraja-reversal-result', mpesaCallbackGuard('/daraja-reversal-result', validateReversalResultShape), refundResultHandler('REVERSAL'));
+
+// --- Daraja Reversal Queue Timeout Endpoint ---
+app.post('/daraja-reversal-timeout', mpesaCallbackGuard('/daraja-reversal-timeout', validateReversalTimeoutShape), refundTimeoutHandler('REVERSAL'));
+
+// --- Daraja B2C Refund Callbacks ---
+app.post('/daraja-b2c-result', mpesaCallbackGuard('/daraja-b2c-result', validateReversalResultShape), refundResultHandler('B2C'));
+app.post('/daraja-b2c-timeout', mpesaCallbackGuard('/daraja-b2c-timeout', validateReversalTimeoutShape), refundTimeoutHandler('B2C'));
+
+// --- Daraja Transaction Status Callbacks (refund status queries) ---
+// Only a 'Completed' answer confirms the refund and only another definite TransactionStatus clears it for a new
+// attempt. A non-zero ResultCode says the query itself failed, so it is treated like no answer and asked again.
+function getResultParameter(result, key) {
+    const params = result?.ResultParameters?.ResultParameter;
+    const list = Array.isArray(params) ? params : (params ? [params] : []);
+    return list.find(param => param.Key === key)?.Value;
+}
+
+async function recordRefundStatusAnswer(queryId, outcome, callbackData) {
+    const queryRef = reversalStatusQueriesCollection.doc(queryId);
+    const queryDoc = await queryRef.get();
+    if (!queryDoc.exists) {
+        logger.warn(`⚠️ Transaction status answer for unknown query ${queryId}.`);
+        return null;
+    }
+    const { reversalId } = queryDoc.data();
+    const reversalRef = reversalsCollection.doc(reversalId);
+    await queryRef.update({ status: outcome, answer: callbackData, answeredAt: FieldValue.serverTimestamp() });
+    await reversalRef.update({
+        'statusQuery.status': outcome,
+        'statusQuery.answeredAt': FieldValue.serverTimestamp(),
+        lastUpdated: FieldValue.serverTimestamp(),
+    });
+    return reversalRef;
+}
+
+app.post('/daraja-status-result', mpesaCallbackGuard('/daraja-status-result', validateReversalResultShape), async (req, res) => {
+    const result = req.body.Result;
+    logger.info('📞 Received Daraja Transaction Status Result Callback:', result);
+    try {
+        const transactionStatus = getResultParameter(result, 'TransactionStatus');
+        const outcome = result.ResultCode !== 0 ? 'NO_ANSWER'
+            : String(transactionStatus || '').toLowerCase() === 'completed' ? 'COMPLETED'
+            : transactionStatus ? 'NOT_COMPLETED'
+            : 'NO_ANSWER';
+
+        const reversalRef = await recordRefundStatusAnswer(result.OriginatorConversationID, outcome, result);
+        if (reversalRef && outcome === 'COMPLETED') {
+            const { applied, reversal } = await transitionReversal(reversalRef, 'CONFIRMED', result, { confirmedByStatusQuery: true });
+            if (applied) {
+                await recordConfirmedRefund(reversalRef.id, reversal, result);
+            }
+        }
+        if (reversalRef) {
+            logger.info(`🔎 Refund ${reversalRef.id} status from Daraja: ${outcome} (${transactionStatus || result.ResultDesc}).`);
+        }
+        res.json({ ResultCode: 0, ResultDesc: 'Transaction status result processed.' });
+    } catch (error) {
+        logger.error('❌ Error processing Daraja transaction status callback', { message: error.message, stack: error.stack, rawBody: req.body });
+        res.status(500).json({ ResultCode: 0, ResultDesc: 'Server error during transaction status processing.' });
+    }
+});
+
+app.post('/daraja-status-timeout', mpesaCallbackGuard('/daraja-status-timeout', validateReversalTimeoutShape), async (req, res) => {
+    const timeoutData = req.body.Result || req.body;
+    logger.warn('⚠️ Received Daraja Transaction Status Queue Timeout Callback:', timeoutData);
+    try {
+        await recordRefundStatusAnswer(timeoutData.OriginatorConversationID, 'NO_ANSWER', timeoutData);
+        res.json({ ResultCode: 0, ResultDesc: 'Transaction status timeout processed.' });
+    } catch (error) {
+        logger.error('❌ Error processing Daraja transaction status timeout', { message: error.message, stack: error.stack, rawBody: req.body });
+        res.json({ ResultCode: 0, ResultDesc: 'Internal server error during transaction status timeout processing.' });
+    }
+});
+
+// --- AFRICA'S TALKING AIRTIME STATUS CALLBACK ---
+// AT does not sign callbacks and cannot add custom headers, so the callback URL set in the AT dashboard carries
+// a shared secret as its last path segment: https://<host>/at-airtime-status/<AT_CALLBACK_TOKEN>. Without the
+// token configured every callback is rejected. The route never logs the URL, and access logs in front of this
+// server should mask that segment.
+const AT_CALLBACK_TOKEN = process.env.AT_CALLBACK_TOKEN;
+
+function isValidAtCallbackToken(receivedToken) {
+    if (!AT_CALLBACK_TOKEN || typeof receivedToken !== 'string') return false;
+    const expected = Buffer.from(AT_CALLBACK_TOKEN);
+    const received = Buffer.from(receivedToken);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// AT reports a failure for a sale we already marked COMPLETED (or PARTIALLY_FULFILLED): undo the dispatch and
+// refund whatever part of the payment the customer has not already been refunded.
+async function handleLateDeliveryFailure(saleDoc, description) {
+    const claimed = await firestore.runTransaction(async t => {
+        const freshDoc = await t.get(saleDoc.ref);
+        if (!freshDoc.exists || !['COMPLETED', 'PARTIALLY_FULFILLED'].includes(freshDoc.data().status)) {
+            return null;
+        }
+        t.update(saleDoc.ref, {
+            status: 'FAILED_DELIVERY',
+            deliveryStatus: 'FAILED',
+            deliveryStatusDescription: description,
+            deliveryStatusReportedAt: FieldValue.serverTimestamp(),
+            errorMessage: `Africa's Talking reported a failed delivery after dispatch: ${description}`,
+            lastUpdated: FieldValue.serverTimestamp(),
+        });
+        return freshDoc.data();
+    });
+    if (!claimed) {
+        return;
+    }
+
+    const transactionId = claimed.relatedTransactionId;
+    const provider = getAirtimeProvider(claimed.airtimeProviderUsed);
+    const now = FieldValue.serverTimestamp();
+    logger.warn(`🛑 Late delivery failure for sale ${saleDoc.id} (TransID ${transactionId}). Refunding float and reversing.`);
+
+    // Give back the dispatched amount, minus the commission credited when the send looked successful
+    if (provider && provider.floatName) {
+        const commissionAmount = claimed.commission
+            ? (claimed.commission.credited ? claimed.commission.amount : 0)
+            : parseFloat(((claimed.originalAmountPaid || 0) * (provider.commissionRate || 0)).toFixed(2)); // Sales recorded before per-sale commission
+        const dispatchedAmount = claimed.dispatchedAmount || claimed.amount; // Sales recorded before dispatchedAmount
+        await updateCarrierFloatBalance(provider.floatName, dispatchedAmount - commissionAmount, {
+            reason: 'DISPATCH_REFUND', transactionId, saleId: saleDoc.id, note: 'Late delivery failure, net of commission',
+        });
+        logger.info(`✅ Refunded ${provider.floatName} for TransID ${transactionId}: +${dispatchedAmount - commissionAmount}`);
+    }
+
+    await errorsCollection.add({
+        type: 'AIRTIME_FULFILLMENT_ERROR',
+        subType: 'LATE_DELIVERY_FAILURE',
+        error: description,
+        transactionId: transactionId,
+        saleId: saleDoc.id,
+        providerAttempted: claimed.airtimeProviderUsed,
+        createdAt: now,
+    });
+    await transactionsCollection.doc(transactionId).update({
+        status: 'RECEIVED_FULFILLMENT_FAILED',
+        fulfillmentStatus: 'FAILED_DELIVERY',
+        errorMessage: `Africa's Talking reported a failed delivery: ${description}`,
+        lastUpdated: now,
+        reversalAttempted: true,
+    });
+    // The undelivered part of a partially fulfilled sale has its own refund already
+    const alreadyRefunded = claimed.refundAmount || 0;
+    await initiateFulfillmentReversal({
+        transactionId: transactionId,
+        originalAmountPaid: claimed.originalAmountPaid,
+        payerMsisdn: claimed.payerMsisdn,
+        sourceCallbackData: { atDeliveryStatus: description },
+        refundAmount: parseFloat((claimed.originalAmountPaid - alreadyRefunded).toFixed(2)),
+        scope: alreadyRefunded > 0 ? 'REMAINING' : 'FULL',
+    });
+}
+
+app.post('/at-airtime-status/:callbackToken', stkCallbackRateLimiter, async (req, res) => {
+    if (!AT_CALLBACK_TOKEN) {
+        logger.error('❌ AT_CALLBACK_TOKEN is not configured. Rejecting Africa\'s Talking status callback.');
+        return res.status(503).json({ error: 'Callback token not configured.' });
+    }
+    if (!isValidAtCallbackToken(req.params.callbackToken)) {
+        await recordSuspiciousCallback(req, '/at-airtime-status', 'INVALID_CALLBACK_TOKEN');
+        return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const { requestId, status, description, phoneNumber, value } = req.body || {};
+    logger.info('📞 Received Africa\'s Talking airtime status callback:', req.body);
+
+    if (!requestId || !['Success', 'Failed'].includes(status)) {
+        await recordSuspiciousCallback(req, '/at-airtime-status', 'INVALID_PAYLOAD', { requestId, status });
+        return res.status(400).json({ error: 'requestId and a Success/Failed status are required.' });
+    }
+
+    try {
+        const saleSnapshot = await salesCollection
+            .where('providerTransactionId', '==', requestId)
+            .limit(1)
+            .get();
+
+        if (saleSnapshot.empty) {
+            // Likely a send whose response never reached us; park it so verification can match it by phone and amount
+            const parkedAmount = parseFloat(String(value || '').replace(/[^\d.]/g, ''));
+            await atUnmatchedStatusCallbacksCollection.doc(requestId).set({
+                requestId: requestId,
+                status: status,
+                description: description || null,
+                phoneNumber: toMsisdn254(phoneNumber),
+                amount: isNaN(parkedAmount) ? null : parkedAmount,
+                matchedSaleId: null,
+                receivedAt: FieldValue.serverTimestamp(),
+            });
+            logger.warn(`⚠️ AT status callback for unknown requestId ${requestId}. Parked for verification matching.`);
+            return res.json({ received: true });
+        }
+        const saleDoc = saleSnapshot.docs[0];
+        const sale = saleDoc.data();
+
+        // value comes back as e.g. "KES 100.0000"
+        const reportedAmount = parseFloat(String(value || '').replace(/[^\d.]/g, ''));
+        const expectedAmounts = [Number(sale.amount), Number(sale.verification?.amount), Number(sale.dispatchedAmount)]; // Step-downs and partial sends report less
+        if (toMsisdn254(phoneNumber) !== toMsisdn254(sale.topupNumber) || (!isNaN(reportedAmount) && !expectedAmounts.includes(reportedAmount))) {
+            await recordSuspiciousCallback(req, '/at-airtime-status', 'CALLBACK_MISMATCH', { requestId, saleId: saleDoc.id });
+            return res.json({ received: true });
+        }
+
+        if (sale.status === 'PENDING_VERIFICATION') {
+            await resolvePendingVerification(saleDoc, { status: status === 'Success' ? 'SUCCESS' : 'FAILED', message: description || status });
+        } else if (status === 'Failed') {
+            await handleLateDeliveryFailure(saleDoc, description || 'Failed');
+        } else if (['COMPLETED', 'PARTIALLY_FULFILLED'].includes(sale.status)) {
+            await saleDoc.ref.update({
+                deliveryStatus: 'DELIVERED',
+                deliveryStatusReportedAt: FieldValue.serverTimestamp(),
+                lastUpdated: FieldValue.serverTimestamp(),
+            });
+        } else {
+            logger.warn(`⚠️ AT reported Success for sale ${saleDoc.id} in status ${sale.status}. Leaving it for manual review.`);
+        }
+
+        res.json({ received: true });
+    } catch (error) {
+        logger.error('❌ Error processing Africa\'s Talking airtime status callback:', { message: error.message, stack: error.stack, requestId });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Airtime quote / bonus simulation (public - shown to customers before they pay)
+app.get('/api/quote', quoteLimiter, async (req, res) => {
+    const { amount, recipient } = req.query;
+
+    if (!amount || !recipient) {
+        return res.status(400).json({ success: false, message: 'Missing required parameters: amount, recipient.' });
+    }
+
+    try {
+        const quote = await buildAirtimeQuote(recipient, parseFloat(amount));
+        if (!quote.success) {
+            return res.status(400).json(quote);
+        }
+        res.json(quote);
+    } catch (error) {
+        logger.error('Error building airtime quote:', { message: error.message, stack: error.stack, query: req.query });
+        res.status(500).json({ success: false, message: 'Failed to build airtime quote.' });
+    }
+});
+
+// --- NEW AIRTIME BONUS API ENDPOINTS ---
+const CURRENT_BONUS_DOC_PATH = 'airtime_bonuses/current_settings'; // Document path for current settings
+// BONUS_HISTORY_COLLECTION is already defined at the top as a const
+
+// GET current bonus percentages
+app.get('/api/airtime-bonuses/current', requireRole('viewer'), async (req, res) => {
+    try {
+        const docRef = firestore.collection('airtime_bonuses').doc('current_settings');
+        const docSnap = await docRef.get();
+
+        if (docSnap.exists) {
+            res.json(docSnap.data());
+        } else {
+            // If document doesn't exist, initialize it with default values
+            logger.info('Initializing airtime_bonuses/current_settings with default values.');
+            await docRef.set({ safaricomPercentage: 0, africastalkingPercentage: 0, lastUpdated: FieldValue.serverTimestamp() });
+            res.json({ safaricomPercentage: 0, africastalkingPercentage: 0 });
+        }
+    } catch (error) {
+        logger.error('Error fetching current airtime bonuses:', { message: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to fetch current airtime bonuses.' });
+    }
+});
+
+// POST to update bonus percentages and log history
+app.post('/api/airtime-bonuses/update', requireRole('finance'), async (req, res) => {
+    const { safaricomPercentage, africastalkingPercentage } = req.body;
+    const actor = getActor(req); // Taken from the verified ID token, never from the request body
+
+    if (typeof safaricomPercentage !== 'number' || typeof africastalkingPercentage !== 'number' || safaricomPercentage < 0 || africastalkingPercentage < 0) {
+        logger.warn('Invalid bonus percentages received for update.', { safaricomPercentage, africastalkingPercentage });
+        return res.status(400).json({ error: 'Invalid bonus percentages. Must be non-negative numbers.' });
+    }
+
+    try {
+        const currentSettingsDocRef = firestore.collection('airtime_bonuses').doc('current_settings');
+        const currentSettingsSnap = await currentSettingsDocRef.get();
+        const oldSettings = currentSettingsSnap.exists ? currentSettingsSnap.data() : { safaricomPercentage: 0, africastalkingPercentage: 0 };
+
+        const batch = firestore.batch();
+
+        // Update the current settings document
+        batch.set(currentSettingsDocRef, {
+            safaricomPercentage: safaricomPercentage,
+            africastalkingPercentage: africastalkingPercentage,
+            lastUpdated: FieldValue.serverTimestamp(), // Use server timestamp
+        }, { merge: true }); // Use merge to avoid overwriting other fields if they exist
+
+        // Add history entries only if values have changed
+        if (safaricomPercentage !== oldSettings.safaricomPercentage) {
+            batch.set(bonusHistoryCollection.doc(), { // Use the initialized collection variable
+                company: 'Safaricom',
+                oldPercentage: oldSettings.safaricomPercentage || 0,
+                newPercentage: safaricomPercentage,
+                timestamp: FieldValue.serverTimestamp(),
+                actor: actor,
+                actorUid: req.user.uid,
+            });
+            logger.info(`Safaricom bonus changed from ${oldSettings.safaricomPercentage} to ${safaricomPercentage} by ${actor}.`);
+        }
+        if (africastalkingPercentage !== oldSettings.africastalkingPercentage) {
+            batch.set(bonusHistoryCollection.doc(), { // Use the initialized collection variable
+                company: 'AfricasTalking',
+                oldPercentage: oldSettings.africastalkingPercentage || 0,
+                newPercentage: africastalkingPercentage,
+                timestamp: FieldValue.serverTimestamp(),
+                actor: actor,
+                actorUid: req.user.uid,
+            });
+            logger.info(`AfricasTalking bonus changed from ${oldSettings.africastalkingPercentage} to ${africastalkingPercentage} by ${actor}.`);
+        }
 
-        // --- Trigger the unified airtime fulfillment process ---
-        const fulfillmentResult = await processAirtimeFulfillment({
-            transactionId: checkoutRequestID,
-            originalAmountPaid: amountPaidByCustomer ? parseFloat(amountPaidByCustomer) : 0,
-            payerMsisdn: phoneNumberUsedForPayment,
-            payerName: initialRequestData.payerName || null, // If you capture name at initiation
-            topupNumber: topupNumber,
-            sourceCallbackData: callback,
-            requestType: 'STK_PUSH',
-            relatedSaleId: checkoutRequestID, // Pass the already created saleId
+        await batch.commit();
+        res.json({ success: true, message: 'Bonus percentages updated successfully.' });
+
+    } catch (error) {
+        logger.error('Error updating airtime bonuses:', { message: error.message, stack: error.stack }); // Completed the error message
+        res.status(500).json({ error: 'Failed to update airtime bonuses.' });
+    }
+});
+
+// GET the bonus rule set (configured rules, plus the effective set including legacy flat-percentage fallbacks)
+app.get('/api/airtime-bonuses/rules', requireRole('viewer'), async (req, res) => {
+    try {
+        const rulesSnap = await bonusRulesDocRef.get();
+        res.json({
+            rules: rulesSnap.exists ? (rulesSnap.data().rules || []) : [],
+            effectiveRules: await loadBonusRules(),
+            lastUpdated: rulesSnap.exists ? rulesSnap.data().lastUpdated : null,
         });
+    } catch (error) {
+        logger.error('Error fetching airtime bonus rules:', { message: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to fetch airtime bonus rules.' });
+    }
+});
 
-        logger.info(`STK Callback for CheckoutRequestID ${checkoutRequestID} completed. Fulfillment Result:`, fulfillmentResult);
+// PUT to replace the bonus rule set and log history
+app.put('/api/airtime-bonuses/rules', requireRole('finance'), async (req, res) => {
+    const rules = Array.isArray(req.body?.rules)
+        // Non-object entries are passed through untouched so validateBonusRules rejects them with a 400
+        ? req.body.rules.map(rule => (isPlainBonusRule(rule) ? {
+            carrier: rule.carrier,
+            minAmount: rule.minAmount,
+            maxAmount: rule.maxAmount ?? null,
+            percentage: rule.percentage,
+            maxBonus: rule.maxBonus ?? null,
+            rounding: rule.rounding || 'raw',
+        } : rule))
+        : req.body?.rules;
+
+    const validationError = validateBonusRules(rules);
+    if (validationError) {
+        logger.warn('Invalid bonus rules received for update.', { validationError });
+        return res.status(400).json({ error: `Invalid bonus rules. ${validationError}` });
+    }
+    const actor = getActor(req);
 
-    } else {
-        // M-Pesa payment failed or was cancelled by user
-        logger.info(`❌ Payment failed for ${checkoutRequestID}. ResultCode: ${resultCode}, Desc: ${callback.Body.stkCallback.ResultDesc}`);
-        const finalTransactionStatus = 'MPESA_PAYMENT_FAILED';
+    try {
+        await firestore.runTransaction(async t => {
+            const rulesSnap = await t.get(bonusRulesDocRef);
+            const oldRules = rulesSnap.exists ? (rulesSnap.data().rules || []) : [];
 
-        await transactionDocRef.set({
-            transactionID: checkoutRequestID,
-            type: 'STK_PUSH_PAYMENT',
-            transactionTime: transactionDateFromMpesa,
-            amountReceived: amountPaidByCustomer ? parseFloat(amountPaidByCustomer) : null,
-            mpesaReceiptNumber: mpesaReceiptNumber,
-            payerMsisdn: phoneNumberUsedForPayment,
-            billRefNumber: topupNumber,
-            carrier: initialRequestData.carrier,
-            mpesaRawCallback: callback,
-            status: finalTransactionStatus,
-            fulfillmentStatus: 'NOT_APPLICABLE',
-            mpesaResultCode: resultCode,
-            mpesaResultDesc: callback.Body.stkCallback.ResultDesc,
-            errorMessage: `M-Pesa payment failed: ${callback.Body.stkCallback.ResultDesc}`,
-            createdAt: initialRequestData.createdAt || now,
-            lastUpdated: now,
-            relatedSaleId: checkoutRequestID,
-            reconciliationNeeded: false,
-        }, { merge: true });
-        logger.info(`✅ [transactions] Record for ${checkoutRequestID} updated to: ${finalTransactionStatus}`);
+            t.set(bonusRulesDocRef, {
+                rules: rules,
+                lastUpdated: FieldValue.serverTimestamp(),
+                updatedBy: actor,
+            });
+            t.set(bonusHistoryCollection.doc(), {
+                type: 'RULES_UPDATED',
+                oldRules: oldRules,
+                newRules: rules,
+                timestamp: FieldValue.serverTimestamp(),
+                actor: actor,
+                actorUid: req.user.uid,
+            });
+        });
 
-        await errorsCollection.doc(`STK_PAYMENT_FAILED_${checkoutRequestID}`).set({
-            type: 'STK_PAYMENT_ERROR',
-            error: `STK Payment failed or was cancelled. ResultCode: ${resultCode}, ResultDesc: ${callback.Body.stkCallback.ResultDesc}`,
-            checkoutRequestID: checkoutRequestID,
-            callbackData: callback,
-            createdAt: now,
+        logger.info(`Airtime bonus rules replaced (${rules.length} rule(s)) by ${actor}.`);
+        res.json({ success: true, message: 'Bonus rules updated successfully.' });
+    } catch (error) {
+        logger.error('Error updating airtime bonus rules:', { message: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to update airtime bonus rules.' });
+    }
+});
+
+// GET the configured provider commission rates
+app.get('/api/commission-rates', requireRole('viewer'), async (req, res) => {
+    try {
+        const ratesDoc = await commissionRatesDocRef.get();
+        res.json({
+            rates: ratesDoc.exists ? (ratesDoc.data().rates || []) : [],
+            // What applies when no configured rate matches
+            providerDefaults: [...airtimeProviders.values()].map(provider => ({ provider: provider.name, percentage: (provider.commissionRate || 0) * 100, basis: 'PAID' })),
         });
+    } catch (error) {
+        logger.error('Error fetching commission rates:', { message: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to fetch commission rates.' });
+    }
+});
 
-        // Update the initial 'sales' request document to reflect the payment status
-        await initialSalesRequestDocRef.update({
-            mpesaPaymentStatus: finalTransactionStatus,
-            mpesaReceiptNumber: mpesaReceiptNumber,
-            mpesaTransactionDate: transactionDateFromMpesa,
-            mpesaPhoneNumberUsed: phoneNumberUsedForPayment,
-            mpesaAmountPaid: amountPaidByCustomer ? parseFloat(amountPaidByCustomer) : null,
-            fullStkCallback: callback,
-            lastUpdated: now,
-            // No fulfillment-related fields updated here as payment failed
+// PUT replaces the whole commission rate schedule
+app.put('/api/commission-rates', requireRole('finance'), async (req, res) => {
+    const rates = Array.isArray(req.body.rates)
+        ? req.body.rates.map(rate => ({
+            provider: rate.provider,
+            carrier: rate.carrier || '*',
+            percentage: rate.percentage,
+            basis: rate.basis || 'PAID',
+            effectiveFrom: rate.effectiveFrom,
+            effectiveTo: rate.effectiveTo ?? null,
+        }))
+        : req.body.rates;
+
+    const validationError = validateCommissionRates(rates);
+    if (validationError) {
+        logger.warn('Invalid commission rates received for update.', { validationError });
+        return res.status(400).json({ error: `Invalid commission rates. ${validationError}` });
+    }
+    const actor = getActor(req);
+
+    try {
+        await firestore.runTransaction(async t => {
+            const ratesSnap = await t.get(commissionRatesDocRef);
+            t.set(commissionRatesDocRef, {
+                rates: rates,
+                updatedBy: actor,
+                lastUpdated: FieldValue.serverTimestamp(),
+            });
+            t.set(commissionRatesDocRef.collection('history').doc(), {
+                oldRates: ratesSnap.exists ? (ratesSnap.data().rates || []) : [],
+                newRates: rates,
+                actor: actor,
+                actorUid: req.user.uid,
+                timestamp: FieldValue.serverTimestamp(),
+            });
         });
-        logger.info(`✅ [sales/initial_request] M-Pesa payment status for ${checkoutRequestID} updated to ${finalTransactionStatus}.`);
+
+        cachedCommissionRates = null; // Take effect immediately on this instance
+        logger.info(`Commission rates replaced (${rates.length} rate(s)) by ${actor}.`);
+        res.json({ success: true, message: 'Commission rates updated successfully.' });
+    } catch (error) {
+        logger.error('Error updating commission rates:', { message: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to update commission rates.' });
+    }
+});
+
+// --- BONUS CAMPAIGN API ENDPOINTS ---
+
+// Validates and normalizes a campaign request body. Returns { error } or { campaign }.
+function parseBonusCampaignInput(body) {
+    const { name, carriers, percentage, startAt, endAt } = body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+        return { error: 'Campaign name is required.' };
+    }
+    if (!Array.isArray(carriers) || carriers.length === 0 || !carriers.every(carrier => SUPPORTED_CARRIERS.includes(carrier))) {
+        return { error: `Carriers must be a non-empty list of: ${SUPPORTED_CARRIERS.join(', ')}.` };
+    }
+    if (typeof percentage !== 'number' || percentage < 0 || percentage > 100) {
+        return { error: 'Invalid bonus percentage. Must be a number between 0 and 100.' };
+    }
+    const start = new Date(startAt);
+    const end = new Date(endAt);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        return { error: 'startAt and endAt must be valid ISO dates.' };
+    }
+    if (start >= end) {
+        return { error: 'startAt must be before endAt.' };
+    }
+
+    return {
+        campaign: {
+            name: name.trim(),
+            carriers: [...new Set(carriers)],
+            percentage: percentage,
+            startAt: Timestamp.fromDate(start),
+            endAt: Timestamp.fromDate(end),
+        },
+    };
+}
+
+// Returns the first ACTIVE campaign that shares a carrier and overlaps in time with the given one (inside a transaction)
+async function findOverlappingBonusCampaign(t, campaign, excludeId = null) {
+    const snapshot = await t.get(
+        bonusCampaignsCollection
+            .where('status', '==', 'ACTIVE')
+            .where('endAt', '>', campaign.startAt)
+    );
+    return snapshot.docs.find(doc => {
+        const existing = doc.data();
+        return doc.id !== excludeId &&
+            existing.startAt.toMillis() < campaign.endAt.toMillis() &&
+            existing.carriers.some(carrier => campaign.carriers.includes(carrier));
+    }) || null;
+}
+
+// GET bonus campaigns (optionally only the ones active right now)
+app.get('/api/bonus-campaigns', requireRole('viewer'), async (req, res) => {
+    try {
+        if (req.query.active === 'true') {
+            const activeByCarrier = {};
+            for (const carrier of SUPPORTED_CARRIERS) {
+                activeByCarrier[carrier] = await resolveActiveBonusCampaign(carrier);
+            }
+            return res.json({ active: activeByCarrier });
+        }
+        const snapshot = await bonusCampaignsCollection.orderBy('startAt', 'desc').limit(100).get();
+        res.json({ campaigns: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })) });
+    } catch (error) {
+        logger.error('Error fetching bonus campaigns:', { message: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to fetch bonus campaigns.' });
+    }
+});
+
+// POST to create a bonus campaign
+app.post('/api/bonus-campaigns', requireRole('finance'), async (req, res) => {
+    const { error: validationError, campaign } = parseBonusCampaignInput(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    const actor = getActor(req);
+
+    try {
+        const result = await firestore.runTransaction(async t => {
+            const overlapping = await findOverlappingBonusCampaign(t, campaign);
+            if (overlapping) {
+                return { conflict: { id: overlapping.id, name: overlapping.data().name } };
+            }
+            const campaignRef = bonusCampaignsCollection.doc();
+            t.set(campaignRef, {
+                ...campaign,
+                status: 'ACTIVE',
+                createdBy: actor,
+                createdAt: FieldValue.serverTimestamp(),
+                lastUpdated: FieldValue.serverTimestamp(),
+            });
+            t.set(bonusHistoryCollection.doc(), {
+                type: 'CAMPAIGN_CREATED',
+                campaignId: campaignRef.id,
+                newCampaign: campaign,
+                timestamp: FieldValue.serverTimestamp(),
+                actor: actor,
+                actorUid: req.user.uid,
+            });
+            return { id: campaignRef.id };
+        });
+
+        if (result.conflict) {
+            return res.status(409).json({ error: `Campaign overlaps with "${result.conflict.name}" for at least one carrier.`, conflictingCampaignId: result.conflict.id });
+        }
+        logger.info(`Bonus campaign "${campaign.name}" (${result.id}) created by ${actor}.`);
+        res.status(201).json({ success: true, id: result.id });
+    } catch (error) {
+        logger.error('Error creating bonus campaign:', { message: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to create bonus campaign.' });
+    }
+});
+
+// PUT to update a bonus campaign
+app.put('/api/bonus-campaigns/:id', requireRole('finance'), async (req, res) => {
+    const { error: validationError, campaign } = parseBonusCampaignInput(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    const campaignRef = bonusCampaignsCollection.doc(req.params.id);
+    const actor = getActor(req);
+
+    try {
+        const result = await firestore.runTransaction(async t => {
+            const campaignSnap = await t.get(campaignRef);
+            if (!campaignSnap.exists) {
+                return { notFound: true };
+            }
+            if (campaignSnap.data().status !== 'ACTIVE') {
+                return { notEditable: campaignSnap.data().status };
+            }
+            const overlapping = await findOverlappingBonusCampaign(t, campaign, campaignRef.id);
+            if (overlapping) {
+                return { conflict: { id: overlapping.id, name: overlapping.data().name } };
+            }
+            t.update(campaignRef, {
+                ...campaign,
+                updatedBy: actor,
+                lastUpdated: FieldValue.serverTimestamp(),
+            });
+            const { name, carriers, percentage, startAt, endAt } = campaignSnap.data();
+            t.set(bonusHistoryCollection.doc(), {
+                type: 'CAMPAIGN_UPDATED',
+                campaignId: campaignRef.id,
+                oldCampaign: { name, carriers, percentage, startAt, endAt },
+                newCampaign: campaign,
+                timestamp: FieldValue.serverTimestamp(),
+                actor: actor,
+                actorUid: req.user.uid,
+            });
+            return { updated: true };
+        });
+
+        if (result.notFound) {
+            return res.status(404).json({ error: 'Bonus campaign not found.' });
+        }
+        if (result.notEditable) {
+            return res.status(409).json({ error: `Campaign cannot be edited in status ${result.notEditable}.` });
+        }
+        if (result.conflict) {
+            return res.status(409).json({ error: `Campaign overlaps with "${result.conflict.name}" for at least one carrier.`, conflictingCampaignId: result.conflict.id });
+        }
+        logger.info(`Bonus campaign ${req.params.id} updated by ${actor}.`);
+        res.json({ success: true, message: 'Bonus campaign updated successfully.' });
+    } catch (error) {
+        logger.error(`Error updating bonus campaign ${req.params.id}:`, { message: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to update bonus campaign.' });
+    }
+});
+
+// DELETE cancels a campaign (kept for the audit trail and for sales that reference it)
+app.delete('/api/bonus-campaigns/:id', requireRole('finance'), async (req, res) => {
+    const campaignRef = bonusCampaignsCollection.doc(req.params.id);
+    const actor = getActor(req);
+
+    try {
+        const result = await firestore.runTransaction(async t => {
+            const campaignSnap = await t.get(campaignRef);
+            if (!campaignSnap.exists) {
+                return { notFound: true };
+            }
+            if (campaignSnap.data().status === 'CANCELLED') {
+                return { alreadyCancelled: true };
+            }
+            t.update(campaignRef, {
+                status: 'CANCELLED',
+                cancelledBy: actor,
+                cancelledAt: FieldValue.serverTimestamp(),
+                lastUpdated: FieldValue.serverTimestamp(),
+            });
+            t.set(bonusHistoryCollection.doc(), {
+                type: 'CAMPAIGN_CANCELLED',
+                campaignId: campaignRef.id,
+                timestamp: FieldValue.serverTimestamp(),
+                actor: actor,
+                actorUid: req.user.uid,
+            });
+            return { cancelled: true };
+        });
+
+        if (result.notFound) {
+            return res.status(404).json({ error: 'Bonus campaign not found.' });
+        }
+        if (result.alreadyCancelled) {
+            return res.status(409).json({ error: 'Bonus campaign is already cancelled.' });
+        }
+        logger.info(`Bonus campaign ${req.params.id} cancelled by ${actor}.`);
+        res.json({ success: true, message: 'Bonus campaign cancelled.' });
+    } catch (error) {
+        logger.error(`Error cancelling bonus campaign ${req.params.id}:`, { message: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to cancel bonus campaign.' });
+    }
+});
+
+// --- AIRTIME PROVIDER & ROUTING ADMIN ENDPOINTS ---
+
+// GET registered providers with their current balances
+app.get('/api/airtime-providers', requireRole('viewer'), async (req, res) => {
+    const providers = [];
+    for (const provider of airtimeProviders.values()) {
+        let balance = null;
+        try {
+            balance = await provider.checkBalance();
+        } catch (error) {
+            logger.warn(`⚠️ Balance check failed for airtime provider ${provider.name}: ${error.message}`);
+            balance = { error: error.message };
+        }
+        providers.push({ name: provider.name, floatName: provider.floatName, commissionRate: provider.commissionRate, balance });
+    }
+    res.json({ providers });
+});
+
+// Rebuilds a float balance from its ledger and reports drift against the float doc and the provider's figure
+app.get('/api/floats/:floatName/reconciliation', requireRole('finance'), async (req, res) => {
+    const { floatName } = req.params;
+    if (!FLOAT_DOC_REFS[floatName]) {
+        return res.status(404).json({ error: `Unknown float: ${floatName}. Must be one of: ${Object.keys(FLOAT_DOC_REFS).join(', ')}.` });
+    }
+
+    try {
+        const ledgerQuery = floatLedgerCollection.where('floatName', '==', floatName);
+        const [ledgerTotals, correctionTotals, floatDoc] = await Promise.all([
+            ledgerQuery.aggregate({ balance: AggregateField.sum('amount'), entries: AggregateField.count() }).get(),
+            // Requires a composite index on float_ledger (floatName ASC, reason ASC)
+            ledgerQuery.where('reason', '==', 'PROVIDER_CORRECTION').aggregate({ total: AggregateField.sum('amount') }).get(),
+            FLOAT_DOC_REFS[floatName].get(),
+        ]);
+
+        const floatData = floatDoc.exists ? floatDoc.data() : {};
+        const ledgerBalance = parseFloat((ledgerTotals.data().balance || 0).toFixed(2));
+        const correctionsTotal = parseFloat((correctionTotals.data().total || 0).toFixed(2));
+        const storedBalance = floatDoc.exists ? parseFloat(floatData.balance) : null;
+
+        // Prefer a live figure from the provider; otherwise fall back to the last balance it reported to us
+        let providerReportedBalance = floatData.lastReportedBalance ?? null;
+        let providerReportedSource = providerReportedBalance != null ? 'LAST_REPORTED' : null;
+        const provider = [...airtimeProviders.values()].find(p => p.floatName === floatName);
+        if (provider) {
+            try {
+                const liveBalance = await provider.checkBalance();
+                if (liveBalance.source === 'PROVIDER' && liveBalance.balance != null) {
+                    providerReportedBalance = liveBalance.balance;
+                    providerReportedSource = 'PROVIDER';
+                }
+            } catch (error) {
+                logger.warn(`⚠️ Balance check failed for airtime provider ${provider.name}: ${error.message}`);
+            }
+        }
+
+        res.json({
+            floatName,
+            ledgerEntries: ledgerTotals.data().entries,
+            ledgerBalance, // Balance rebuilt from every ledger entry
+            storedBalance,
+            ledgerDrift: storedBalance != null ? parseFloat((storedBalance - ledgerBalance).toFixed(2)) : null, // Non-zero means the float doc was edited outside the ledger
+            providerCorrectionsTotal: correctionsTotal,
+            providerReportedBalance,
+            providerReportedSource,
+            providerDrift: providerReportedBalance != null ? parseFloat((providerReportedBalance - ledgerBalance).toFixed(2)) : null,
+            ledgerInitialized: Boolean(floatData.ledgerInitialized),
+        });
+    } catch (error) {
+        logger.error(`❌ Error reconciling ${floatName} float ledger:`, { message: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to reconcile float ledger.' });
+    }
+});
+
+// --- FLOAT MANAGEMENT ---
+const FLOAT_REFERENCE_PATTERN = /^[A-Za-z0-9._-]{1,100}$/;
+
+// GET current balances and the most recent ledger movements for each float
+app.get('/api/floats', requireRole('viewer'), async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit || '20', 10) || 20, 100);
+
+    try {
+        const floats = {};
+        for (const [floatName, floatDocRef] of Object.entries(FLOAT_DOC_REFS)) {
+            // Requires a composite index on float_ledger (floatName ASC, createdAt DESC)
+            const [floatDoc, movementsSnapshot] = await Promise.all([
+                floatDocRef.get(),
+                floatLedgerCollection.where('floatName', '==', floatName).orderBy('createdAt', 'desc').limit(limit).get(),
+            ]);
+            const floatData = floatDoc.exists ? floatDoc.data() : {};
+            floats[floatName] = {
+                balance: floatDoc.exists ? parseFloat(floatData.balance) : 0,
+                alertLevel: floatData.alertLevel || 'OK',
+                lastUpdated: floatData.lastUpdated ? floatData.lastUpdated.toDate().toISOString() : null,
+                recentMovements: movementsSnapshot.docs.map(doc => {
+                    const entry = doc.data();
+                    return { id: doc.id, ...entry, createdAt: entry.createdAt ? entry.createdAt.toDate().toISOString() : null };
+                }),
+            };
+        }
+        res.json({ floats });
+    } catch (error) {
+        logger.error('Error fetching float balances:', { message: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to fetch float balances.' });
+    }
+});
+
+// Records a finance-initiated float movement. reason is the ledger reason; note is the human explanation.
+async function recordManualFloatMovement(req, res, reason) {
+    const { floatName } = req.params;
+    const { amount, reference, note } = req.body;
+
+    if (!FLOAT_DOC_REFS[floatName]) {
+        return res.status(404).json({ error: `Unknown float: ${floatName}. Must be one of: ${Object.keys(FLOAT_DOC_REFS).join(', ')}.` });
+    }
+    if (typeof amount !== 'number' || !isFinite(amount) || amount === 0 || (reason === 'TOP_UP' && amount < 0)) {
+        return res.status(400).json({ error: reason === 'TOP_UP' ? 'amount must be a positive number.' : 'amount must be a non-zero number.' });
+    }
+    if (typeof reference !== 'string' || !FLOAT_REFERENCE_PATTERN.test(reference)) {
+        return res.status(400).json({ error: 'reference is required (letters, digits, ".", "_" or "-", up to 100 characters).' });
+    }
+    if (reason === 'MANUAL_ADJUSTMENT' && (typeof note !== 'string' || !note.trim())) {
+        return res.status(400).json({ error: 'note is required for manual adjustments.' });
+    }
+    const actor = getActor(req);
+
+    try {
+        const result = await updateCarrierFloatBalance(floatName, parseFloat(amount.toFixed(2)), {
+            reason: reason,
+            reference: reference,
+            note: typeof note === 'string' ? note.trim() : null,
+            actor: actor,
+            actorUid: req.user.uid,
+            entryId: `${floatName}_${reason}_${reference}`,
+        });
+        logger.info(`💰 ${reason} of ${amount} on ${floatName} (ref ${reference}) recorded by ${actor}. New balance: ${result.newBalance}`);
+        res.json({ success: true, floatName, newBalance: result.newBalance });
+    } catch (error) {
+        if (error.code === 6) { // ALREADY_EXISTS from the fixed ledger entry ID
+            return res.status(409).json({ error: `A ${reason} with reference ${reference} was already recorded on ${floatName}.` });
+        }
+        if (error.message.startsWith('Insufficient')) {
+            return res.status(400).json({ error: 'Adjustment would take the float below zero.' });
+        }
+        logger.error(`Error recording ${reason} on ${floatName}:`, { message: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to record float movement.' });
+    }
+}
+
+app.post('/api/floats/:floatName/top-ups', requireRole('finance'), (req, res) => recordManualFloatMovement(req, res, 'TOP_UP'));
+app.post('/api/floats/:floatName/adjustments', requireRole('finance'), (req, res) => recordManualFloatMovement(req, res, 'MANUAL_ADJUSTMENT'));
+
+// GET the effective low/critical thresholds per float, with each float's current alert level
+app.get('/api/float-alerts/thresholds', requireRole('viewer'), async (req, res) => {
+    try {
+        const thresholds = await getFloatThresholds();
+        const floats = {};
+        for (const floatName of Object.keys(FLOAT_DOC_REFS)) {
+            const balance = await getFloatDocBalance(floatName);
+            floats[floatName] = { balance, level: getFloatAlertLevel(balance, thresholds[floatName]), thresholds: thresholds[floatName] };
+        }
+        res.json({ floats, notifiers: floatAlertNotifiers.map(notifier => notifier.name) });
+    } catch (error) {
+        logger.error('Error fetching float alert thresholds:', { message: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to fetch float alert thresholds.' });
+    }
+});
+
+app.put('/api/float-alerts/thresholds', requireRole('admin'), async (req, res) => {
+    const { thresholds } = req.body;
+
+    if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+        return res.status(400).json({ error: 'thresholds must be an object keyed by float name.' });
+    }
+    for (const [floatName, levels] of Object.entries(thresholds)) {
+        if (!FLOAT_DOC_REFS[floatName]) {
+            return res.status(400).json({ error: `Unknown float: ${floatName}.` });
+        }
+        if (typeof levels?.low !== 'number' || typeof levels?.critical !== 'number' || levels.critical < 0 || levels.low < levels.critical) {
+            return res.status(400).json({ error: `Thresholds for ${floatName} need numeric low >= critical >= 0.` });
+        }
+    }
+    const actor = getActor(req);
+
+    try {
+        await firestore.runTransaction(async t => {
+            const settingsSnap = await t.get(floatAlertSettingsDocRef);
+            t.set(floatAlertSettingsDocRef, {
+                thresholds: thresholds,
+                updatedBy: actor,
+                lastUpdated: FieldValue.serverTimestamp(),
+            });
+            t.set(floatAlertSettingsDocRef.collection('history').doc(), {
+                oldThresholds: settingsSnap.exists ? settingsSnap.data().thresholds : {},
+                newThresholds: thresholds,
+                actor: actor,
+                actorUid: req.user.uid,
+                timestamp: FieldValue.serverTimestamp(),
+            });
+        });
+
+        cachedFloatThresholds = null; // Take effect immediately on this instance
+        logger.info(`Float alert thresholds updated by ${actor}.`, { thresholds });
+        res.json({ success: true, message: 'Float alert thresholds updated successfully.' });
+    } catch (error) {
+        logger.error('Error updating float alert thresholds:', { message: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to update float alert thresholds.' });
+    }
+});
+
+// GET the effective per-carrier routing
+app.get('/api/airtime-routing', requireRole('viewer'), async (req, res) => {
+    try {
+        const routingDoc = await airtimeRoutingDocRef.get();
+        res.json({
+            routes: routingDoc.exists ? routingDoc.data().routes : {},
+            effectiveRoutes: await getAirtimeRoutes(),
+            defaultRoutes: DEFAULT_AIRTIME_ROUTES,
+        });
+    } catch (error) {
+        logger.error('Error fetching airtime routing:', { message: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to fetch airtime routing.' });
+    }
+});
+
+// PUT to replace the per-carrier routing ({ routes: { Safaricom: ['SafaricomDealer', 'AfricasTalking'], ... } })
+app.put('/api/airtime-routing', requireRole('admin'), async (req, res) => {
+    const { routes } = req.body;
+
+    if (!routes || typeof routes !== 'object' || Array.isArray(routes)) {
+        return res.status(400).json({ error: 'routes must be an object keyed by carrier.' });
+    }
+    for (const [carrier, providerNames] of Object.entries(routes)) {
+        if (!SUPPORTED_CARRIERS.includes(carrier)) {
+            return res.status(400).json({ error: `Unsupported carrier: ${carrier}.` });
+        }
+        if (!Array.isArray(providerNames) || providerNames.length === 0) {
+            return res.status(400).json({ error: `Route for ${carrier} must be a non-empty list of providers.` });
+        }
+        const unknown = providerNames.filter(name => !airtimeProviders.has(name));
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Unknown provider(s) for ${carrier}: ${unknown.join(', ')}.` });
+        }
+        if (new Set(providerNames).size !== providerNames.length) {
+            return res.status(400).json({ error: `Route for ${carrier} lists the same provider twice.` });
+        }
+    }
+    const actor = getActor(req);
+
+    try {
+        await firestore.runTransaction(async t => {
+            const routingSnap = await t.get(airtimeRoutingDocRef);
+            t.set(airtimeRoutingDocRef, {
+                routes: routes,
+                updatedBy: actor,
+                lastUpdated: FieldValue.serverTimestamp(),
+            });
+            t.set(airtimeRoutingDocRef.collection('history').doc(), {
+                oldRoutes: routingSnap.exists ? routingSnap.data().routes : {},
+                newRoutes: routes,
+                actor: actor,
+                actorUid: req.user.uid,
+                timestamp: FieldValue.serverTimestamp(),
+            });
+        });
+
+        cachedAirtimeRoutes = null; // Take effect immediately on this instance
+        logger.info(`Airtime routing updated by ${actor}.`, { routes });
+        res.json({ success: true, message: 'Airtime routing updated successfully.' });
+    } catch (error) {
+        logger.error('Error updating airtime routing:', { message: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to update airtime routing.' });
+    }
+});
+
+// --- MARGIN REPORTING ---
+const REPORT_TIMEZONE = 'Africa/Nairobi';
+const REPORT_MAX_RANGE_DAYS = 92;
+const REPORT_PAGE_SIZE = 500;
+const MARGIN_METRICS = ['salesCount', 'revenue', 'airtimeDispatched', 'bonusGiven', 'commissionEarned', 'reversalsCount', 'reversalsAmount', 'pendingCount', 'netMargin'];
+const reportDayFormatter = new Intl.DateTimeFormat('en-CA', { timeZone: REPORT_TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit' });
+
+function emptyMarginBucket() {
+    return Object.fromEntries(MARGIN_METRICS.map(metric => [metric, 0]));
+}
+
+// Adds one sale to a bucket. Only COMPLETED and PARTIALLY_FULFILLED sales earn revenue; failed sales went down
+// the reversal path, as did the undelivered part of a partially fulfilled one.
+function addSaleToMarginBucket(bucket, sale) {
+    const paid = Number(sale.originalAmountPaid) || 0;
+    bucket.salesCount += 1;
+    if (['COMPLETED', 'PARTIALLY_FULFILLED'].includes(sale.status)) {
+        const commission = sale.commission?.credited ? sale.commission.amount : 0;
+        const dispatched = Number(sale.dispatchedAmount || sale.amount) || 0; // Sales recorded before dispatchedAmount
+        const refunded = Number(sale.refundAmount) || 0;
+        bucket.revenue += paid - refunded;
+        bucket.airtimeDispatched += dispatched;
+        bucket.bonusGiven += Math.max(dispatched - (paid - refunded), 0);
+        bucket.commissionEarned += commission;
+        // Airtime is bought from the float at face value, so margin is the commission less the bonus we gave away
+        bucket.netMargin += paid - refunded - dispatched + commission;
+        if (refunded > 0) {
+            bucket.reversalsCount += 1;
+            bucket.reversalsAmount += refunded;
+        }
+    } else if (String(sale.status).startsWith('FAILED_')) {
+        bucket.reversalsCount += 1;
+        bucket.reversalsAmount += paid;
+    } else {
+        bucket.pendingCount += 1;
     }
+}
 
-    res.json({ ResultCode: 0, ResultDesc: 'Callback received and payment status recorded by DaimaPay server.' });
-});
-*/
-// Modified STK Callback Endpoint
-app.post('/stk-callback', async (req, res) => {
-    const callback = req.body;
-    logger.info('📞 Received STK Callback:', JSON.stringify(callback, null, 2)); // Log full callback for debugging
+function roundMarginBucket(bucket) {
+    return Object.fromEntries(Object.entries(bucket).map(([metric, value]) => [metric, parseFloat(value.toFixed(2))]));
+}
 
-    // Safaricom sends an empty object on initial push confirmation before payment
-    if (!callback || !callback.Body || !callback.Body.stkCallback) {
-        logger.warn('Received an empty or malformed STK callback. Ignoring.');
-        // Always respond with ResultCode 0 to M-Pesa to acknowledge receipt and prevent retries.
-        return res.json({ ResultCode: 0, ResultDesc: 'Callback processed (ignored empty/malformed).' });
+/**
+ * Aggregates sales dispatched between two Nairobi calendar days (inclusive).
+ *
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {Promise<{ from, to, timezone, totals, byCarrier, byProvider, byDay }>}
+ */
+async function buildMarginReport(from, to) {
+    const start = Timestamp.fromDate(new Date(`${from}T00:00:00+03:00`));
+    const end = Timestamp.fromDate(new Date(new Date(`${to}T00:00:00+03:00`).getTime() + 24 * 60 * 60 * 1000));
+
+    const totals = emptyMarginBucket();
+    const byCarrier = {};
+    const byProvider = {};
+    const byDay = {};
+
+    // Page through the range so large weeks do not load every sale at once
+    let lastDoc = null;
+    while (true) {
+        let query = salesCollection
+            .where('dispatchAttemptedAt', '>=', start)
+            .where('dispatchAttemptedAt', '<', end)
+            .orderBy('dispatchAttemptedAt')
+            .limit(REPORT_PAGE_SIZE);
+        if (lastDoc) {
+            query = query.startAfter(lastDoc);
+        }
+        const snapshot = await query.get();
+        for (const doc of snapshot.docs) {
+            const sale = doc.data();
+            const day = reportDayFormatter.format(sale.dispatchAttemptedAt.toDate());
+            const carrier = sale.carrier || 'Unknown';
+            const provider = sale.airtimeProviderUsed || 'None';
+
+            addSaleToMarginBucket(totals, sale);
+            addSaleToMarginBucket(byCarrier[carrier] ||= emptyMarginBucket(), sale);
+            addSaleToMarginBucket(byProvider[provider] ||= emptyMarginBucket(), sale);
+            addSaleToMarginBucket(byDay[day] ||= emptyMarginBucket(), sale);
+        }
+        if (snapshot.size < REPORT_PAGE_SIZE) {
+            break;
+        }
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
     }
 
-    const { MerchantRequestID, CheckoutRequestID, ResultCode, ResultDesc, CallbackMetadata } = callback.Body.stkCallback;
+    const roundAll = (buckets) => Object.fromEntries(Object.entries(buckets).sort(([a], [b]) => a.localeCompare(b)).map(([key, bucket]) => [key, roundMarginBucket(bucket)]));
+    return {
+        from,
+        to,
+        timezone: REPORT_TIMEZONE,
+        totals: roundMarginBucket(totals),
+        byCarrier: roundAll(byCarrier),
+        byProvider: roundAll(byProvider),
+        byDay: roundAll(byDay),
+    };
+}
 
-    // Extracting relevant data from the callback
-    const amount = CallbackMetadata?.Item.find(item => item.Name === 'Amount')?.Value;
-    const mpesaReceiptNumber = CallbackMetadata?.Item.find(item => item.Name === 'MpesaReceiptNumber')?.Value;
-    const transactionDate = CallbackMetadata?.Item.find(item => item.Name === 'TransactionDate')?.Value;
-    const customerPhoneNumber = CallbackMetadata?.Item.find(item => item.Name === 'PhoneNumber')?.Value; // PartyA's phone
+function marginReportToCsv(report) {
+    const rows = [['dimension', 'key', ...MARGIN_METRICS].join(',')];
+    const addRow = (dimension, key, bucket) => rows.push([dimension, `"${String(key).replace(/"/g, '""')}"`, ...MARGIN_METRICS.map(metric => bucket[metric])].join(','));
 
-    // --- Retrieve the STK transaction record ---
-    // This is the *only* collection the STK server should read/update now.
-    const stkTransactionDocRef = stkTransactionsCollection.doc(CheckoutRequestID);
-    const stkTransactionDoc = await stkTransactionDocRef.get();
+    addRow('total', `${report.from}..${report.to}`, report.totals);
+    for (const [dimension, buckets] of [['carrier', report.byCarrier], ['provider', report.byProvider], ['day', report.byDay]]) {
+        for (const [key, bucket] of Object.entries(buckets)) {
+            addRow(dimension, key, bucket);
+        }
+    }
+    return rows.join('\n') + '\n';
+}
 
-    if (!stkTransactionDoc.exists) {
-        logger.error(`❌ No matching STK transaction record for CheckoutRequestID (${CheckoutRequestID}) found in 'stk_transactions' collection.`);
-        // Respond with success to M-Pesa to prevent retries of this unknown callback,
-        // but log for manual investigation.
-        return res.json({ ResultCode: 0, ResultDesc: 'No matching STK transaction record found.' });
+// GET revenue, bonus, commission, reversals and net margin for a date range: ?from=YYYY-MM-DD&to=YYYY-MM-DD&format=json|csv
+app.get('/api/reports/margins', requireRole('finance'), async (req, res) => {
+    const { from, to } = req.query;
+    const format = req.query.format || 'json';
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+    if (!datePattern.test(from || '') || !datePattern.test(to || '') || isNaN(Date.parse(from)) || isNaN(Date.parse(to))) {
+        return res.status(400).json({ error: 'from and to are required as YYYY-MM-DD.' });
+    }
+    const rangeDays = (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) + 1;
+    if (rangeDays < 1 || rangeDays > REPORT_MAX_RANGE_DAYS) {
+        return res.status(400).json({ error: `to must be on or after from, and the range at most ${REPORT_MAX_RANGE_DAYS} days.` });
+    }
+    if (!['json', 'csv'].includes(format)) {
+        return res.status(400).json({ error: 'format must be json or csv.' });
     }
 
-    const stkTransactionData = stkTransactionDoc.data();
-    // Get original recipient and carrier from the initial STK Push record
-    const originalRecipient = stkTransactionData.recipient;
-    const originalCarrier = stkTransactionData.carrier;
-    const originalAmountRequested = stkTransactionData.amount; // The amount initially requested for the push
+    try {
+        const report = await buildMarginReport(from, to);
+        if (format === 'csv') {
+            res.set('Content-Type', 'text/csv');
+            res.set('Content-Disposition', `attachment; filename="margins_${from}_${to}.csv"`);
+            return res.send(marginReportToCsv(report));
+        }
+        res.json(report);
+    } catch (error) {
+        logger.error('Error building margin report:', { message: error.message, stack: error.stack, from, to });
+        res.status(500).json({ error: 'Failed to build margin report.' });
+    }
+});
 
-    // Prepare common update data for stk_transactions
-    const commonStkUpdateData = {
-        mpesaResultCode: ResultCode,
-        mpesaResultDesc: ResultDesc,
-        mpesaCallbackMetadata: CallbackMetadata, // Store full metadata
-        customerPhoneNumber: customerPhoneNumber, // From M-Pesa callback (PartyA)
-        lastUpdated: FieldValue.serverTimestamp(),
-    };
+// --- SETTLEMENT RECONCILIATION (M-Pesa org-portal statement vs stk_Transactions) ---
+const STATEMENT_MAX_BYTES = '10mb';
+const STATEMENT_RECEIPT_LOOKUP_CHUNK = 30; // Firestore 'in' query limit
+const STATEMENT_RESPONSE_DISCREPANCY_LIMIT = 200;
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
 
-    // Check M-Pesa ResultCode for success
-    if (ResultCode === 0) {
-        logger.info(`✅ M-Pesa payment successful for ${CheckoutRequestID}. Updating 'stk_transactions' and notifying offline server.`);
+// "2024-05-01 10:15:32" or "01-05-2024 10:15:32" (both EAT) -> 20240501101532, the format of the STK TransactionDate
+function toMpesaTransactionDate(completionTime) {
+    const match = String(completionTime || '').trim().match(/^(\d{2}|\d{4})[-/](\d{2})[-/](\d{2}|\d{4})\s+(\d{2}):(\d{2})(?::(\d{2}))?/);
+    if (!match) return null;
+    const [, first, month, last, hours, minutes, seconds = '00'] = match;
+    const [year, day] = first.length === 4 ? [first, last] : [last, first];
+    return Number(`${year}${month}${day}${hours}${minutes}${seconds}`);
+}
 
-        const successfulStkUpdateData = {
-            ...commonStkUpdateData,
-            mpesaPaymentStatus: 'SUCCESSFUL',
-            mpesaReceiptNumber: mpesaReceiptNumber,
-            mpesaTransactionDate: transactionDate,
-            amountConfirmed: amount, // Amount from M-Pesa callback
-            stkPushStatus: 'MPESA_PAYMENT_SUCCESS', // Final STK transaction status on STK server
-        };
+function parseStatementAmount(value) {
+    const amount = parseFloat(String(value || '').replace(/,/g, ''));
+    return isNaN(amount) ? 0 : amount;
+}
 
-        try {
-            await stkTransactionDocRef.update(successfulStkUpdateData);
-            logger.info(`✅ STK transaction document ${CheckoutRequestID} updated with MPESA_PAYMENT_SUCCESS status.`);
+/**
+ * Extracts completed paid-in rows from a Safaricom org-portal statement CSV.
+ * The portal prefixes the column header row with account details, so the header is located by its "Receipt No." column.
+ *
+ * @param {string} csvText
+ * @returns {{ rows: Array<{ receipt: string, amount: number, transactionDate: number, completionTime: string, otherParty: string }>, skipped: number }}
+ */
+function parseMpesaStatement(csvText) {
+    const table = parseCsv(csvText);
+    const headerIndex = table.findIndex(row => row.some(cell => /^receipt no\.?$/i.test(cell.trim())));
+    if (headerIndex === -1) {
+        throw new Error('Statement has no "Receipt No." header row.');
+    }
+    const header = table[headerIndex].map(cell => cell.trim().toLowerCase());
+    const column = (name) => header.indexOf(name);
+    const columns = {
+        receipt: column('receipt no.') !== -1 ? column('receipt no.') : column('receipt no'),
+        completionTime: column('completion time'),
+        status: column('transaction status'),
+        paidIn: column('paid in'),
+        otherParty: column('other party info'),
+    };
+    const missing = Object.entries(columns).filter(([key, index]) => index === -1 && key !== 'otherParty').map(([key]) => key);
+    if (missing.length > 0) {
+        throw new Error(`Statement is missing column(s): ${missing.join(', ')}.`);
+    }
 
-            // --- NOTIFY OFFLINE SERVER FOR FULFILLMENT ---
-            // This payload MUST contain ALL data the offline server needs to create
-            // its 'sales' and 'transactions' documents from scratch.
-            const fulfillmentDetails = {
-                checkoutRequestID: CheckoutRequestID,
-                merchantRequestID: MerchantRequestID,
-                mpesaReceiptNumber: mpesaReceiptNumber,
-                amountPaid: amount, // The actual amount confirmed by M-Pesa
-                recipientNumber: originalRecipient, // Retrieved from stk_transactions
-                customerPhoneNumber: customerPhoneNumber, // From M-Pesa callback
-                carrier: originalCarrier, // Retrieved from stk_transactions
-                transactionDate: transactionDate, // From M-Pesa callback
-                originalAmountRequested: originalAmountRequested, // From stk_transactions
-                stkPushInitiationPayload: stkTransactionData.stkPushPayload, // Full payload sent to Daraja
-                stkPushCallbackData: callback.Body.stkCallback, // Full M-Pesa callback payload
-                // Add any other relevant initial data from stkTransactionData if the offline server needs it
-                // e.g., customerName: stkTransactionData.customerName,
-                // serviceType: stkTransactionData.serviceType,
-            };
+    const rows = [];
+    let skipped = 0;
+    for (const cells of table.slice(headerIndex + 1)) {
+        const receipt = (cells[columns.receipt] || '').trim();
+        if (!receipt) continue;
+        const amount = parseStatementAmount(cells[columns.paidIn]);
+        // Withdrawals, reversals and failed rows are not customer payments
+        if (amount <= 0 || !/^completed$/i.test((cells[columns.status] || '').trim())) {
+            skipped += 1;
+            continue;
+        }
+        rows.push({
+            receipt,
+            amount,
+            transactionDate: toMpesaTransactionDate(cells[columns.completionTime]),
+            completionTime: (cells[columns.completionTime] || '').trim(),
+            otherParty: columns.otherParty !== -1 ? (cells[columns.otherParty] || '').trim() : null,
+        });
+    }
+    return { rows, skipped };
+}
 
-            const notificationResult = await notifyOfflineServerForFulfillment(fulfillmentDetails);
+/**
+ * Matches statement rows to successful stk_Transactions by receipt number and amount.
+ *
+ * @returns {Promise<{ matched: number, discrepancies: Array<object>, period: { from: number, to: number } }>}
+ */
+async function reconcileStatementRows(rows) {
+    const discrepancies = [];
+    const datedRows = rows.filter(row => row.transactionDate);
+    // reduce rather than spreading into Math.min/max, which overflows the call stack on large statements
+    const period = datedRows.reduce((range, row) => ({
+        from: Math.min(range.from, row.transactionDate),
+        to: Math.max(range.to, row.transactionDate),
+    }), { from: Infinity, to: -Infinity });
+
+    // Look up every statement receipt, wherever its transaction date falls
+    const recordedByReceipt = new Map();
+    const receipts = [...new Set(rows.map(row => row.receipt))];
+    for (let i = 0; i < receipts.length; i += STATEMENT_RECEIPT_LOOKUP_CHUNK) {
+        const snapshot = await stkTransactionsCollection
+            .where('mpesaReceiptNumber', 'in', receipts.slice(i, i + STATEMENT_RECEIPT_LOOKUP_CHUNK))
+            .get();
+        snapshot.docs.forEach(doc => recordedByReceipt.set(doc.data().mpesaReceiptNumber, doc));
+    }
 
-            if (notificationResult.success) {
-                logger.info(`✅ Offline server successfully notified for fulfillment of ${CheckoutRequestID}.`);
-                // Update stk_transactions with notification status
-                await stkTransactionDocRef.update({
-                    offlineNotificationStatus: 'SUCCESS',
-                    lastUpdated: FieldValue.serverTimestamp(),
-                });
-            } else {
-                logger.error(`❌ Failed to notify offline server for ${CheckoutRequestID}. Manual intervention might be needed for fulfillment.`);
-                // Update stk_transactions with notification failure status
-                await stkTransactionDocRef.update({
-                    offlineNotificationStatus: 'FAILED',
-                    offlineNotificationError: notificationResult.message,
-                    lastUpdated: FieldValue.serverTimestamp(),
+    let matched = 0;
+    for (const row of rows) {
+        const recordedDoc = recordedByReceipt.get(row.receipt);
+        if (!recordedDoc) {
+            discrepancies.push({ type: 'PAID_NOT_RECORDED', receipt: row.receipt, statementAmount: row.amount, completionTime: row.completionTime, otherParty: row.otherParty });
+            continue;
+        }
+        const recorded = recordedDoc.data();
+        const recordedAmount = Number(recorded.amountConfirmed ?? recorded.amount);
+        if (Math.abs(recordedAmount - row.amount) >= 0.01) {
+            discrepancies.push({ type: 'AMOUNT_MISMATCH', receipt: row.receipt, checkoutRequestID: recordedDoc.id, statementAmount: row.amount, recordedAmount, completionTime: row.completionTime });
+            continue;
+        }
+        matched += 1;
+    }
+
+    // Everything we recorded as paid inside the statement period must appear on it.
+    // Requires a composite index on stk_Transactions (stkPushStatus ASC, mpesaTransactionDate ASC)
+    if (datedRows.length > 0) {
+        const statementReceipts = new Set(receipts);
+        const recordedSnapshot = await stkTransactionsCollection
+            .where('stkPushStatus', '==', 'MPESA_PAYMENT_SUCCESS')
+            .where('mpesaTransactionDate', '>=', period.from)
+            .where('mpesaTransactionDate', '<=', period.to)
+            .get();
+        for (const doc of recordedSnapshot.docs) {
+            const recorded = doc.data();
+            if (!statementReceipts.has(recorded.mpesaReceiptNumber)) {
+                discrepancies.push({
+                    type: 'RECORDED_NOT_PAID',
+                    receipt: recorded.mpesaReceiptNumber || null,
+                    checkoutRequestID: doc.id,
+                    recordedAmount: Number(recorded.amountConfirmed ?? recorded.amount),
+                    transactionDate: recorded.mpesaTransactionDate,
                 });
             }
+        }
+    }
 
-            // Always respond to M-Pesa with ResultCode 0 to acknowledge receipt of the callback.
-            return res.json({ ResultCode: 0, ResultDesc: 'Callback received and processing for external fulfillment initiated.' });
+    return { matched, discrepancies, period: datedRows.length > 0 ? period : null };
+}
 
-        } catch (updateError) {
-            logger.error(`❌ Error updating 'stk_transactions' or notifying offline server for ${CheckoutRequestID}:`, { message: updateError.message, stack: updateError.stack });
-            await errorsCollection.add({
-                type: 'STK_CALLBACK_UPDATE_OR_NOTIFICATION_ERROR',
-                checkoutRequestID: CheckoutRequestID,
-                error: updateError.message,
-                stack: updateError.stack,
-                callbackData: callback,
-                createdAt: FieldValue.serverTimestamp(),
-            });
-            // Still respond success to M-Pesa to prevent retries (you'll handle the error internally)
-            return res.json({ ResultCode: 0, ResultDesc: 'Callback processed with internal error during update/notification.' });
-        }
+// POST a statement CSV (Content-Type: text/csv), optionally with ?fileName=
+app.post('/api/reconciliation/statements', requireRole('finance'), bodyParser.text({ type: 'text/csv', limit: STATEMENT_MAX_BYTES }), async (req, res) => {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+        return res.status(400).json({ error: 'Send the statement as the request body with Content-Type: text/csv.' });
+    }
+    const actor = getActor(req);
 
-    } else {
-        // M-Pesa payment failed or was cancelled by user
-        logger.warn(`⚠️ M-Pesa payment failed or cancelled for ${CheckoutRequestID}. ResultCode: ${ResultCode}, ResultDesc: ${ResultDesc}`);
+    let statement;
+    try {
+        statement = parseMpesaStatement(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: `Could not read statement: ${error.message}` });
+    }
+    if (statement.rows.length === 0) {
+        return res.status(400).json({ error: 'Statement has no completed paid-in rows.' });
+    }
 
-        const failedStkUpdateData = {
-            ...commonStkUpdateData,
-            mpesaPaymentStatus: 'FAILED_OR_CANCELLED',
-            stkPushStatus: 'MPESA_PAYMENT_FAILED', // Final STK transaction status on STK server
+    try {
+        const { matched, discrepancies, period } = await reconcileStatementRows(statement.rows);
+        const counts = discrepancies.reduce((acc, item) => ({ ...acc, [item.type]: (acc[item.type] || 0) + 1 }), {});
+        const summary = {
+            statementRows: statement.rows.length,
+            skippedRows: statement.skipped,
+            matched,
+            paidNotRecorded: counts.PAID_NOT_RECORDED || 0,
+            recordedNotPaid: counts.RECORDED_NOT_PAID || 0,
+            amountMismatches: counts.AMOUNT_MISMATCH || 0,
+            statementTotal: parseFloat(statement.rows.reduce((sum, row) => sum + row.amount, 0).toFixed(2)),
         };
 
-        try {
-            // Update only the stk_transactions document for failed/cancelled payments
-            await stkTransactionDocRef.update(failedStkUpdateData);
-            logger.info(`✅ STK transaction document updated for failed/cancelled payment for ${CheckoutRequestID}.`);
-        } catch (error) {
-            logger.error(`❌ Error updating 'stk_transactions' for failed/cancelled STK payment ${CheckoutRequestID}:`, { message: error.message, stack: error.stack });
-            await errorsCollection.add({
-                type: 'STK_CALLBACK_FAILED_PAYMENT_UPDATE_ERROR',
-                checkoutRequestID: CheckoutRequestID,
-                error: error.message,
-                stack: error.stack,
-                callbackData: callback,
+        const reportRef = settlementReconciliationsCollection.doc();
+        await reportRef.set({
+            fileName: req.query.fileName || null,
+            period,
+            summary,
+            status: discrepancies.length === 0 ? 'BALANCED' : 'DISCREPANCIES_FOUND',
+            importedBy: actor,
+            importedByUid: req.user.uid,
+            createdAt: FieldValue.serverTimestamp(),
+        });
+        // One document per discrepancy so finance can work through and annotate them
+        for (let i = 0; i < discrepancies.length; i += 400) {
+            const batch = firestore.batch();
+            discrepancies.slice(i, i + 400).forEach(item => batch.set(reportRef.collection('discrepancies').doc(), {
+                ...item,
+                resolved: false,
                 createdAt: FieldValue.serverTimestamp(),
-            });
+            }));
+            await batch.commit();
         }
-        // Always respond with ResultCode 0 to M-Pesa even for failed payments, to acknowledge receipt of the callback.
-        return res.json({ ResultCode: 0, ResultDesc: 'Payment failed/cancelled. Callback processed.' });
+
+        logger.info(`🧾 Statement reconciliation ${reportRef.id} by ${actor}: ${summary.matched} matched, ${discrepancies.length} discrepancies.`);
+        res.json({
+            success: true,
+            reportId: reportRef.id,
+            period,
+            summary,
+            discrepancies: discrepancies.slice(0, STATEMENT_RESPONSE_DISCREPANCY_LIMIT),
+            discrepanciesTruncated: discrepancies.length > STATEMENT_RESPONSE_DISCREPANCY_LIMIT,
+        });
+    } catch (error) {
+        logger.error('Error reconciling M-Pesa statement:', { message: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to reconcile statement.' });
     }
 });
-// Daraja Reversal Result Endpoint
-app.post('/daraja-reversal-result', async (req, res) => {
+
+// GET recent statement reconciliation reports
+app.get('/api/reconciliation/statements', requireRole('viewer'), async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit || '20', 10) || 20, 100);
     try {
-        const result = req.body?.Result;
-        logger.info('📞 Received Daraja Reversal Result Callback:', result);
+        const snapshot = await settlementReconciliationsCollection.orderBy('createdAt', 'desc').limit(limit).get();
+        res.json({
+            reports: snapshot.docs.map(doc => {
+                const data = doc.data();
+                return { id: doc.id, ...data, createdAt: data.createdAt ? data.createdAt.toDate().toISOString() : null };
+            }),
+        });
+    } catch (error) {
+        logger.error('Error fetching statement reconciliations:', { message: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to fetch statement reconciliations.' });
+    }
+});
+
+// GET one report with its discrepancies
+app.get('/api/reconciliation/statements/:id', requireRole('viewer'), async (req, res) => {
+    try {
+        const reportRef = settlementReconciliationsCollection.doc(req.params.id);
+        const [reportDoc, discrepanciesSnapshot] = await Promise.all([reportRef.get(), reportRef.collection('discrepancies').get()]);
+        if (!reportDoc.exists) {
+            return res.status(404).json({ error: 'Reconciliation report not found.' });
+        }
+        const data = reportDoc.data();
+        res.json({
+            id: reportDoc.id,
+            ...data,
+            createdAt: data.createdAt ? data.createdAt.toDate().toISOString() : null,
+            discrepancies: discrepanciesSnapshot.docs.map(doc => {
+                const item = doc.data();
+                return { id: doc.id, ...item, createdAt: item.createdAt ? item.createdAt.toDate().toISOString() : null };
+            }),
+        });
+    } catch (error) {
+        logger.error(`Error fetching statement reconciliation ${req.params.id}:`, { message: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to fetch statement reconciliation.' });
+    }
+});
+
+// --- OFFLINE NOTIFICATION QUEUE ADMIN ENDPOINTS ---
+const OFFLINE_NOTIFICATION_STATUSES = ['PENDING', 'PROCESSING', 'DELIVERED', 'DEAD_LETTER', 'CANCELLED'];
 
-        const resultCode = result?.ResultCode;
-        const resultDesc = result?.ResultDesc;
-        const reversalTransactionId = result?.TransactionID;
+// GET queued notifications (optionally filtered by status)
+app.get('/api/offline-notifications', requireRole('viewer'), async (req, res) => {
+    const { status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 200);
 
-        const params = result?.ResultParameters?.ResultParameter || [];
+    if (status && !OFFLINE_NOTIFICATION_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Invalid status. Must be one of: ${OFFLINE_NOTIFICATION_STATUSES.join(', ')}.` });
+    }
 
-        // Extract parameters safely
-        const extractParam = (key) => params.find(p => p.Key === key)?.Value;
+    try {
+        let query = offlineNotificationQueueCollection;
+        if (status) {
+            query = query.where('status', '==', status);
+        }
+        const snapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+        res.json({ items: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })) });
+    } catch (error) {
+        logger.error('Error listing offline notification queue:', { message: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to list offline notification queue.' });
+    }
+});
 
-        const originalTransactionId = extractParam('OriginalTransactionID');
-        const amount = extractParam('Amount');
-        const creditParty = extractParam('CreditPartyPublicName');
-        const debitParty = extractParam('DebitPartyPublicName');
+// POST to retry a queued (or dead-lettered) notification immediately
+app.post('/api/offline-notifications/:id/retry', requireRole('admin'), async (req, res) => {
+    const queueDocRef = offlineNotificationQueueCollection.doc(req.params.id);
 
-        if (!originalTransactionId) {
-            logger.error("❌ Missing OriginalTransactionID in reversal callback", { rawCallback: req.body });
-            return res.status(400).json({ ResultCode: 0, ResultDesc: "Missing OriginalTransactionID. Logged for manual review." });
+    try {
+        const queueDoc = await queueDocRef.get();
+        if (!queueDoc.exists) {
+            return res.status(404).json({ error: 'Queued notification not found.' });
         }
 
-        const transactionRef = transactionsCollection.doc(originalTransactionId);
-        const transactionDoc = await transactionRef.get();
+        // A manual retry of a dead-lettered item gets a fresh set of attempts
+        if (queueDoc.data().status === 'DEAD_LETTER') {
+            await queueDocRef.update({ attempts: 0, lastUpdated: FieldValue.serverTimestamp() });
+        }
 
-        if (!transactionDoc.exists) {
-            logger.warn(`⚠️ Reversal result received for unknown OriginalTransactionID: ${originalTransactionId}`);
-            return res.json({ ResultCode: 0, ResultDesc: "Acknowledged - Unknown transaction." });
+        const result = await deliverQueuedOfflineNotification(queueDocRef, { allowedStatuses: ['PENDING', 'DEAD_LETTER'] });
+        if (result.skipped) {
+            return res.status(409).json({ error: `Notification cannot be retried in status ${queueDoc.data().status}.` });
         }
+        logger.info(`Manual retry of offline notification ${req.params.id} by ${getActor(req)} finished with status ${result.status}.`);
+        res.json({ success: result.delivered, ...result });
+    } catch (error) {
+        logger.error(`Error retrying offline notification ${req.params.id}:`, { message: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to retry offline notification.' });
+    }
+});
 
-        if (resultCode === 0) {
-            logger.info(`✅ Reversal for TransID ${originalTransactionId} COMPLETED successfully.`);
-            await transactionRef.update({
-                status: 'REVERSED_SUCCESSFULLY',
-                reversalConfirmationDetails: result,
-                lastUpdated: FieldValue.serverTimestamp(),
-            });
-            await reconciledTransactionsCollection.doc(originalTransactionId).update({
-                status: 'REVERSAL_CONFIRMED',
-                reversalConfirmationDetails: result,
+// POST to cancel a queued notification (e.g. already fulfilled by hand)
+app.post('/api/offline-notifications/:id/cancel', requireRole('admin'), async (req, res) => {
+    const queueDocRef = offlineNotificationQueueCollection.doc(req.params.id);
+    const { reason } = req.body;
+
+    try {
+        const cancelled = await firestore.runTransaction(async t => {
+            const queueSnap = await t.get(queueDocRef);
+            if (!queueSnap.exists) {
+                return { notFound: true };
+            }
+            if (!['PENDING', 'DEAD_LETTER'].includes(queueSnap.data().status)) {
+                return { status: queueSnap.data().status };
+            }
+            t.update(queueDocRef, {
+                status: 'CANCELLED',
+                cancelReason: reason || null,
+                cancelledBy: getActor(req),
+                cancelledAt: FieldValue.serverTimestamp(),
                 lastUpdated: FieldValue.serverTimestamp(),
             });
-        } else {
-            logger.error(`❌ Reversal for TransID ${originalTransactionId} FAILED: ${resultDesc}`);
-            await transactionRef.update({
-                status: 'REVERSAL_FAILED_CONFIRMATION',
-                reversalConfirmationDetails: result,
-                errorMessage: `Reversal failed: ${resultDesc}`,
+            t.update(stkTransactionsCollection.doc(queueSnap.data().checkoutRequestID), {
+                offlineNotificationStatus: 'CANCELLED',
                 lastUpdated: FieldValue.serverTimestamp(),
             });
-            await failedReconciliationsCollection.doc(originalTransactionId).set({
-                transactionId: originalTransactionId,
-                reversalConfirmationDetails: result,
-                reason: resultDesc,
-                createdAt: FieldValue.serverTimestamp(),
-            }, { merge: true });
-        }
-
-        res.json({ ResultCode: 0, ResultDesc: "Reversal result processed successfully." });
+            return { cancelled: true };
+        });
 
+        if (cancelled.notFound) {
+            return res.status(404).json({ error: 'Queued notification not found.' });
+        }
+        if (!cancelled.cancelled) {
+            return res.status(409).json({ error: `Notification cannot be cancelled in status ${cancelled.status}.` });
+        }
+        logger.info(`Offline notification ${req.params.id} cancelled by ${getActor(req)}. Reason: ${reason || 'N/A'}`);
+        res.json({ success: true, message: 'Queued notification cancelled.' });
     } catch (error) {
-        logger.error("❌ Error processing Daraja reversal callback", {
-            message: error.message,
-            stack: error.stack,
-            rawBody: req.body,
-        });
-        res.status(500).json({ ResultCode: 0, ResultDesc: "Server error during reversal processing." });
+        logger.error(`Error cancelling offline notification ${req.params.id}:`, { message: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to cancel offline notification.' });
     }
 });
 
+// --- REVERSAL ADMIN ENDPOINTS ---
+const REVERSAL_STATUSES = Object.keys(REVERSAL_TRANSITIONS);
+
+function serializeReversal(doc) {
+    const data = doc.data();
+    const toIso = (value) => (value && typeof value.toDate === 'function' ? value.toDate().toISOString() : value ?? null);
+    return {
+        id: doc.id,
+        ...data,
+        requestedAt: toIso(data.requestedAt),
+        initiatedAt: toIso(data.initiatedAt),
+        nextRetryAt: toIso(data.nextRetryAt),
+        lastUpdated: toIso(data.lastUpdated),
+    };
+}
 
-// --- Daraja Reversal Queue Timeout Endpoint ---
-app.post('/daraja-reversal-timeout', async (req, res) => {
-    const timeoutData = req.body;
-    const now = new Date();
-    const { OriginatorConversationID, ConversationID, ResultCode, ResultDesc } = timeoutData;
-
-    logger.warn('⚠️ Received Daraja Reversal Queue Timeout Callback:', {
-        OriginatorConversationID: OriginatorConversationID,
-        ConversationID: ConversationID,
-        ResultCode: ResultCode,
-        ResultDesc: ResultDesc,
-        fullCallback: timeoutData
-    });
+// GET reversals, optionally filtered by status or retryStatus
+app.get('/api/reversals', requireRole('viewer'), async (req, res) => {
+    const { status, retryStatus, transactionId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 200);
+
+    if (status && !REVERSAL_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Invalid status. Must be one of: ${REVERSAL_STATUSES.join(', ')}.` });
+    }
 
     try {
-        let transactionIdToUpdate = OriginatorConversationID;
+        let query = reversalsCollection;
+        if (status) query = query.where('status', '==', status);
+        if (retryStatus) query = query.where('retryStatus', '==', retryStatus);
+        if (transactionId) query = query.where('transactionId', '==', transactionId);
+        // Filtered listings require composite indexes on reversals (<filter field> ASC, lastUpdated DESC)
+        const snapshot = await query.orderBy('lastUpdated', 'desc').limit(limit).get();
+        res.json({ reversals: snapshot.docs.map(serializeReversal) });
+    } catch (error) {
+        logger.error('Error fetching reversals:', { message: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to fetch reversals.' });
+    }
+});
 
-        const originalTransactionRef = transactionsCollection.doc(transactionIdToUpdate);
-        const originalTransactionDoc = await originalTransactionRef.get();
+// POST to approve a reversal waiting for approval; sends it to Daraja straight away
+app.post('/api/reversals/:id/approve', requireRole('finance'), async (req, res) => {
+    const approvalRef = reversalsCollection.doc(req.params.id);
+    const actor = getActor(req);
 
-        if (originalTransactionDoc.exists) {
-            logger.info(`Updating transaction ${transactionIdToUpdate} with reversal timeout status.`);
-            await originalTransactionRef.update({
-                status: 'REVERSAL_TIMED_OUT', // New status for timed-out reversals
-                reversalTimeoutDetails: timeoutData,
-                lastUpdated: FieldValue.serverTimestamp(),
+    try {
+        const { applied, previousStatus, reversal } = await transitionReversal(approvalRef, 'APPROVED', { actor }, {
+            approvedBy: actor,
+            approvedByUid: req.user.uid,
+        });
+        if (!reversal) {
+            return res.status(404).json({ error: 'Reversal not found.' });
+        }
+        if (!applied) {
+            return res.status(409).json({ error: `Reversal cannot be approved in status ${previousStatus}.` });
+        }
+
+        const now = FieldValue.serverTimestamp();
+        const reversalResult = await initiateRefund(reversal.transactionId, reversal.amount, reversal.receiverMsisdn, {
+            approvalId: approvalRef.id,
+            scope: reversal.scope,
+            actor,
+        });
+        if (!reversalResult.success) {
+            await approvalRef.update({ initiationError: reversalResult.message, lastUpdated: now });
+            // Lets an admin re-trigger the approved refund through POST /api/transactions/:transactionId/reversal
+            await failedReconciliationsCollection.doc(reversal.transactionId).set({
+                transactionId: reversal.transactionId,
+                amount: reversal.amount,
+                scope: reversal.scope || 'FULL',
+                mpesaNumber: reversal.receiverMsisdn,
+                approvalId: approvalRef.id,
+                reversalAttemptedAt: now,
+                reversalFailureDetails: reversalResult.error || reversalResult.data || null,
+                reason: reversalResult.message,
+                createdAt: now,
+            }, { merge: true });
+            await transactionsCollection.doc(reversal.transactionId).update({
+                status: 'REVERSAL_INITIATION_FAILED',
+                reversalDetails: reversalResult.error || reversalResult.data || null,
+                errorMessage: `Reversal initiation failed after approval: ${reversalResult.message}`,
+                lastUpdated: now,
             });
-        } else {
-            logger.warn(`⚠️ Reversal Timeout received for unknown or unlinked TransID/OriginatorConversationID: ${transactionIdToUpdate}`);
+            logger.error(`❌ Approved reversal ${approvalRef.id} was not accepted by Daraja: ${reversalResult.message}`);
+            return res.status(502).json({ error: `Approved, but Daraja did not accept the reversal: ${reversalResult.message}` });
         }
 
-        // Always record the timeout in a dedicated collection for auditing/manual review
-        await reversalTimeoutsCollection.add({
-            transactionId: transactionIdToUpdate, // The ID you're tracking internally
-            originatorConversationId: OriginatorConversationID,
-            conversationId: ConversationID,
-            resultCode: ResultCode,
-            resultDesc: ResultDesc,
-            fullCallbackData: timeoutData,
-            createdAt: FieldValue.serverTimestamp(),
+        await approvalRef.update({ initiatedAs: reversalResult.originatorConversationId, lastUpdated: now });
+        await reconciledTransactionsCollection.doc(reversal.transactionId).set({
+            transactionId: reversal.transactionId,
+            amount: reversal.amount,
+            mpesaNumber: reversal.receiverMsisdn,
+            reversalInitiatedAt: now,
+            reversalRequestDetails: reversalResult.data,
+            reversalId: reversalResult.originatorConversationId,
+            refundMethod: reversalResult.method,
+            status: 'REVERSAL_INITIATED',
+            createdAt: now,
+        }, { merge: true });
+        await transactionsCollection.doc(reversal.transactionId).update({
+            status: 'REVERSAL_PENDING_CONFIRMATION',
+            reversalDetails: reversalResult.data,
+            lastUpdated: now,
         });
+        logger.info(`✅ Reversal ${approvalRef.id} for TransID ${reversal.transactionId} approved by ${actor} and sent.`);
+        res.json({ success: true, reversalId: reversalResult.originatorConversationId });
+    } catch (error) {
+        logger.error(`Error approving reversal ${req.params.id}:`, { message: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to approve reversal.' });
+    }
+});
 
-        logger.info(`✅ Daraja Reversal Queue Timeout processed for ${transactionIdToUpdate}.`);
-        res.json({ "ResultCode": 0, "ResultDesc": "Daraja Reversal Queue Timeout Received and Processed." });
+// POST to reject a reversal waiting for approval (the customer is not refunded)
+app.post('/api/reversals/:id/reject', requireRole('finance'), async (req, res) => {
+    const { reason } = req.body;
+    if (typeof reason !== 'string' || !reason.trim()) {
+        return res.status(400).json({ error: 'reason is required.' });
+    }
+    const approvalRef = reversalsCollection.doc(req.params.id);
+    const actor = getActor(req);
 
-    } catch (error) {
-        logger.error(`❌ CRITICAL ERROR processing Daraja Reversal Queue Timeout for ${OriginatorConversationID || 'N/A'}:`, {
-            message: error.message,
-            stack: error.stack,
-            timeoutData: timeoutData
+    try {
+        const { applied, previousStatus, reversal } = await transitionReversal(approvalRef, 'REJECTED', { actor, reason }, {
+            rejectedBy: actor,
+            rejectedByUid: req.user.uid,
+            rejectionReason: reason.trim(),
         });
-        // Still send a success response to Daraja to avoid repeated callbacks
-        res.json({ "ResultCode": 0, "ResultDesc": "Internal server error during Queue Timeout processing." });
+        if (!reversal) {
+            return res.status(404).json({ error: 'Reversal not found.' });
+        }
+        if (!applied) {
+            return res.status(409).json({ error: `Reversal cannot be rejected in status ${previousStatus}.` });
+        }
+        await transactionsCollection.doc(reversal.transactionId).update({
+            status: 'REVERSAL_REJECTED',
+            errorMessage: `Reversal rejected by ${actor}: ${reason.trim()}`,
+            lastUpdated: FieldValue.serverTimestamp(),
+        });
+        logger.warn(`🚫 Reversal ${approvalRef.id} for TransID ${reversal.transactionId} rejected by ${actor}: ${reason.trim()}`);
+        res.json({ success: true });
+    } catch (error) {
+        logger.error(`Error rejecting reversal ${req.params.id}:`, { message: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to reject reversal.' });
     }
 });
-        
-// --- NEW AIRTIME BONUS API ENDPOINTS ---
-const CURRENT_BONUS_DOC_PATH = 'airtime_bonuses/current_settings'; // Document path for current settings
-// BONUS_HISTORY_COLLECTION is already defined at the top as a const
 
-// GET current bonus percentages
-app.get('/api/airtime-bonuses/current', async (req, res) => {
+// POST to re-send a timed-out or failed reversal now, including one that has used up its automatic retries
+app.post('/api/reversals/:id/retry', requireRole('admin'), async (req, res) => {
+    const actor = getActor(req);
     try {
-        const docRef = firestore.collection('airtime_bonuses').doc('current_settings');
-        const docSnap = await docRef.get();
-
-        if (docSnap.exists) {
-            res.json(docSnap.data());
-        } else {
-            // If document doesn't exist, initialize it with default values
-            logger.info('Initializing airtime_bonuses/current_settings with default values.');
-            await docRef.set({ safaricomPercentage: 0, africastalkingPercentage: 0, lastUpdated: FieldValue.serverTimestamp() });
-            res.json({ safaricomPercentage: 0, africastalkingPercentage: 0 });
+        const retryResult = await retryReversal(reversalsCollection.doc(req.params.id), actor);
+        if (!retryResult.success && ['NOT_RETRYABLE', 'SUPERSEDED', 'AWAITING_STATUS', 'MANUAL_REVIEW'].includes(retryResult.status)) {
+            return res.status(409).json({ error: retryResult.message });
         }
+        logger.info(`Manual retry of reversal ${req.params.id} by ${actor} finished with status ${retryResult.status}.`);
+        res.status(retryResult.success ? 200 : 502).json(retryResult);
     } catch (error) {
-        logger.error('Error fetching current airtime bonuses:', { message: error.message, stack: error.stack });
-        res.status(500).json({ error: 'Failed to fetch current airtime bonuses.' });
+        logger.error(`Error retrying reversal ${req.params.id}:`, { message: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to retry reversal.' });
     }
 });
 
-// POST to update bonus percentages and log history
-app.post('/api/airtime-bonuses/update', async (req, res) => {
-    const { safaricomPercentage, africastalkingPercentage, actor } = req.body; // 'actor' could be the authenticated user's ID/email
-
-    if (typeof safaricomPercentage !== 'number' || typeof africastalkingPercentage !== 'number' || safaricomPercentage < 0 || africastalkingPercentage < 0) {
-        logger.warn('Invalid bonus percentages received for update.', { safaricomPercentage, africastalkingPercentage });
-        return res.status(400).json({ error: 'Invalid bonus percentages. Must be non-negative numbers.' });
-    }
+// POST to trigger a reversal for a transaction whose reversal never reached Daraja (REVERSAL_INITIATION_FAILED)
+app.post('/api/transactions/:transactionId/reversal', requireRole('admin'), async (req, res) => {
+    const { transactionId } = req.params;
+    const actor = getActor(req);
 
     try {
-        const currentSettingsDocRef = firestore.collection('airtime_bonuses').doc('current_settings');
-        const currentSettingsSnap = await currentSettingsDocRef.get();
-        const oldSettings = currentSettingsSnap.exists ? currentSettingsSnap.data() : { safaricomPercentage: 0, africastalkingPercentage: 0 };
-
-        const batch = firestore.batch();
-
-        // Update the current settings document
-        batch.set(currentSettingsDocRef, {
-            safaricomPercentage: safaricomPercentage,
-            africastalkingPercentage: africastalkingPercentage,
-            lastUpdated: FieldValue.serverTimestamp(), // Use server timestamp
-        }, { merge: true }); // Use merge to avoid overwriting other fields if they exist
+        const [failedReconciliationDoc, existingSnapshot] = await Promise.all([
+            failedReconciliationsCollection.doc(transactionId).get(),
+            reversalsCollection.where('transactionId', '==', transactionId).get(),
+        ]);
+        if (!failedReconciliationDoc.exists || !failedReconciliationDoc.data().amount) {
+            return res.status(404).json({ error: 'No failed reconciliation with an amount found for this transaction.' });
+        }
+        const { amount, mpesaNumber, scope = 'FULL', approvalId = null } = failedReconciliationDoc.data();
+        const blocking = existingSnapshot.docs.find(doc => ['PENDING_APPROVAL', 'INITIATED', 'CONFIRMED'].includes(doc.data().status)
+            && (doc.data().scope || 'FULL') === scope);
+        if (blocking) {
+            return res.status(409).json({ error: `Transaction already has a ${blocking.data().status} reversal (${blocking.id}).` });
+        }
 
-        // Add history entries only if values have changed
-        if (safaricomPercentage !== oldSettings.safaricomPercentage) {
-            batch.set(bonusHistoryCollection.doc(), { // Use the initialized collection variable
-                company: 'Safaricom',
-                oldPercentage: oldSettings.safaricomPercentage || 0,
-                newPercentage: safaricomPercentage,
-                timestamp: FieldValue.serverTimestamp(),
-                actor: actor || 'system', // Default to 'system' if actor is not provided
-            });
-            logger.info(`Safaricom bonus changed from ${oldSettings.safaricomPercentage} to ${safaricomPercentage} by ${actor || 'system'}.`);
+        const reversalResult = await initiateRefund(transactionId, amount, mpesaNumber, { scope, approvalId, actor });
+        if (reversalResult.manualReview) {
+            return res.status(409).json({ error: reversalResult.message });
         }
-        if (africastalkingPercentage !== oldSettings.africastalkingPercentage) {
-            batch.set(bonusHistoryCollection.doc(), { // Use the initialized collection variable
-                company: 'AfricasTalking',
-                oldPercentage: oldSettings.africastalkingPercentage || 0,
-                newPercentage: africastalkingPercentage,
-                timestamp: FieldValue.serverTimestamp(),
-                actor: actor || 'system', // Default to 'system' if actor is not provided
-            });
-            logger.info(`AfricasTalking bonus changed from ${oldSettings.africastalkingPercentage} to ${africastalkingPercentage} by ${actor || 'system'}.`);
+        if (!reversalResult.success) {
+            return res.status(502).json({ error: `Daraja did not accept the reversal: ${reversalResult.message}` });
         }
+        await transactionsCollection.doc(transactionId).update({
+            status: 'REVERSAL_PENDING_CONFIRMATION',
+            reversalDetails: reversalResult.data,
+            lastUpdated: FieldValue.serverTimestamp(),
+        });
+        logger.info(`🔁 Reversal for TransID ${transactionId} re-triggered by ${actor}.`);
+        res.json({ success: true, reversalId: reversalResult.originatorConversationId });
+    } catch (error) {
+        logger.error(`Error re-triggering reversal for ${transactionId}:`, { message: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to re-trigger reversal.' });
+    }
+});
 
-        await batch.commit();
-        res.json({ success: true, message: 'Bonus percentages updated successfully.' });
+// Provider circuit breaker health (for ops dashboards/monitors). Exposes failure details, so it needs a viewer token.
+app.get('/health/providers', requireRole('viewer'), (req, res) => {
+    const providers = [...airtimeProviders.keys()].map(describeProviderCircuit);
+    const tripped = providers.filter(provider => provider.state !== 'CLOSED').map(provider => provider.provider);
+    res.status(200).json({ status: tripped.length > 0 ? 'DEGRADED' : 'OK', tripped, providers });
+});
 
-    } catch (error) {
-        logger.error('Error updating airtime bonuses:', { message: error.message, stack: error.stack }); // Completed the error message
-        res.status(500).json({ error: 'Failed to update airtime bonuses.' });
+// POST to manually close a provider's circuit (e.g. after the provider confirms recovery)
+app.post('/api/airtime-providers/:name/circuit/reset', requireRole('admin'), (req, res) => {
+    if (!airtimeProviders.has(req.params.name)) {
+        return res.status(404).json({ error: 'Airtime provider not found.' });
     }
+    providerCircuits.delete(req.params.name);
+    logger.info(`🟢 Circuit for ${req.params.name} manually reset by ${getActor(req)}.`);
+    res.json({ success: true, circuit: describeProviderCircuit(req.params.name) });
 });
 
 app.get("/ping", (req, res) => {
@@ -1796,4 +6574,21 @@ app.get("/ping", (req, res) => {
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
     logger.info(`🚀 Server running on port ${PORT}`);
+
+    if (STK_SWEEPER_ENABLED) {
+        setInterval(sweepStaleStkTransactions, STK_SWEEPER_INTERVAL_MS);
+        logger.info(`🧹 STK sweeper scheduled every ${STK_SWEEPER_INTERVAL_MS / 1000}s (min age ${STK_SWEEPER_MIN_AGE_SECONDS}s).`);
+    }
+
+    setInterval(processOfflineNotificationQueue, OFFLINE_NOTIFICATION_WORKER_INTERVAL_MS);
+    logger.info(`📤 Offline notification worker scheduled every ${OFFLINE_NOTIFICATION_WORKER_INTERVAL_MS / 1000}s.`);
+
+    setInterval(verifyPendingDispatches, DISPATCH_VERIFICATION_INTERVAL_MS);
+    logger.info(`🔎 Dispatch verification worker scheduled every ${DISPATCH_VERIFICATION_INTERVAL_MS / 1000}s.`);
+
+    setInterval(retryFailedReversals, REVERSAL_RETRY_INTERVAL_MS);
+    logger.info(`🔁 Reversal retry worker scheduled every ${REVERSAL_RETRY_INTERVAL_MS / 1000}s (max ${REVERSAL_MAX_ATTEMPTS} attempts).`);
+
+    setInterval(resumeBulkOrders, BULK_ORDER_WORKER_INTERVAL_MS);
+    logger.info(`📦 Bulk order worker scheduled every ${BULK_ORDER_WORKER_INTERVAL_MS / 1000}s.`);
 });
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    detectCarrier,
+    isAirtimeAmountInRange,
+    parseBulkOrderLines,
+    getFulfillmentSplit,
+} = require('../airtimeRules');
+
+test('carriers are detected from the number prefix in any format', () => {
+    assert.equal(detectCarrier('0712345678'), 'Safaricom');
+    assert.equal(detectCarrier('254712345678'), 'Safaricom');
+    assert.equal(detectCarrier('+254733123456'), 'Airtel');
+    assert.equal(detectCarrier('0771234567'), 'Telkom');
+    assert.equal(detectCarrier('0765123456'), 'Equitel');
+    assert.equal(detectCarrier('0747123456'), 'Faiba');
+    assert.equal(detectCarrier('0760123456'), 'Unknown');
+    assert.equal(detectCarrier('071234'), 'Unknown');
+});
+
+test('airtime amounts must be within the allowed range', () => {
+    assert.equal(isAirtimeAmountInRange(5), true);
+    assert.equal(isAirtimeAmountInRange(5000), true);
+    assert.equal(isAirtimeAmountInRange(4), false);
+    assert.equal(isAirtimeAmountInRange(5001), false);
+    assert.equal(isAirtimeAmountInRange(NaN), false);
+});
+
+test('valid bulk order lines are normalised and totalled', () => {
+    const parsed = parseBulkOrderLines([
+        { recipient: '0712 345 678', amount: '50.10' },
+        { recipient: '+254733123456', amount: 100.2 },
+    ]);
+    assert.deepEqual(parsed.errors, []);
+    assert.deepEqual(parsed.lines, [
+        { lineNumber: 1, recipient: '0712345678', carrier: 'Safaricom', amount: 50.1 },
+        { lineNumber: 2, recipient: '254733123456', carrier: 'Airtel', amount: 100.2 },
+    ]);
+    assert.equal(parsed.totalAmount, 150.3);
+});
+
+test('invalid bulk order lines are reported by line number', () => {
+    const parsed = parseBulkOrderLines([
+        { recipient: '0712345678', amount: 1 },
+        { recipient: '0712', amount: 50 },
+        { recipient: '0760123456', amount: 50 },
+        null,
+        { recipient: '0712345678', amount: 20 },
+    ]);
+    assert.deepEqual(parsed.errors.map(error => error.lineNumber), [1, 2, 3, 4]);
+    assert.match(parsed.errors[0].message, /Invalid amount/);
+    assert.equal(parsed.errors[1].message, 'Invalid recipient phone number format.');
+    assert.equal(parsed.errors[2].message, "Recipient's carrier is not supported.");
+    assert.deepEqual(parsed.lines.map(line => line.lineNumber), [5]);
+    assert.equal(parsed.totalAmount, 20);
+});
+
+test('an empty, missing or oversized list is rejected as a whole', () => {
+    const line = { recipient: '0712345678', amount: 10 };
+    for (const lines of [[], undefined, 'not-an-array', [line, line, line]]) {
+        const parsed = parseBulkOrderLines(lines, { maxLines: 2 });
+        assert.deepEqual(parsed.lines, []);
+        assert.equal(parsed.totalAmount, 0);
+        assert.equal(parsed.errors[0].message, 'lines must be an array of 1 to 2 recipient/amount pairs.');
+    }
+    assert.equal(parseBulkOrderLines([line, line, line], { maxLines: 3 }).errors.length, 0);
+});
+
+test('a full dispatch owes nothing back', () => {
+    assert.deepEqual(getFulfillmentSplit(100, 110, 110), {
+        paidAmount: 100,
+        dispatchedAmount: 110,
+        undeliveredAmount: 0,
+        refundAmount: 0,
+        partial: false,
+    });
+});
+
+test('a partial dispatch refunds what was paid but not delivered', () => {
+    assert.deepEqual(getFulfillmentSplit(100, 110, 40), {
+        paidAmount: 100,
+        dispatchedAmount: 40,
+        undeliveredAmount: 70,
+        refundAmount: 60,
+        partial: true,
+    });
+    // The undelivered bonus is not refunded
+    assert.equal(getFulfillmentSplit(100, 110, 105).refundAmount, 0);
+});
+
+test('a dispatch above the intended amount is capped and bad input counts as zero', () => {
+    assert.equal(getFulfillmentSplit(100, 100, 150).dispatchedAmount, 100);
+    assert.deepEqual(getFulfillmentSplit('100', undefined, null), {
+        paidAmount: 100,
+        dispatchedAmount: 0,
+        undeliveredAmount: 0,
+        refundAmount: 100,
+        partial: false,
+    });
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    NONCE_HEADER,
+    IDEMPOTENCY_KEY_HEADER,
+    signPayload,
+    verifySignature,
+    createMemoryNonceStore,
+} = require('../fulfillmentSignature');
+
+const SECRET = 'test-secret';
+
+test('a signed payload verifies against the same secret', async () => {
+    const { body, headers } = signPayload({ saleId: 'sale-1', amount: 100 }, SECRET);
+    const result = await verifySignature({ rawBody: body, headers, secret: SECRET });
+    assert.deepEqual(result, { valid: true, idempotencyKey: null });
+});
+
+test('retries of the same notification share the idempotency key but not the nonce', async () => {
+    const first = signPayload({ checkoutRequestID: 'ws_CO_1' }, SECRET, { idempotencyKey: 'ws_CO_1' });
+    const retry = signPayload({ checkoutRequestID: 'ws_CO_1' }, SECRET, { idempotencyKey: 'ws_CO_1' });
+    assert.notEqual(first.headers[NONCE_HEADER], retry.headers[NONCE_HEADER]);
+
+    const nonceStore = createMemoryNonceStore();
+    for (const { body, headers } of [first, retry]) {
+        assert.deepEqual(await verifySignature({ rawBody: body, headers, secret: SECRET, nonceStore }), { valid: true, idempotencyKey: 'ws_CO_1' });
+    }
+});
+
+test('a changed or stripped idempotency key is rejected', async () => {
+    const { body, headers } = signPayload({ checkoutRequestID: 'ws_CO_1' }, SECRET, { idempotencyKey: 'ws_CO_1' });
+    const changedHeaders = { ...headers, [IDEMPOTENCY_KEY_HEADER]: 'ws_CO_2' };
+    const strippedHeaders = { ...headers };
+    delete strippedHeaders[IDEMPOTENCY_KEY_HEADER];
+
+    assert.equal((await verifySignature({ rawBody: body, headers: changedHeaders, secret: SECRET })).reason, 'Signature mismatch.');
+    assert.equal((await verifySignature({ rawBody: body, headers: strippedHeaders, secret: SECRET })).reason, 'Signature mismatch.');
+});
+
+test('a tampered body is rejected', async () => {
+    const { body, headers } = signPayload({ saleId: 'sale-1', amount: 100 }, SECRET);
+    const result = await verifySignature({ rawBody: body.replace('100', '1000'), headers, secret: SECRET });
+    assert.deepEqual(result, { valid: false, reason: 'Signature mismatch.' });
+});
+
+test('a different secret is rejected', async () => {
+    const { body, headers } = signPayload({ saleId: 'sale-1' }, SECRET);
+    const result = await verifySignature({ rawBody: body, headers, secret: 'other-secret' });
+    assert.equal(result.reason, 'Signature mismatch.');
+});
+
+test('a stale timestamp is rejected', async () => {
+    const { body, headers } = signPayload({ saleId: 'sale-1' }, SECRET);
+    const staleHeaders = { ...headers, [TIMESTAMP_HEADER]: String(Math.floor(Date.now() / 1000) - 600) };
+    const result = await verifySignature({ rawBody: body, headers: staleHeaders, secret: SECRET, toleranceSeconds: 300 });
+    assert.equal(result.reason, 'Timestamp outside allowed tolerance.');
+});
+
+test('missing headers, body or secret are rejected', async () => {
+    const { body, headers } = signPayload({ saleId: 'sale-1' }, SECRET);
+    const withoutSignature = { ...headers };
+    delete withoutSignature[SIGNATURE_HEADER];
+
+    assert.equal((await verifySignature({ rawBody: body, headers: withoutSignature, secret: SECRET })).reason, 'Missing signature headers.');
+    assert.equal((await verifySignature({ rawBody: undefined, headers, secret: SECRET })).reason, 'Raw request body is not available.');
+    assert.equal((await verifySignature({ rawBody: body, headers, secret: '' })).reason, 'HMAC secret is not configured.');
+});
+
+test('a replayed nonce is rejected', async () => {
+    const nonceStore = createMemoryNonceStore();
+    const { body, headers } = signPayload({ saleId: 'sale-1' }, SECRET);
+
+    assert.equal((await verifySignature({ rawBody: body, headers, secret: SECRET, nonceStore })).valid, true);
+    assert.deepEqual(await verifySignature({ rawBody: body, headers, secret: SECRET, nonceStore }), { valid: false, reason: 'Replayed nonce.' });
+});
+
+test('signing without a secret throws', () => {
+    assert.throws(() => signPayload({ saleId: 'sale-1' }, ''), /HMAC secret is not configured/);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    REVERSAL_TRANSITIONS,
+    canTransitionReversal,
+    getReversalRetryDelay,
+    getReversalRetryUpdate,
+    getRefundRoute,
+    isDarajaRejection,
+} = require('../reversalStateMachine');
+
+const OPTIONS = { refundStrategy: 'REVERSAL_ONLY', maxAttempts: 3, baseDelayMs: 1000, maxDelayMs: 5000, now: 1_000_000 };
+
+test('allowed reversal transitions', () => {
+    assert.equal(canTransitionReversal('INITIATED', 'CONFIRMED'), true);
+    assert.equal(canTransitionReversal('INITIATED', 'TIMED_OUT'), true);
+    assert.equal(canTransitionReversal('TIMED_OUT', 'CONFIRMED'), true);
+    assert.equal(canTransitionReversal('TIMED_OUT', 'FAILED'), true);
+    assert.equal(canTransitionReversal('PENDING_APPROVAL', 'APPROVED'), true);
+    assert.equal(canTransitionReversal('PENDING_APPROVAL', 'REJECTED'), true);
+});
+
+test('terminal and unknown statuses cannot move', () => {
+    for (const status of ['CONFIRMED', 'FAILED', 'APPROVED', 'REJECTED']) {
+        assert.deepEqual(REVERSAL_TRANSITIONS[status], []);
+        assert.equal(canTransitionReversal(status, 'INITIATED'), false);
+    }
+    assert.equal(canTransitionReversal('TIMED_OUT', 'TIMED_OUT'), false);
+    assert.equal(canTransitionReversal('UNKNOWN', 'CONFIRMED'), false);
+    assert.equal(canTransitionReversal(undefined, 'CONFIRMED'), false);
+});
+
+test('retry delay doubles per attempt and is capped', () => {
+    const options = { baseDelayMs: 1000, maxDelayMs: 5000 };
+    assert.equal(getReversalRetryDelay(1, options), 1000);
+    assert.equal(getReversalRetryDelay(2, options), 2000);
+    assert.equal(getReversalRetryDelay(3, options), 4000);
+    assert.equal(getReversalRetryDelay(4, options), 5000);
+    assert.equal(getReversalRetryDelay(0, options), 1000);
+});
+
+test('a timed-out reversal schedules a retry with backoff', () => {
+    assert.deepEqual(getReversalRetryUpdate({ attempt: 2 }, 'TIMED_OUT', OPTIONS), { retryStatus: 'SCHEDULED', nextRetryAt: 1_002_000 });
+});
+
+test('the last attempt is exhausted instead of retried', () => {
+    assert.deepEqual(getReversalRetryUpdate({ attempt: 3 }, 'FAILED', OPTIONS), { retryStatus: 'EXHAUSTED', nextRetryAt: null });
+});
+
+test('a failed reversal falls back to B2C under REVERSAL_THEN_B2C', () => {
+    const options = { ...OPTIONS, refundStrategy: 'REVERSAL_THEN_B2C' };
+    assert.deepEqual(getReversalRetryUpdate({ attempt: 1, method: 'REVERSAL' }, 'FAILED', options), { retryStatus: 'FALLBACK_B2C' });
+    // A failed B2C refund is retried, not sent back to B2C
+    assert.equal(getReversalRetryUpdate({ attempt: 1, method: 'B2C' }, 'FAILED', options).retryStatus, 'SCHEDULED');
+    // A timeout is retried as a reversal; only a definite failure falls back
+    assert.equal(getReversalRetryUpdate({ attempt: 1, method: 'REVERSAL' }, 'TIMED_OUT', options).retryStatus, 'SCHEDULED');
+});
+
+test('a late result leaves an existing retry in charge', () => {
+    assert.deepEqual(getReversalRetryUpdate({ attempt: 1, retryStatus: 'SCHEDULED' }, 'FAILED', OPTIONS), {});
+    assert.deepEqual(getReversalRetryUpdate({ attempt: 1, retryStatus: 'RETRIED' }, 'CONFIRMED', OPTIONS), {});
+});
+
+test('a late confirmation supersedes a pending retry or fallback', () => {
+    assert.deepEqual(getReversalRetryUpdate({ retryStatus: 'SCHEDULED' }, 'CONFIRMED', OPTIONS), { retryStatus: 'SUPERSEDED' });
+    assert.deepEqual(getReversalRetryUpdate({ retryStatus: 'FALLBACK_PENDING' }, 'CONFIRMED', OPTIONS), { retryStatus: 'SUPERSEDED' });
+    assert.deepEqual(getReversalRetryUpdate({}, 'CONFIRMED', OPTIONS), {});
+});
+
+test('full refunds are reversed unless the strategy is B2C_ONLY', () => {
+    assert.deepEqual(getRefundRoute({ refundStrategy: 'REVERSAL_ONLY' }), { method: 'REVERSAL' });
+    assert.deepEqual(getRefundRoute({ refundStrategy: 'REVERSAL_THEN_B2C', scope: 'FULL' }), { method: 'REVERSAL' });
+    assert.deepEqual(getRefundRoute({ refundStrategy: 'B2C_ONLY' }), { method: 'B2C' });
+});
+
+test('partial refunds go through B2C only where the strategy allows it', () => {
+    assert.equal(getRefundRoute({ refundStrategy: 'REVERSAL_THEN_B2C', scope: 'UNDELIVERED' }).method, 'B2C');
+    const route = getRefundRoute({ refundStrategy: 'REVERSAL_ONLY', scope: 'REMAINING' });
+    assert.equal(route.method, 'MANUAL_REVIEW');
+    assert.equal(route.code, 'PARTIAL_REFUND');
+});
+
+test('a failed bulk order line is refunded through B2C under every strategy', () => {
+    for (const refundStrategy of ['REVERSAL_ONLY', 'REVERSAL_THEN_B2C', 'B2C_ONLY']) {
+        for (const scope of ['FULL', 'UNDELIVERED']) {
+            assert.equal(getRefundRoute({ refundStrategy, scope, bulkOrderLine: true, b2cConfigured: true }).method, 'B2C');
+        }
+    }
+    assert.equal(getRefundRoute({ refundStrategy: 'REVERSAL_ONLY', bulkOrderLine: true }).code, 'BULK_ORDER_LINE');
+});
+
+test('a failed bulk order line goes to manual review with a reason when B2C is not configured', () => {
+    const route = getRefundRoute({ refundStrategy: 'REVERSAL_ONLY', bulkOrderLine: true, b2cConfigured: false });
+    assert.equal(route.method, 'MANUAL_REVIEW');
+    assert.equal(route.code, 'BULK_ORDER_LINE');
+    assert.match(route.reason, /whole bulk order/);
+    assert.match(route.reason, /B2C refunds are not configured/);
+});
+
+test('only a non-zero ResponseCode counts as a Daraja rejection', () => {
+    assert.equal(isDarajaRejection({ ResponseCode: '1', ResponseDescription: 'Rejected' }), true);
+    assert.equal(isDarajaRejection({ ResponseCode: 2001 }), true);
+    assert.equal(isDarajaRejection({ ResponseCode: '0' }), false);
+    assert.equal(isDarajaRejection({ errorCode: '500.003.02' }), false);
+    assert.equal(isDarajaRejection(undefined), false);
+});